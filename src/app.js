@@ -0,0 +1,83 @@
+const express = require('express');
+const cors = require('cors');
+const authRoutes = require('./routes/auth');
+const feedbackRoutes = require('./routes/feedback');
+const brandRoutes = require('./routes/brands');
+const moderationRoutes = require('./routes/moderation');
+const subscriptionRoutes = require('./routes/subscriptions');
+const statsRoutes = require('./routes/stats');
+const redirectRoutes = require('./routes/redirect');
+const bulkRoutes = require('./routes/bulk');
+const revisionRoutes = require('./routes/revisions');
+const referralRoutes = require('./routes/referrals');
+const jobRoutes = require('./routes/jobs');
+const categoryRoutes = require('./routes/categories');
+const collectionRoutes = require('./routes/collections');
+const healthRoutes = require('./routes/health');
+const { requestContext } = require('./middleware/requestContext');
+const { notFound, errorHandler } = require('./middleware/errors');
+const { buildOpenApiDocument } = require('./schemas/openapi');
+
+// Comma-separated list, ignoring blanks
+const parseList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+/**
+ * Build the Express app with every route mounted. It doesn't connect to
+ * MongoDB, listen or start background jobs; see server.js for that.
+ * @param {Object} config - Overrides for settings otherwise read from the
+ *   environment: { corsOrigins, jsonBodyLimit, trustProxy }
+ * @returns {Object} - Express app
+ */
+const createApp = (config = {}) => {
+  const corsOrigins = config.corsOrigins || parseList(process.env.CORS_ORIGINS);
+  const jsonBodyLimit = config.jsonBodyLimit || process.env.JSON_BODY_LIMIT || '20kb';
+  const trustProxy = config.trustProxy !== undefined ? config.trustProxy : process.env.TRUST_PROXY;
+
+  const app = express();
+
+  // Behind a proxy, trustProxy makes req.ip the client address so per-IP limits work
+  if (trustProxy) {
+    app.set('trust proxy', trustProxy === 'true' ? true : (parseInt(trustProxy) || trustProxy));
+  }
+
+  // Middleware; every origin may call the API unless origins are listed
+  app.use(requestContext);
+  app.use(cors({
+    origin: corsOrigins.length > 0 ? corsOrigins : '*',
+    exposedHeaders: ['ETag', 'Retry-After', 'X-Request-Id']
+  }));
+  app.use(express.json({ limit: jsonBodyLimit }));
+
+  // Routes
+  app.use(healthRoutes);
+  app.use('/api/auth', authRoutes);
+  app.use('/api/referrals/:id', feedbackRoutes);
+  app.use('/api/referrals/:id', revisionRoutes);
+  app.use('/api/brands', brandRoutes);
+  app.use('/api/categories', categoryRoutes);
+  app.use('/api/collections', collectionRoutes);
+  app.use('/api/moderation', moderationRoutes);
+  app.use('/api/subscriptions', subscriptionRoutes);
+  app.use('/api/stats', statsRoutes);
+  app.use('/api/jobs', jobRoutes);
+  app.use('/r', redirectRoutes);
+  app.use('/api/referrals', bulkRoutes);
+  app.use('/api/referrals', referralRoutes);
+
+  // OpenAPI 3 description of the API, generated from the request schemas
+  const openApiDocument = buildOpenApiDocument();
+  app.get('/api/docs', (req, res) => {
+    res.json(openApiDocument);
+  });
+
+  // Errors from any route, including malformed or oversized JSON bodies
+  app.use(notFound);
+  app.use(errorHandler);
+
+  return app;
+};
+
+module.exports = { createApp };
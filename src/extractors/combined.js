@@ -0,0 +1,75 @@
+const { validateExtraction } = require('./schema');
+const { appearsIn } = require('./text');
+const { normalizeBrandKey } = require('../utils/brandKey');
+const { logger } = require('../utils/logger');
+
+/**
+ * Merge an LLM extraction with a rule-based one. Values that appear in the
+ * post (ignoring case and whitespace) win over ones that don't; otherwise
+ * the LLM's answer is kept, with the rules filling any gaps.
+ * @param {Object} post - Normalized post
+ * @param {Object|null} llm - LLM extraction
+ * @param {Object|null} rules - Rule-based extraction
+ * @returns {Object|null} - Reconciled extraction
+ */
+const reconcile = (post, llm, rules) => {
+  if (!llm) return rules;
+  if (!rules) return llm;
+
+  const text = [post.title, post.body, post.url].filter(Boolean).join('\n');
+  const choose = (field) => {
+    const a = llm[field];
+    const b = rules[field];
+    if (a && b && appearsIn(b, text) && !appearsIn(a, text)) return b;
+    return a || b;
+  };
+
+  // Both found a brand but disagree: trust the dictionary match only if the LLM's brand isn't in the text
+  let brand = llm.brand;
+  if (normalizeBrandKey(llm.brand) !== normalizeBrandKey(rules.brand) && !appearsIn(llm.brand, text)) {
+    brand = rules.brand;
+  }
+
+  const { value } = validateExtraction({
+    brand,
+    code: choose('code'),
+    link: choose('link'),
+    tags: [...llm.tags, ...rules.tags],
+    description: llm.description || rules.description,
+    expirationDate: llm.expirationDate || rules.expirationDate,
+    referrerReward: llm.referrerReward || rules.referrerReward,
+    refereeReward: llm.refereeReward || rules.refereeReward,
+    minimumSpend: llm.minimumSpend || rules.minimumSpend,
+    eligibleCountries: llm.eligibleCountries.length > 0 ? llm.eligibleCountries : rules.eligibleCountries,
+    newCustomersOnly: llm.newCustomersOnly || rules.newCustomersOnly
+  });
+
+  return value;
+};
+
+/**
+ * Runs the LLM and rule-based extractors on each post and reconciles the
+ * results. If the LLM call fails, the rule-based result is used on its own.
+ * @param {Object} options - { llm, rules }: extractor instances
+ * @returns {Object} - Extractor
+ */
+const createCombinedExtractor = ({ llm, rules }) => ({
+  name: 'combined',
+  rateLimited: true,
+
+  async extract(post, context) {
+    const rulesResult = await rules.extract(post, context);
+
+    let llmResult = null;
+    try {
+      llmResult = await llm.extract(post, context);
+    } catch (error) {
+      logger.warn('LLM extraction failed, using rule-based result', { err: error });
+    }
+
+    return reconcile(post, llmResult, rulesResult);
+  }
+});
+
+module.exports = createCombinedExtractor;
+module.exports.reconcile = reconcile;
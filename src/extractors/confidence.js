@@ -0,0 +1,38 @@
+const { getValidator, validateReferralCode } = require('../validators');
+const { normalizeBrandKey } = require('../utils/brandKey');
+const { appearsIn } = require('./text');
+
+/**
+ * Estimate how likely an extraction is to be correct, from 0 to 1.
+ * Rewards codes and links that really appear in the post, brands the
+ * validator registry knows, and values that pass the brand's format rules.
+ * @param {Object} post - Normalized post
+ * @param {Object} data - Extracted referral data
+ * @returns {Promise<number>} - Confidence score
+ */
+const scoreExtraction = async (post, data) => {
+  const text = [post.title, post.body, post.url].filter(Boolean).join('\n');
+  let score = 0.2;
+
+  // Code and link: each present value should be traceable to the post
+  const values = [data.code, data.link].filter(Boolean);
+  const traceable = values.filter(value => appearsIn(value, text)).length;
+  score += values.length > 0 ? 0.4 * (traceable / values.length) : 0;
+
+  // Brand: known to the validator registry, or at least named in the post
+  const known = !!getValidator(data.brand).brand;
+  const brandKey = normalizeBrandKey(data.brand);
+  if (known) {
+    score += 0.2;
+  } else if (brandKey && normalizeBrandKey(text).includes(brandKey)) {
+    score += 0.1;
+  }
+
+  // Format and domain rules for the brand (no network check)
+  const { valid } = await validateReferralCode(data);
+  if (valid) score += 0.2;
+
+  return Math.round(Math.min(score, 1) * 100) / 100;
+};
+
+module.exports = { scoreExtraction };
@@ -0,0 +1,42 @@
+// Extraction backends turn a normalized post (see src/sources) into referral
+// data with the shape described in schema.js, or null if the post holds no
+// referral.
+//
+// An extractor is an object with:
+// - name: "llm", "rules" or "combined"
+// - rateLimited: true if calls should be spaced out to respect an API quota
+// - extract(post, context): Promise<Object|null>, where context.categories
+//   lists the known category names; extractors that can should pick tags from it
+
+const createLlmExtractor = require('./llm');
+const createRulesExtractor = require('./rules');
+const createCombinedExtractor = require('./combined');
+
+const EXTRACTOR_MODES = ['llm', 'rules', 'combined'];
+
+/**
+ * Create an extractor. Defaults to EXTRACTOR, then to "llm" when a Gemini
+ * API key is configured and "rules" otherwise.
+ * @param {string} mode - "llm", "rules" or "combined"
+ * @param {Object} options - { llm, rules }: options for each backend
+ * @returns {Object} - Extractor
+ */
+const createExtractor = (mode, options = {}) => {
+  const selected = mode || process.env.EXTRACTOR || (process.env.GEMINI_API_KEY ? 'llm' : 'rules');
+
+  switch (selected) {
+    case 'llm':
+      return createLlmExtractor(options.llm);
+    case 'rules':
+      return createRulesExtractor(options.rules);
+    case 'combined':
+      return createCombinedExtractor({
+        llm: createLlmExtractor(options.llm),
+        rules: createRulesExtractor(options.rules)
+      });
+    default:
+      throw new Error(`Unknown extractor: ${selected}. Expected one of: ${EXTRACTOR_MODES.join(', ')}`);
+  }
+};
+
+module.exports = { createExtractor, EXTRACTOR_MODES };
@@ -0,0 +1,21 @@
+const validatorBrands = require('../validators/brands');
+
+// Tags the rule-based extractor assigns to each known brand
+const BRAND_TAGS = {
+  'Uber Eats': ['food delivery'],
+  'DoorDash': ['food delivery'],
+  'Robinhood': ['finance', 'investing'],
+  'Coinbase': ['finance', 'cryptocurrency'],
+  'Airbnb': ['travel'],
+  'Cash App': ['finance'],
+  'Rakuten': ['shopping', 'cashback']
+};
+
+// Offline brand dictionary: names, aliases and domains from the validator
+// registry, plus tags
+module.exports = validatorBrands.map(brand => ({
+  name: brand.brand,
+  aliases: brand.aliases || [],
+  domains: brand.domains || [],
+  tags: BRAND_TAGS[brand.brand] || []
+}));
@@ -0,0 +1,106 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { validateExtraction } = require('./schema');
+const { logger } = require('../utils/logger');
+
+const MAX_RETRIES = parseInt(process.env.EXTRACTOR_MAX_RETRIES || 2);
+
+const buildPrompt = (post, categories = []) => {
+  const origin = post.source === 'reddit'
+    ? `Reddit ${post.kind} from r/${post.channel}`
+    : `${post.source} post from ${post.channel}`;
+  const tags = categories.length > 0
+    ? `Array of the categories that fit, chosen only from: ${categories.map(name => `"${name}"`).join(', ')}`
+    : 'Array of relevant tags (e.g., "food delivery", "cryptocurrency", "finance")';
+
+  return `
+Extract referral code information from this ${origin}.
+Return a JSON object with these fields (leave empty if not found):
+- brand: The company/service name the referral is for
+- code: Any referral or promo code (just the code, not the full phrase "use code XYZ")
+- link: Any referral link in the post
+- tags: ${tags}
+- description: One short sentence describing the offer (max 200 characters)
+- expirationDate: Expiration date if mentioned (in YYYY-MM-DD format, or null if not specified)
+- refereeReward: What the person using the referral gets, or null. An object with "type" (one of "cash", "credit", "discount", "percent", "points"), "amount" (a number) and "currency" (3-letter code such as "USD"; required for cash, credit and discount). "$10 off your first order" is {"type": "discount", "amount": 10, "currency": "USD"}, "20% off" is {"type": "percent", "amount": 20}
+- referrerReward: What the person sharing the referral gets, in the same form, or null. When the post says both sides get the same thing (e.g. "we both get 500 points"), set both
+- minimumSpend: Minimum purchase needed to get the reward, as {"amount": number, "currency": "USD"}, or null
+- eligibleCountries: Array of 2-letter country codes the offer is limited to (e.g. ["US", "CA"]), or [] if not limited or not mentioned
+- newCustomersOnly: true if only new customers can use it, otherwise false
+
+Post data:
+Title: ${post.title}
+Content: ${post.body || ''}
+URL: ${post.url || ''}
+
+Only return valid JSON with no other text.
+`;
+};
+
+// Pull the first JSON object out of a model response
+const parseJson = (responseText) => {
+  const jsonMatch = responseText.match(/(\{[\s\S]*\})/);
+  if (!jsonMatch) {
+    throw new Error('No JSON object found in response');
+  }
+  return JSON.parse(jsonMatch[0]);
+};
+
+/**
+ * LLM extractor backed by Gemini. Responses that aren't valid JSON or don't
+ * match the extraction schema are retried with the error fed back to the model.
+ * @param {Object} options - { model, apiKey, modelName, maxRetries }; pass
+ *   model (anything with generateContent) to use a stub instead of Gemini
+ * @returns {Object} - Extractor
+ */
+const createLlmExtractor = ({
+  model,
+  apiKey = process.env.GEMINI_API_KEY,
+  modelName = process.env.GEMINI_MODEL || 'gemini-2.0-flash',
+  maxRetries = MAX_RETRIES
+} = {}) => {
+  let generator = model;
+  if (!generator) {
+    if (!apiKey) {
+      throw new Error('GEMINI_API_KEY is required for the llm extractor');
+    }
+    generator = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model: modelName });
+  }
+
+  return {
+    name: 'llm',
+    rateLimited: true,
+
+    async extract(post, context = {}) {
+      let prompt = buildPrompt(post, context.categories);
+
+      for (let attempt = 0; attempt <= maxRetries; attempt++) {
+        const result = await generator.generateContent(prompt);
+        const responseText = result.response.text();
+
+        let problem;
+        try {
+          const { value, errors, empty } = validateExtraction(parseJson(responseText));
+          if (value) return value;
+
+          // A post with nothing to extract is a valid outcome, not a reason to retry
+          if (empty) return null;
+          problem = errors.join('; ');
+        } catch (error) {
+          problem = `invalid JSON (${error.message})`;
+        }
+
+        logger.info('LLM response rejected', { attempt: attempt + 1, maxAttempts: maxRetries + 1, problem });
+        prompt = `${buildPrompt(post, context.categories)}
+Your previous response was rejected: ${problem}.
+Previous response:
+${responseText}
+`;
+      }
+
+      return null;
+    }
+  };
+};
+
+module.exports = createLlmExtractor;
+module.exports.buildPrompt = buildPrompt;
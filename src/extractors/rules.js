@@ -0,0 +1,170 @@
+const knownBrands = require('./knownBrands');
+const { validateExtraction } = require('./schema');
+const { escapeRegExp } = require('../utils/search');
+
+const URL_PATTERN = /https?:\/\/[^\s<>"')\]]+/gi;
+
+// "code: ABC123", "use my code ABC123", "referral code is ABC123", "promo code - ABC123"
+const CODE_PATTERNS = [
+  /\b(?:referral|promo|invite|invitation|signup|sign-up|bonus)?\s*code\s*(?:is|:|-|=)?\s*["'`*]*([A-Z0-9][A-Z0-9_-]{3,24})\b/i,
+  /\buse\s+(?:my\s+)?["'`*]*([A-Z0-9][A-Z0-9_-]{3,24})["'`*]*\s+(?:at\s+checkout|when\s+signing\s+up|to\s+get)\b/i
+];
+
+// Words that follow "code" in ordinary sentences and are never codes
+const NOT_CODES = new Set(['below', 'above', 'here', 'link', 'please', 'when', 'that', 'this', 'from', 'with', 'works', 'for']);
+
+// Real codes contain a digit or are written in capitals; this rejects "the code is great"
+const looksLikeCode = (candidate) => /\d/.test(candidate) || candidate === candidate.toUpperCase();
+
+// Query parameters and path segments that mark a link as a referral link
+const REFERRAL_QUERY_KEYS = ['ref', 'referral', 'referralcode', 'refcode', 'invite', 'invitecode', 'code', 'promo', 'r'];
+const REFERRAL_PATH_PATTERN = /\/(?:ref|refer|referral|referrals|invite|invites|join|r|i|signup)(?:\/|$)/i;
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+
+const EXPIRY_PATTERNS = [
+  // 2025-06-30
+  { pattern: /\b(?:expires?|expiring|valid\s+(?:until|through|thru)|ends?)\s*(?:on)?\s*:?\s*(\d{4})-(\d{2})-(\d{2})\b/i, parse: m => [m[1], m[2], m[3]] },
+  // 6/30/2025
+  { pattern: /\b(?:expires?|expiring|valid\s+(?:until|through|thru)|ends?)\s*(?:on)?\s*:?\s*(\d{1,2})\/(\d{1,2})\/(\d{4})\b/i, parse: m => [m[3], m[1], m[2]] },
+  // June 30, 2025
+  {
+    pattern: new RegExp(`\\b(?:expires?|expiring|valid\\s+(?:until|through|thru)|ends?)\\s*(?:on)?\\s*:?\\s*(${MONTHS.join('|')})\\s+(\\d{1,2}),?\\s+(\\d{4})\\b`, 'i'),
+    parse: m => [m[3], MONTHS.indexOf(m[1].toLowerCase()) + 1, m[2]]
+  }
+];
+
+// "$10 off", "£20 credit", "20% off", "500 points"; what the person using the referral gets
+const CURRENCY_SYMBOLS = { '$': 'USD', '£': 'GBP', '€': 'EUR' };
+const REWARD_PATTERNS = [
+  {
+    pattern: /([$£€])\s?(\d+(?:\.\d{1,2})?)\s+(off|discount|credit|bonus|cash(?:\s?back)?)\b/i,
+    parse: m => ({
+      type: { off: 'discount', discount: 'discount', credit: 'credit' }[m[3].toLowerCase()] || 'cash',
+      amount: Number(m[2]),
+      currency: CURRENCY_SYMBOLS[m[1]]
+    })
+  },
+  { pattern: /\b(\d{1,2})\s?%\s+off\b/i, parse: m => ({ type: 'percent', amount: Number(m[1]) }) },
+  { pattern: /\b(\d{1,3}(?:,\d{3})*|\d+)\s+(?:bonus\s+)?points\b/i, parse: m => ({ type: 'points', amount: Number(m[1].replace(/,/g, '')) }) }
+];
+
+const NEW_CUSTOMERS_PATTERN = /\b(?:new\s+(?:customers?|users?|members?|accounts?)\s+only|first[-\s]time\s+(?:customers?|users?)\s+only|only\s+for\s+new\s+(?:customers?|users?))\b/i;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const hostMatches = (host, domain) => host === domain || host.endsWith(`.${domain}`);
+
+const parseUrl = (value) => {
+  try {
+    return new URL(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+const isReferralLink = (url) => {
+  if (REFERRAL_PATH_PATTERN.test(url.pathname)) return true;
+  return [...url.searchParams.keys()].some(key => REFERRAL_QUERY_KEYS.includes(key.toLowerCase()));
+};
+
+const findExpiration = (text) => {
+  for (const { pattern, parse } of EXPIRY_PATTERNS) {
+    const match = text.match(pattern);
+    if (!match) continue;
+
+    const [year, month, day] = parse(match).map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() === month - 1 && date.getUTCDate() === day) {
+      return `${year}-${pad(month)}-${pad(day)}`;
+    }
+  }
+  return null;
+};
+
+const findReward = (text) => {
+  for (const { pattern, parse } of REWARD_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) return parse(match);
+  }
+  return null;
+};
+
+const findCode = (text) => {
+  for (const pattern of CODE_PATTERNS) {
+    const match = text.match(pattern);
+    if (match && !NOT_CODES.has(match[1].toLowerCase()) && looksLikeCode(match[1])) {
+      return match[1];
+    }
+  }
+  return null;
+};
+
+/**
+ * Rule-based extractor: finds codes and links with patterns and identifies
+ * brands from a known-brand dictionary. Needs no network or API key.
+ * @param {Object} options - { brands }: extra dictionary entries { name, aliases, domains, tags }
+ * @returns {Object} - Extractor
+ */
+const createRulesExtractor = ({ brands = [] } = {}) => {
+  const dictionary = [...brands, ...knownBrands];
+
+  // Match brand names and aliases as whole words, ignoring case
+  const namePatterns = dictionary.map(brand => ({
+    brand,
+    patterns: [brand.name, ...brand.aliases].map(name => new RegExp(`\\b${escapeRegExp(name)}\\b`, 'i'))
+  }));
+
+  const brandForHost = (host) => dictionary.find(brand => brand.domains.some(domain => hostMatches(host, domain)));
+
+  const brandInText = (text) => {
+    const found = namePatterns.find(({ patterns }) => patterns.some(pattern => pattern.test(text)));
+    return found ? found.brand : null;
+  };
+
+  return {
+    name: 'rules',
+    rateLimited: false,
+
+    async extract(post) {
+      const text = [post.title, post.body].filter(Boolean).join('\n');
+      const urls = [...new Set([...(text.match(URL_PATTERN) || []), post.url].filter(Boolean))]
+        .map(parseUrl)
+        .filter(Boolean);
+
+      // Prefer a link on a known brand's domain, then any link that looks like a referral link
+      let brand = null;
+      let link = null;
+      for (const url of urls) {
+        const owner = brandForHost(url.hostname.toLowerCase());
+        if (owner) {
+          brand = owner;
+          link = url.toString();
+          break;
+        }
+      }
+      if (!link) {
+        const referralUrl = urls.find(isReferralLink);
+        if (referralUrl) link = referralUrl.toString();
+      }
+
+      if (!brand) brand = brandInText(text);
+
+      const { value } = validateExtraction({
+        brand: brand ? brand.name : null,
+        code: findCode(text),
+        link,
+        tags: brand ? brand.tags : [],
+        description: post.title ? post.title.slice(0, 200) : '',
+        expirationDate: findExpiration(text),
+        refereeReward: findReward(text),
+        newCustomersOnly: NEW_CUSTOMERS_PATTERN.test(text)
+      });
+
+      return value;
+    }
+  };
+};
+
+module.exports = createRulesExtractor;
@@ -0,0 +1,147 @@
+// Shape every extractor returns, and the checks applied to LLM output.
+//
+// {
+//   brand: string,                 // required
+//   code: string | null,
+//   link: string | null,           // http(s) URL
+//   tags: Array<string>,
+//   description: string,
+//   expirationDate: string | null, // YYYY-MM-DD
+//   referrerReward: Reward | null,
+//   refereeReward: Reward | null,  // Reward: { type, amount, currency? }
+//   minimumSpend: { amount, currency } | null,
+//   eligibleCountries: Array<string>, // 2-letter codes, empty for anywhere
+//   newCustomersOnly: boolean
+// }
+
+const { REWARD_TYPES, MONEY_REWARD_TYPES } = require('../models/offerTerms');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const CURRENCY_PATTERN = /^[A-Za-z]{3}$/;
+const COUNTRY_PATTERN = /^[A-Za-z]{2}$/;
+
+const optionalString = (value) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string') return undefined;
+  const trimmed = value.trim();
+  return trimmed === '' ? null : trimmed;
+};
+
+const isAmount = (value) => typeof value === 'number' && isFinite(value) && value >= 0;
+
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// A reward, or null if none was found. Money rewards need a currency.
+const checkReward = (value, field, errors) => {
+  if (value === undefined || value === null) return null;
+  if (!isObject(value) || !REWARD_TYPES.includes(value.type) || !isAmount(value.amount)) {
+    errors.push(`${field} must be null or { type, amount, currency } with type one of ${REWARD_TYPES.join(', ')}`);
+    return null;
+  }
+
+  const currency = optionalString(value.currency);
+  if (currency === undefined || (currency && !CURRENCY_PATTERN.test(currency)) ||
+      (!currency && MONEY_REWARD_TYPES.includes(value.type))) {
+    errors.push(`${field}.currency must be a 3-letter currency code for ${MONEY_REWARD_TYPES.join(', ')} rewards`);
+    return null;
+  }
+
+  const reward = { type: value.type, amount: value.amount };
+  if (currency) reward.currency = currency.toUpperCase();
+  return reward;
+};
+
+const checkMinimumSpend = (value, errors) => {
+  if (value === undefined || value === null) return null;
+  const currency = isObject(value) ? optionalString(value.currency) : null;
+  if (!isObject(value) || !isAmount(value.amount) || !currency || !CURRENCY_PATTERN.test(currency)) {
+    errors.push('minimumSpend must be null or { amount, currency }');
+    return null;
+  }
+  return { amount: value.amount, currency: currency.toUpperCase() };
+};
+
+const checkCountries = (value, errors) => {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || value.some(country => typeof country !== 'string' || !COUNTRY_PATTERN.test(country.trim()))) {
+    errors.push('eligibleCountries must be an array of 2-letter country codes');
+    return [];
+  }
+  return [...new Set(value.map(country => country.trim().toUpperCase()))];
+};
+
+/**
+ * Validate and normalize extracted referral data
+ * @param {Object} data - Raw extraction
+ * @returns {Object} - { value, errors, empty }. value is null when there are
+ *   errors or when the data is well-formed but holds no referral (empty)
+ */
+const validateExtraction = (data) => {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { value: null, errors: ['Extraction must be a JSON object'], empty: false };
+  }
+
+  const brand = optionalString(data.brand);
+  if (brand === undefined) errors.push('brand must be a string or null');
+
+  const code = optionalString(data.code);
+  if (code === undefined) errors.push('code must be a string or null');
+
+  const link = optionalString(data.link);
+  if (link === undefined) {
+    errors.push('link must be a string or null');
+  } else if (link && !/^https?:\/\//i.test(link)) {
+    errors.push('link must be an http(s) URL');
+  }
+
+  let tags = data.tags === undefined || data.tags === null ? [] : data.tags;
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+    errors.push('tags must be an array of strings');
+    tags = [];
+  }
+
+  const description = optionalString(data.description);
+  if (description === undefined) errors.push('description must be a string');
+
+  const expirationDate = optionalString(data.expirationDate);
+  if (expirationDate === undefined || (expirationDate && !DATE_PATTERN.test(expirationDate))) {
+    errors.push('expirationDate must be YYYY-MM-DD or null');
+  }
+
+  const referrerReward = checkReward(data.referrerReward, 'referrerReward', errors);
+  const refereeReward = checkReward(data.refereeReward, 'refereeReward', errors);
+  const minimumSpend = checkMinimumSpend(data.minimumSpend, errors);
+  const eligibleCountries = checkCountries(data.eligibleCountries, errors);
+
+  const newCustomersOnly = data.newCustomersOnly === undefined || data.newCustomersOnly === null
+    ? false
+    : data.newCustomersOnly;
+  if (typeof newCustomersOnly !== 'boolean') errors.push('newCustomersOnly must be true, false or null');
+
+  if (errors.length > 0) return { value: null, errors, empty: false };
+
+  // Well-formed, but the post didn't contain a referral
+  if (!brand || (!code && !link)) return { value: null, errors, empty: true };
+
+  return {
+    value: {
+      brand,
+      code,
+      link,
+      tags: [...new Set(tags.map(tag => tag.trim()).filter(Boolean))],
+      description: description || '',
+      expirationDate,
+      referrerReward,
+      refereeReward,
+      minimumSpend,
+      eligibleCountries,
+      newCustomersOnly
+    },
+    errors,
+    empty: false
+  };
+};
+
+module.exports = { validateExtraction };
@@ -0,0 +1,18 @@
+// Text checks shared by the extractors
+
+const compact = (value) => (typeof value === 'string' ? value.replace(/\s+/g, '').toLowerCase() : '');
+
+/**
+ * Check that an extracted value really appears in the post, ignoring case
+ * and whitespace, so "WELCOME 10" in a post matches the code "welcome10".
+ * Catches codes, links and brands an LLM made up.
+ * @param {string} value - Extracted value
+ * @param {string} text - Post text
+ * @returns {boolean}
+ */
+const appearsIn = (value, text) => {
+  const needle = compact(value);
+  return needle !== '' && compact(text).includes(needle);
+};
+
+module.exports = { appearsIn };
@@ -0,0 +1,138 @@
+// Five-field cron expressions ("minute hour day-of-month month day-of-week"),
+// evaluated in UTC so every instance agrees on when a job is due. Fields
+// accept *, numbers, ranges (1-5), lists (1,15) and steps (*/10, 0-30/5).
+// Day of week runs 0-7 with both 0 and 7 meaning Sunday.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const SHORTHANDS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *'
+};
+
+const MINUTE_MS = 60 * 1000;
+
+// Give up looking for a match after this many steps (several years of
+// month/day/hour skips), which only happens for dates like 31 February
+const MAX_STEPS = 10000;
+
+const parseNumber = (text, field) => {
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`"${text}" is not a number`);
+  }
+  const value = parseInt(text, 10);
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} must be between ${field.min} and ${field.max}`);
+  }
+  return value;
+};
+
+// The set of values one field matches
+const parseField = (text, field) => {
+  const values = new Set();
+
+  text.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseNumber(stepText, { ...field, min: 1 });
+
+    let start = field.min;
+    let end = field.max;
+    if (range !== '*') {
+      const [from, to] = range.split('-');
+      start = parseNumber(from, field);
+      end = to === undefined ? (stepText === undefined ? start : field.max) : parseNumber(to, field);
+      if (end < start) {
+        throw new Error(`${field.name} range ${range} is backwards`);
+      }
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+};
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five fields, or @hourly, @daily, @weekly, @monthly, @yearly
+ * @returns {Object} - { minutes, hours, days, months, weekdays, daysRestricted, weekdaysRestricted }
+ */
+const parseCron = (expression) => {
+  const text = String(expression || '').trim();
+  const parts = (SHORTHANDS[text] || text).split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Invalid cron expression "${text}": expected ${FIELDS.length} fields`);
+  }
+
+  let fields;
+  try {
+    fields = parts.map((part, index) => parseField(part, FIELDS[index]));
+  } catch (error) {
+    throw new Error(`Invalid cron expression "${text}": ${error.message}`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields;
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    daysRestricted: parts[2] !== '*',
+    weekdaysRestricted: parts[4] !== '*'
+  };
+};
+
+// Like cron, a day matches if either day field matches when both are restricted
+const dayMatches = (schedule, date) => {
+  const dayOk = schedule.days.has(date.getUTCDate());
+  const weekdayOk = schedule.weekdays.has(date.getUTCDay());
+  if (schedule.daysRestricted && schedule.weekdaysRestricted) return dayOk || weekdayOk;
+  if (schedule.daysRestricted) return dayOk;
+  if (schedule.weekdaysRestricted) return weekdayOk;
+  return true;
+};
+
+/**
+ * The first time after a given moment that a cron expression matches
+ * @param {string|Object} expression - Cron expression or the result of parseCron
+ * @param {Date} after - Exclusive lower bound
+ * @returns {Date}
+ */
+const nextCronTime = (expression, after = new Date()) => {
+  const schedule = typeof expression === 'string' ? parseCron(expression) : expression;
+  const date = new Date(Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+
+  for (let step = 0; step < MAX_STEPS; step++) {
+    if (!schedule.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!dayMatches(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!schedule.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!schedule.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  throw new Error('Cron expression never matches');
+};
+
+module.exports = { parseCron, nextCronTime };
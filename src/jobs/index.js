@@ -0,0 +1,136 @@
+const Referral = require('../models/Referral');
+const Category = require('../models/Category');
+const { queueExpiryNotifications, sendDigests } = require('../notifications');
+const { createTransport } = require('../notifications/transports');
+const { createScraper, parseSourceList } = require('../scraper');
+const { defineJob, getJobDefinitions, createScheduler } = require('./scheduler');
+const { matchTagIndex } = require('../utils/categories');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Re-validation picks up referrals that haven't been checked for this long
+const REVALIDATE_AFTER_HOURS = parseInt(process.env.REVALIDATE_AFTER_HOURS || 24);
+const REVALIDATE_BATCH_SIZE = parseInt(process.env.REVALIDATE_BATCH_SIZE || 100);
+
+// Mark referrals past their expiration date as invalid
+const expireReferrals = async ({ now = new Date() } = {}) => {
+  const result = await Referral.updateMany(
+    { expirationDate: { $lt: now }, isValid: true },
+    { isValid: false }
+  );
+  return { expired: result.modifiedCount };
+};
+
+// Re-run brand validators (including the link liveness check) on unexpired
+// referrals that haven't been validated recently. Referrals a validator
+// marked invalid are checked again, so a link that was down only for a while
+// comes back; ones a moderator or failure reports invalidated are left alone.
+const revalidateReferrals = async ({ now = new Date() } = {}) => {
+  const cutoff = new Date(now.getTime() - REVALIDATE_AFTER_HOURS * HOUR_MS);
+  const stale = await Referral.find({
+    invalidatedBy: null,
+    expirationDate: { $gt: now },
+    lastValidated: { $lt: cutoff },
+    deletedAt: null
+  })
+    .sort({ lastValidated: 1 })
+    .limit(REVALIDATE_BATCH_SIZE);
+
+  let invalidated = 0;
+  let restored = 0;
+  for (const referral of stale) {
+    const isValid = await referral.validateCode({ checkLiveness: true });
+    // A moderator or failure reports may have invalidated it during the check
+    const result = await Referral.updateOne(
+      { _id: referral._id, invalidatedBy: null },
+      { isValid, lastValidated: new Date() }
+    );
+    if (result.modifiedCount === 0 || isValid === referral.isValid) continue;
+    if (isValid) restored++;
+    else invalidated++;
+  }
+
+  return { checked: stale.length, invalidated, restored };
+};
+
+// File every referral under the categories its tags map onto now, catching
+// up with category and synonym edits. Deleted referrals are included so they
+// are right if restored.
+const recategorizeReferrals = async () => {
+  const index = await Category.loadTagIndex();
+  let checked = 0;
+  let updated = 0;
+
+  for await (const referral of Referral.find().select('tags categories').lean().cursor()) {
+    checked++;
+    const ids = matchTagIndex(referral.tags, index).map(category => String(category._id));
+    const current = (referral.categories || []).map(String);
+    if (ids.length !== current.length || ids.some(id => !current.includes(id))) {
+      await Referral.updateOne({ _id: referral._id }, { categories: ids });
+      updated++;
+    }
+  }
+
+  return { checked, updated };
+};
+
+// Queue expiry notifications for subscribers, then send any digests that are due
+const runNotificationJob = async (transport) => {
+  const queued = await queueExpiryNotifications();
+  const digests = await sendDigests(transport);
+  return { queued, ...digests };
+};
+
+/**
+ * Define the built-in jobs: expiry hourly, re-validation every six hours,
+ * notifications hourly (digests go out at most once a day per user),
+ * recategorization nightly (and after category edits), and scraping the
+ * sources in SCRAPE_SOURCES when that is set.
+ * @param {Object} options - { transport }: notification transport, created
+ *   from the environment if not given
+ */
+const defineBuiltInJobs = (options = {}) => {
+  const transport = options.transport || createTransport();
+
+  defineJob('expire-referrals', { schedule: '0 * * * *', handler: expireReferrals });
+  defineJob('revalidate-referrals', { schedule: '0 */6 * * *', handler: revalidateReferrals });
+  defineJob('notifications', { schedule: '0 * * * *', handler: () => runNotificationJob(transport) });
+  defineJob('recategorize-referrals', { schedule: '30 3 * * *', handler: recategorizeReferrals });
+
+  const sourceSpecs = parseSourceList(process.env.SCRAPE_SOURCES);
+  if (sourceSpecs.length > 0) {
+    defineJob('scrape', {
+      schedule: process.env.SCRAPE_SCHEDULE || '0 */3 * * *',
+      // Scraper progress is checkpointed, so a retry resumes the interrupted run
+      maxAttempts: 2,
+      lockSeconds: 30 * 60,
+      handler: () => createScraper({ mode: process.env.SCRAPE_MODE || 'live' }).run(sourceSpecs)
+    });
+  }
+};
+
+/**
+ * Start the job scheduler in this process. Set JOBS_ENABLED=false on
+ * instances that should only serve requests.
+ * @param {Object} options - { transport }: see defineBuiltInJobs
+ * @returns {Function} - Stops the scheduler
+ */
+const startJobs = (options = {}) => {
+  if (process.env.JOBS_ENABLED === 'false') {
+    return async () => {};
+  }
+
+  defineBuiltInJobs(options);
+  const scheduler = createScheduler({ jobs: getJobDefinitions() });
+  scheduler.start();
+  return scheduler.stop;
+};
+
+module.exports = {
+  expireReferrals,
+  revalidateReferrals,
+  recategorizeReferrals,
+  runNotificationJob,
+  defineBuiltInJobs,
+  startJobs
+};
@@ -0,0 +1,224 @@
+const os = require('os');
+const crypto = require('crypto');
+const Job = require('../models/Job');
+const JobRun = require('../models/JobRun');
+const { parseCron, nextCronTime } = require('./cron');
+const { logger } = require('../utils/logger');
+const { metrics } = require('../utils/metrics');
+
+const POLL_SECONDS = parseInt(process.env.JOB_POLL_SECONDS || 30);
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS || 3);
+const DEFAULT_BACKOFF_SECONDS = parseInt(process.env.JOB_BACKOFF_SECONDS || 60);
+const DEFAULT_LOCK_SECONDS = 10 * 60;
+
+// Schedules overridden per job, e.g. {"expire-referrals": "*/15 * * * *"}
+const parseScheduleOverrides = () => {
+  try {
+    return JSON.parse(process.env.JOB_SCHEDULES || '{}');
+  } catch (error) {
+    logger.error('Ignoring invalid JOB_SCHEDULES', { err: error });
+    return {};
+  }
+};
+
+const scheduleOverrides = parseScheduleOverrides();
+
+// Job definitions by name. Register more with defineJob().
+const definitions = new Map();
+
+/**
+ * Register a job for the scheduler to run
+ * @param {string} name - Unique job name
+ * @param {Object} definition - { schedule, handler, maxAttempts, backoffSeconds, lockSeconds }:
+ *   schedule is a cron expression (see cron.js), overridable through
+ *   JOB_SCHEDULES; handler({ job, attempt, now }) may return a result to
+ *   keep in the run history and throws to fail the run
+ */
+const defineJob = (name, definition) => {
+  const schedule = scheduleOverrides[name] || definition.schedule;
+  parseCron(schedule);
+
+  definitions.set(name, {
+    maxAttempts: DEFAULT_MAX_ATTEMPTS,
+    backoffSeconds: DEFAULT_BACKOFF_SECONDS,
+    lockSeconds: DEFAULT_LOCK_SECONDS,
+    ...definition,
+    schedule
+  });
+};
+
+const getJobDefinitions = () => definitions;
+
+/**
+ * Have a stored job run on the next poll, e.g. after data it works on changed
+ * @param {string} name - Job name
+ * @returns {Promise<boolean>} - False if no scheduler has stored the job yet
+ */
+const requestRun = async (name) => {
+  const now = new Date();
+  const result = await Job.updateOne({ name }, { nextRunAt: now, attempts: 0, updatedAt: now });
+  return result.matchedCount > 0;
+};
+
+const defaultInstanceId = () => `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+// Wait before retry n of a failed run, doubling each time
+const retryDelayMs = (definition, attempt) => definition.backoffSeconds * 1000 * 2 ** (attempt - 1);
+
+/**
+ * Create a scheduler that polls for due jobs. Job state lives in MongoDB, so
+ * any number of instances can run a scheduler and each due job runs once.
+ * @param {Object} options - { jobs, instanceId, pollIntervalMs, now }: jobs
+ *   defaults to every defined job; now is a clock function for tests
+ * @returns {Object} - { instanceId, sync, tick, start, stop }
+ */
+const createScheduler = (options = {}) => {
+  const jobs = options.jobs || definitions;
+  const instanceId = options.instanceId || defaultInstanceId();
+  const pollIntervalMs = options.pollIntervalMs || POLL_SECONDS * 1000;
+  const now = options.now || (() => new Date());
+
+  let timer = null;
+  let ticking = null;
+  let synced = false;
+
+  // Store each job the first time it is seen; a changed schedule applies from now
+  const sync = async () => {
+    for (const [name, definition] of jobs) {
+      const existing = await Job.findOne({ name });
+      if (!existing) {
+        try {
+          await Job.create({ name, schedule: definition.schedule, nextRunAt: nextCronTime(definition.schedule, now()) });
+        } catch (error) {
+          // Another instance stored it first
+          if (error.code !== 11000) throw error;
+        }
+      } else if (existing.schedule !== definition.schedule) {
+        await Job.updateOne(
+          { name, schedule: existing.schedule },
+          { schedule: definition.schedule, nextRunAt: nextCronTime(definition.schedule, now()), updatedAt: now() }
+        );
+      }
+    }
+  };
+
+  // Take the lock on a job if it is due and no other instance holds it
+  const claim = (name, definition, at) => Job.findOneAndUpdate(
+    {
+      name,
+      enabled: true,
+      nextRunAt: { $lte: at },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: at } }]
+    },
+    { lockedBy: instanceId, lockedUntil: new Date(at.getTime() + definition.lockSeconds * 1000), updatedAt: at },
+    { new: true }
+  );
+
+  const runJob = async (job, definition) => {
+    const attempt = job.attempts + 1;
+    const startedAt = now();
+    const run = await JobRun.create({ job: job.name, attempt, instance: instanceId, startedAt });
+
+    // Keep the lock for as long as the handler is still working
+    const heartbeat = setInterval(() => {
+      Job.updateOne(
+        { name: job.name, lockedBy: instanceId },
+        { lockedUntil: new Date(Date.now() + definition.lockSeconds * 1000) }
+      ).catch(error => logger.error('Could not extend job lock', { err: error, job: job.name }));
+    }, definition.lockSeconds * 1000 / 2);
+
+    let result = null;
+    let failure = null;
+    try {
+      result = await definition.handler({ job, attempt, now: startedAt });
+    } catch (error) {
+      failure = error;
+    } finally {
+      clearInterval(heartbeat);
+    }
+
+    const finishedAt = now();
+    const status = failure ? 'failed' : 'succeeded';
+    await JobRun.updateOne({ _id: run._id }, {
+      status,
+      result: failure || result === undefined ? null : result,
+      error: failure ? failure.message : null,
+      finishedAt,
+      durationMs: finishedAt - startedAt
+    });
+
+    const retry = failure && attempt < definition.maxAttempts;
+    metrics.jobRuns.inc({ job: job.name, status });
+    metrics.jobDuration.observe({ job: job.name }, (finishedAt - startedAt) / 1000);
+
+    const fields = { job: job.name, attempt, durationMs: finishedAt - startedAt };
+    if (failure) {
+      logger.error('Job failed', { ...fields, maxAttempts: definition.maxAttempts, retry: Boolean(retry), err: failure });
+    } else {
+      logger.info('Job succeeded', { ...fields, result });
+    }
+
+    // Release the lock, unless it expired and another instance took over
+    await Job.updateOne({ name: job.name, lockedBy: instanceId }, {
+      lockedBy: null,
+      lockedUntil: null,
+      attempts: retry ? attempt : 0,
+      nextRunAt: retry
+        ? new Date(finishedAt.getTime() + retryDelayMs(definition, attempt))
+        : nextCronTime(definition.schedule, finishedAt),
+      lastRunAt: startedAt,
+      lastStatus: status,
+      lastError: failure ? failure.message : null,
+      updatedAt: finishedAt
+    });
+
+    return { job: job.name, status, attempt, retry: Boolean(retry) };
+  };
+
+  /**
+   * Run every job that is due and not locked by another instance
+   * @returns {Promise<Array<Object>>} - { job, status, attempt, retry } per run
+   */
+  const tick = async () => {
+    const at = now();
+    const runs = [];
+    for (const [name, definition] of jobs) {
+      const job = await claim(name, definition, at);
+      if (job) {
+        runs.push(await runJob(job, definition));
+      }
+    }
+    return runs;
+  };
+
+  // Jobs are stored on the first poll that reaches the database, so starting
+  // before MongoDB is connected (or while it is down) just delays the first run
+  const poll = () => {
+    if (ticking) return;
+    ticking = (async () => {
+      if (!synced) {
+        await sync();
+        synced = true;
+      }
+      await tick();
+    })()
+      .catch(error => logger.error('Job scheduler error', { err: error }))
+      .finally(() => { ticking = null; });
+  };
+
+  const start = () => {
+    timer = setInterval(poll, pollIntervalMs);
+    poll();
+  };
+
+  // Stop polling, letting a run in progress finish
+  const stop = async () => {
+    clearInterval(timer);
+    timer = null;
+    if (ticking) await ticking;
+  };
+
+  return { instanceId, sync, tick, start, stop };
+};
+
+module.exports = { defineJob, getJobDefinitions, requestRun, createScheduler };
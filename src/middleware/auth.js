@@ -0,0 +1,92 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+const TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+
+const getSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return process.env.JWT_SECRET;
+};
+
+/**
+ * Sign a session token for a user
+ * @param {Object} user - User document
+ * @returns {string} - Signed JWT
+ */
+const signToken = (user) => {
+  return jwt.sign(
+    { sub: user._id.toString(), role: user.role },
+    getSecret(),
+    { expiresIn: TOKEN_EXPIRES_IN }
+  );
+};
+
+// Pull the bearer token out of the Authorization header
+const getTokenFromRequest = (req) => {
+  const header = req.get('Authorization');
+  if (!header) return null;
+
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) return null;
+  return token;
+};
+
+// Resolve the user for a token, or null if it is invalid or the user is gone
+const resolveUser = async (token) => {
+  try {
+    const payload = jwt.verify(token, getSecret());
+    return await User.findById(payload.sub);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Attach req.user when a valid token is present, but allow anonymous requests
+const optionalAuth = async (req, res, next) => {
+  const token = getTokenFromRequest(req);
+  if (token) {
+    req.user = await resolveUser(token);
+  }
+  next();
+};
+
+// Reject requests without a valid token
+const requireAuth = async (req, res, next) => {
+  const token = getTokenFromRequest(req);
+  if (!token) {
+    return res.status(401).json({ message: 'Authentication required' });
+  }
+
+  const user = await resolveUser(token);
+  if (!user) {
+    return res.status(401).json({ message: 'Invalid or expired token' });
+  }
+
+  req.user = user;
+  next();
+};
+
+// Only allow users with one of the given roles (use after requireAuth)
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ message: 'Insufficient permissions' });
+  }
+  next();
+};
+
+// Owners can modify their own referrals; admins can modify any
+const canModifyReferral = (user, referral) => {
+  if (!user) return false;
+  if (user.isAdmin()) return true;
+  return !!referral.owner && referral.owner.equals(user._id);
+};
+
+module.exports = {
+  signToken,
+  optionalAuth,
+  requireAuth,
+  requireRole,
+  canModifyReferral
+};
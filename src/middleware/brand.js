@@ -0,0 +1,17 @@
+const Brand = require('../models/Brand');
+
+// Replace req.body.brand with its canonical catalog name before validation,
+// so duplicate checks compare "UberEats" and "Uber Eats" as the same brand.
+// New brands are only added to the catalog once the referral is saved.
+const canonicalizeBrand = async (req, res, next) => {
+  try {
+    if (req.body && typeof req.body.brand === 'string') {
+      req.body.brand = await Brand.resolveName(req.body.brand);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { canonicalizeBrand };
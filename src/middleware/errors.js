@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { logger } = require('../utils/logger');
+
+// Answer requests no route matched
+const notFound = (req, res) => {
+  res.status(404).json({ message: 'Not found', requestId: req.id });
+};
+
+// Map an error to the status and body sent to the client. Anything not
+// recognized is a 500 whose details stay in the logs.
+const describeError = (error) => {
+  // Thrown by express.json()
+  if (error.type === 'entity.too.large') {
+    return { status: 413, body: { message: 'Request body is too large' } };
+  }
+  if (error.type === 'entity.parse.failed') {
+    return { status: 400, body: { message: 'Request body is not valid JSON' } };
+  }
+
+  if (error instanceof mongoose.Error.ValidationError) {
+    return {
+      status: 400,
+      body: {
+        errors: Object.values(error.errors).map(fieldError => ({
+          msg: fieldError.message,
+          path: fieldError.path
+        }))
+      }
+    };
+  }
+
+  // A malformed ID can't match any document
+  if (error instanceof mongoose.Error.CastError) {
+    if (error.path === '_id') {
+      return { status: 404, body: { message: 'Resource not found' } };
+    }
+    return { status: 400, body: { errors: [{ msg: `Invalid value for ${error.path}`, path: error.path }] } };
+  }
+
+  if (error.code === 11000) {
+    return { status: 409, body: { message: 'A record with these details already exists' } };
+  }
+
+  // Errors carrying an HTTP status, such as those from body-parser
+  const status = error.status || error.statusCode;
+  if (status >= 400 && status < 500) {
+    return { status, body: { message: error.expose ? error.message : 'Bad request' } };
+  }
+
+  return { status: 500, body: { message: 'Internal server error' } };
+};
+
+/**
+ * Central error handler, mounted after every route. Routes pass unexpected
+ * errors to next() instead of answering themselves.
+ */
+const errorHandler = (error, req, res, next) => {
+  const { status, body } = describeError(error);
+  const log = req.log || logger;
+
+  if (status >= 500) {
+    log.error('Request failed', { err: error, method: req.method, path: req.originalUrl });
+  } else {
+    log.debug('Request rejected', { err: error, status });
+  }
+
+  // Too late for a JSON answer; let Express close the connection
+  if (res.headersSent) {
+    return next(error);
+  }
+  res.status(status).json({ ...body, requestId: req.id });
+};
+
+module.exports = { notFound, errorHandler, describeError };
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+const { metrics } = require('../utils/metrics');
+
+// Request IDs passed in by a proxy or client are kept if they look sane
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// The matched route as a template, e.g. /api/referrals/:id/vote, so metrics
+// don't get a series per referral. Router mount paths are already resolved
+// in baseUrl, so put the parameter names back.
+const routeLabel = (req, route) => {
+  const params = Object.entries(req.params || {});
+  const base = req.baseUrl
+    .split('/')
+    .map(segment => {
+      const param = params.find(([, value]) => value === segment);
+      return param ? `:${param[0]}` : segment;
+    })
+    .join('/');
+  return `${base}${route.path}`;
+};
+
+// Work out the label as soon as the router matches a route. By the time the
+// response finishes, an error passed to next() has reset baseUrl.
+const trackRoute = (req) => {
+  let route = null;
+  req.routeLabel = 'unmatched';
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (matched) => {
+      route = matched;
+      req.routeLabel = routeLabel(req, matched);
+    }
+  });
+};
+
+/**
+ * Give each request an ID (X-Request-Id, echoed back in the response) and a
+ * logger that includes it as req.log, then log and time the response.
+ */
+const requestContext = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set('X-Request-Id', req.id);
+  trackRoute(req);
+
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    const labels = { method: req.method, route: req.routeLabel, status: res.statusCode };
+    metrics.httpRequests.inc(labels);
+    metrics.httpDuration.observe(labels, seconds);
+
+    req.log.info('Request completed', {
+      method: req.method,
+      path: req.originalUrl,
+      route: labels.route,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+      ...(req.user && { userId: req.user._id.toString() })
+    });
+  });
+
+  next();
+};
+
+module.exports = { requestContext };
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const { getStore, isAllowlisted } = require('../rateLimit');
+
+const SPAM_REPEAT_LIMIT = parseInt(process.env.SPAM_REPEAT_LIMIT || 3);
+const SPAM_WINDOW_HOURS = parseInt(process.env.SPAM_WINDOW_HOURS || 24);
+const SPAM_MAX_DESCRIPTION_LINKS = parseInt(process.env.SPAM_MAX_DESCRIPTION_LINKS || 2);
+
+const URL_PATTERN = /https?:\/\/|www\./gi;
+
+// Signals in the submission itself
+const contentSignals = (data) => {
+  const signals = [];
+  const description = typeof data.description === 'string' ? data.description : '';
+
+  if ((description.match(URL_PATTERN) || []).length > SPAM_MAX_DESCRIPTION_LINKS) {
+    signals.push('Description contains too many links');
+  }
+  if (/(.)\1{9,}/.test(description)) {
+    signals.push('Description contains long runs of a repeated character');
+  }
+
+  return signals;
+};
+
+// The same code or link, whatever brand it is filed under
+const submissionFingerprint = (data) => {
+  const code = typeof data.code === 'string' ? data.code.trim().toLowerCase() : '';
+  const link = typeof data.link === 'string' ? data.link.trim().toLowerCase() : '';
+  if (!code && !link) return null;
+  return crypto.createHash('sha256').update(`${code}|${link}`).digest('hex');
+};
+
+const submitterKey = (req) => (req.user ? `user:${req.user._id}` : `ip:${req.ip}`);
+
+// Reject referral submissions that look like spam: link-stuffed descriptions,
+// or the same code or link submitted over and over (for example under a
+// different brand each time). Use after requireAuth.
+const rejectSpam = async (req, res, next) => {
+  if (isAllowlisted(req)) return next();
+
+  const data = req.body || {};
+  const signals = contentSignals(data);
+
+  const fingerprint = submissionFingerprint(data);
+  if (fingerprint) {
+    try {
+      const { count } = await getStore().increment(
+        `spam:${submitterKey(req)}:${fingerprint}`,
+        SPAM_WINDOW_HOURS * 60 * 60 * 1000
+      );
+      if (count > SPAM_REPEAT_LIMIT) {
+        signals.push('The same code or link has been submitted too many times');
+      }
+    } catch (error) {
+      req.log.error('Spam check store error', { err: error });
+    }
+  }
+
+  if (signals.length > 0) {
+    req.log.warn('Rejected likely spam', { submitter: submitterKey(req), signals });
+    return res.status(422).json({ message: 'Submission rejected as likely spam', reasons: signals });
+  }
+  next();
+};
+
+module.exports = { rejectSpam };
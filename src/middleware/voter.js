@@ -0,0 +1,18 @@
+const crypto = require('crypto');
+
+// Identify who is voting: the logged-in user if there is one, otherwise a
+// fingerprint the server derives from the IP and user agent. Nothing the
+// client sends on its own decides the key. Use after optionalAuth.
+const identifyVoter = (req, res, next) => {
+  if (req.user) {
+    req.voterKey = `user:${req.user._id}`;
+    return next();
+  }
+
+  const fingerprint = `${req.ip}|${req.get('User-Agent') || ''}`;
+  const hash = crypto.createHash('sha256').update(fingerprint).digest('hex');
+  req.voterKey = `fp:${hash}`;
+  next();
+};
+
+module.exports = { identifyVoter };
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Append-only record of moderator and admin actions
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  targetType: {
+    type: String,
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1 });
+
+/**
+ * Write an audit entry
+ * @param {Object} actor - User performing the action
+ * @param {string} action - e.g. "report.resolve"
+ * @param {string} targetType - Model name of the target
+ * @param {Object} targetId - Target document id
+ * @param {Object} details - Extra context to keep with the entry
+ */
+auditLogSchema.statics.record = function (actor, action, targetType, targetId, details = {}) {
+  return this.create({ actor: actor._id, action, targetType, targetId, details });
+};
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const { normalizeBrandKey } = require('../utils/brandKey');
+
+const brandSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Brand name is required'],
+    trim: true
+  },
+  aliases: [{
+    type: String,
+    trim: true
+  }],
+  // Normalized forms of the name and every alias, used for lookups
+  keys: [{
+    type: String
+  }],
+  domain: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: ''
+  },
+  logoUrl: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  category: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Number of round-robin picks served so far
+  rotationIndex: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A key can only belong to one brand, so two brands can never claim the same alias
+brandSchema.index({ keys: 1 }, { unique: true });
+brandSchema.index({ category: 1 });
+
+// Keep the lookup keys in sync with the name and aliases
+brandSchema.pre('validate', function (next) {
+  const keys = [this.name, ...this.aliases].map(normalizeBrandKey).filter(Boolean);
+  this.keys = [...new Set(keys)];
+  next();
+});
+
+// Find the brand whose name or alias matches, ignoring case, spacing and punctuation
+brandSchema.statics.findByNameOrAlias = function (name) {
+  const key = normalizeBrandKey(name);
+  if (!key) return null;
+  return this.findOne({ keys: key });
+};
+
+/**
+ * Resolve a free-text brand name to its canonical name without touching the
+ * catalog. Brands that aren't in it yet come back trimmed.
+ * @param {string} name - Brand name as entered or extracted
+ * @returns {Promise<string>} - Canonical brand name
+ */
+brandSchema.statics.resolveName = async function (name) {
+  if (typeof name !== 'string' || !normalizeBrandKey(name)) return name;
+
+  const existing = await this.findByNameOrAlias(name);
+  return existing ? existing.name : name.trim();
+};
+
+/**
+ * Resolve a free-text brand name to its canonical name, adding the brand
+ * to the catalog the first time it is seen. Call it once the referral using
+ * the name has been saved, so rejected input never creates brands.
+ * @param {string} name - Brand name as entered or extracted
+ * @returns {Promise<string>} - Canonical brand name
+ */
+brandSchema.statics.canonicalize = async function (name) {
+  if (typeof name !== 'string' || !normalizeBrandKey(name)) return name;
+
+  const existing = await this.findByNameOrAlias(name);
+  if (existing) return existing.name;
+
+  try {
+    const created = await this.create({ name: name.trim() });
+    return created.name;
+  } catch (error) {
+    // Another request created the same brand first
+    if (error.code === 11000) {
+      const winner = await this.findByNameOrAlias(name);
+      if (winner) return winner.name;
+    }
+    throw error;
+  }
+};
+
+const Brand = mongoose.model('Brand', brandSchema);
+
+module.exports = Brand;
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const { normalizeTagKey, slugify, SLUG_PATTERN, descendantIds } = require('../utils/categories');
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    maxlength: [60, 'Category name must be at most 60 characters']
+  },
+  // Generated from the name if not given
+  slug: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [SLUG_PATTERN, 'Slug may only contain lowercase letters, digits and single dashes']
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Other tags that mean this category, e.g. "Food" for food delivery
+  synonyms: [{
+    type: String,
+    trim: true
+  }],
+  // Normalized forms of the name, slug and every synonym, used to match tags
+  keys: [{
+    type: String
+  }],
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description must be at most 300 characters'],
+    default: ''
+  },
+  // Position among its siblings; lower comes first
+  order: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+categorySchema.index({ slug: 1 }, { unique: true });
+// A tag can only mean one category
+categorySchema.index({ keys: 1 }, { unique: true });
+categorySchema.index({ parent: 1, order: 1 });
+
+categorySchema.pre('validate', function (next) {
+  if (!this.slug && this.name) {
+    this.slug = slugify(this.name);
+  }
+  const keys = [this.name, this.slug, ...this.synonyms].map(normalizeTagKey).filter(Boolean);
+  this.keys = [...new Set(keys)];
+  next();
+});
+
+// Categories whose name, slug or synonym matches one of the tags
+categorySchema.statics.matchTags = function (tags) {
+  const keys = [...new Set((tags || []).map(normalizeTagKey).filter(Boolean))];
+  if (keys.length === 0) return Promise.resolve([]);
+  return this.find({ keys: { $in: keys } }).select('_id name slug').lean();
+};
+
+/**
+ * Look up tags without a query per tag
+ * @returns {Promise<Map>} - Tag key -> { _id, name, slug }, empty if no categories are defined
+ */
+categorySchema.statics.loadTagIndex = async function () {
+  const index = new Map();
+  const categories = await this.find().select('name slug keys').lean();
+  for (const category of categories) {
+    for (const key of category.keys) {
+      index.set(key, { _id: category._id, name: category.name, slug: category.slug });
+    }
+  }
+  return index;
+};
+
+/**
+ * IDs of a category and everything below it
+ * @param {string} slug - Category slug
+ * @returns {Promise<Array|null>} - ObjectIds, or null if there is no such category
+ */
+categorySchema.statics.subtreeIds = async function (slug) {
+  const categories = await this.find().select('_id parent slug').lean();
+  const root = categories.find(category => category.slug === slug);
+  if (!root) return null;
+  return [root._id, ...descendantIds(categories, root._id).map(id => new mongoose.Types.ObjectId(id))];
+};
+
+const Category = mongoose.model('Category', categorySchema);
+
+module.exports = Category;
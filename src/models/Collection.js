@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const { slugify, SLUG_PATTERN } = require('../utils/categories');
+
+const MAX_ITEMS = 100;
+
+// An editor-curated, ordered list of referrals, e.g. "Best finance signups"
+const collectionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [100, 'Title must be at most 100 characters']
+  },
+  // Generated from the title if not given
+  slug: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [SLUG_PATTERN, 'Slug may only contain lowercase letters, digits and single dashes']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description must be at most 500 characters'],
+    default: ''
+  },
+  // Referrals in display order
+  items: {
+    type: [{
+      _id: false,
+      referral: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Referral',
+        required: true
+      },
+      note: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Notes must be at most 200 characters'],
+        default: ''
+      }
+    }],
+    validate: {
+      validator: (items) => items.length <= MAX_ITEMS,
+      message: `A collection can have at most ${MAX_ITEMS} referrals`
+    }
+  },
+  // Drafts are only visible to editors
+  published: {
+    type: Boolean,
+    default: false
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+  // Position among published collections; lower comes first
+  order: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+collectionSchema.index({ slug: 1 }, { unique: true });
+collectionSchema.index({ published: 1, order: 1 });
+
+collectionSchema.pre('validate', function (next) {
+  if (!this.slug && this.title) {
+    this.slug = slugify(this.title);
+  }
+  if (this.isModified('published') && this.published && !this.publishedAt) {
+    this.publishedAt = new Date();
+  }
+  next();
+});
+
+const Collection = mongoose.model('Collection', collectionSchema);
+
+module.exports = Collection;
+module.exports.MAX_ITEMS = MAX_ITEMS;
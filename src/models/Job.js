@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Schedule and lock state of a background job, shared by every instance.
+// An instance runs a job only after claiming it: setting lockedBy and
+// lockedUntil in one atomic update, which fails while another instance
+// holds an unexpired lock. attempts counts consecutive failures of the
+// current run and drives the retry backoff.
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  schedule: {
+    type: String,
+    required: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  nextRunAt: {
+    type: Date,
+    required: true
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+  lastStatus: {
+    type: String,
+    enum: ['succeeded', 'failed'],
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+jobSchema.index({ name: 1 }, { unique: true });
+jobSchema.index({ enabled: 1, nextRunAt: 1 });
+
+const Job = mongoose.model('Job', jobSchema);
+
+module.exports = Job;
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const JOB_RUN_STATUSES = ['running', 'succeeded', 'failed'];
+const RETENTION_DAYS = parseInt(process.env.JOB_RUN_RETENTION_DAYS || 30);
+
+// One attempt at running a job, kept for the run history
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: JOB_RUN_STATUSES,
+    default: 'running'
+  },
+  attempt: {
+    type: Number,
+    default: 1
+  },
+  // Instance that ran the job
+  instance: {
+    type: String,
+    required: true
+  },
+  // Whatever the handler returned, e.g. counts of updated documents
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  durationMs: {
+    type: Number,
+    default: null
+  }
+});
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+const JobRun = mongoose.model('JobRun', jobRunSchema);
+
+module.exports = JobRun;
+module.exports.JOB_RUN_STATUSES = JOB_RUN_STATUSES;
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Outbox entry for a single expiry event. Entries are queued by the
+// notification job and delivered in a user's daily digest.
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  referral: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Referral',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['expiring', 'expired'],
+    required: true
+  },
+  // "<user>:<referral>:<kind>:<expirationDate>" so the same event is never
+  // queued twice, while a new expiration date counts as a new event
+  dedupeKey: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  // Snapshot of the referral at queue time, so the digest still reads
+  // sensibly if the referral is later edited or removed
+  brand: String,
+  code: String,
+  link: String,
+  expirationDate: Date,
+  batchId: {
+    type: String,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+notificationSchema.index({ dedupeKey: 1 }, { unique: true });
+notificationSchema.index({ status: 1, user: 1 });
+notificationSchema.index({ batchId: 1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
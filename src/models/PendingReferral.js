@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const { offerTermsFields } = require('./offerTerms');
+
+// A scraped referral waiting for an admin to approve, edit or reject it
+const pendingReferralSchema = new mongoose.Schema({
+  brand: {
+    type: String,
+    required: [true, 'Brand name is required'],
+    trim: true
+  },
+  code: {
+    type: String,
+    trim: true
+  },
+  link: {
+    type: String,
+    trim: true
+  },
+  tags: [{
+    type: String,
+    trim: true
+  }],
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  ...offerTermsFields,
+  postDate: {
+    type: Date,
+    default: Date.now
+  },
+  expirationDate: {
+    type: Date,
+    required: [true, 'Expiration date is required']
+  },
+  source: {
+    type: String,
+    required: true
+  },
+  sourceId: {
+    type: String,
+    required: true
+  },
+  sourceUrl: {
+    type: String,
+    default: null
+  },
+  sourceChannel: {
+    type: String,
+    default: null
+  },
+  extractor: {
+    type: String,
+    default: null
+  },
+  // 0-1 estimate of how likely the extraction is correct
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 0
+  },
+  validationErrors: [{
+    type: String
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  rejectionReason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // The live referral created on approval
+  referral: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Referral',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A source post is staged at most once
+pendingReferralSchema.index({ source: 1, sourceId: 1 }, { unique: true });
+pendingReferralSchema.index({ status: 1, confidence: -1 });
+
+const PendingReferral = mongoose.model('PendingReferral', pendingReferralSchema);
+
+module.exports = PendingReferral;
@@ -1,4 +1,13 @@
 const mongoose = require('mongoose');
+const { validateReferralCode } = require('../validators');
+const { normalizeCodeKey, canonicalizeLink } = require('../utils/referralKeys');
+const Category = require('./Category');
+const { offerTermsFields } = require('./offerTerms');
+
+// Who can invalidate a referral regardless of what its validator says
+const INVALIDATION_SOURCES = ['moderator', 'feedback'];
+
+const MAX_TAGS = 20;
 
 const referralSchema = new mongoose.Schema({
   brand: {
@@ -9,6 +18,7 @@ const referralSchema = new mongoose.Schema({
   code: {
     type: String,
     trim: true,
+    maxlength: [100, 'Code must be at most 100 characters'],
     validate: {
       validator: function (v) {
         // Either code or link must be present
@@ -17,9 +27,15 @@ const referralSchema = new mongoose.Schema({
       message: 'Either code or link must be provided'
     }
   },
+  // Normalized code used for duplicate checks; see normalizeCodeKey
+  codeKey: {
+    type: String,
+    default: ''
+  },
   link: {
     type: String,
     trim: true,
+    maxlength: [2048, 'Link must be at most 2048 characters'],
     validate: {
       validator: function (v) {
         // Either code or link must be present
@@ -28,10 +44,31 @@ const referralSchema = new mongoose.Schema({
       message: 'Either code or link must be provided'
     }
   },
-  tags: [{
-    type: String,
-    trim: true
+  tags: {
+    type: [{
+      type: String,
+      trim: true,
+      maxlength: [50, 'Tags must be at most 50 characters']
+    }],
+    validate: {
+      validator: (tags) => tags.length <= MAX_TAGS,
+      message: `A referral can have at most ${MAX_TAGS} tags`
+    }
+  },
+  // Categories the tags map onto; kept in sync on save and by the
+  // recategorize-referrals job when the category tree changes
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
   }],
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description must be at most 500 characters'],
+    default: ''
+  },
+  // What the referrer and the person using the referral get, and who can use it
+  ...offerTermsFields,
   postDate: {
     type: Date,
     default: Date.now
@@ -44,58 +81,200 @@ const referralSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Set when a moderator or failure reports invalidate the referral. Format
+  // validation never marks such a referral valid again.
+  invalidatedBy: {
+    type: String,
+    enum: [...INVALIDATION_SOURCES, null],
+    default: null
+  },
   lastValidated: {
     type: Date,
     default: Date.now
+  },
+  // Where the referral came from: "user" for the API, or the scraper source
+  source: {
+    type: String,
+    default: 'user'
+  },
+  sourceId: {
+    type: String,
+    default: null
+  },
+  sourceUrl: {
+    type: String,
+    default: null
+  },
+  sourceChannel: {
+    type: String,
+    default: null
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  upvotes: {
+    type: Number,
+    default: 0
+  },
+  downvotes: {
+    type: Number,
+    default: 0
+  },
+  score: {
+    type: Number,
+    default: 0
+  },
+  workedCount: {
+    type: Number,
+    default: 0
+  },
+  failedCount: {
+    type: Number,
+    default: 0
+  },
+  // How often GET /api/brands/:brand/referral has served this referral
+  exposureCount: {
+    type: Number,
+    default: 0
+  },
+  lastServedAt: {
+    type: Date,
+    default: null
+  },
+  // Set when the referral is deleted; deleted referrals are hidden but can be restored
+  deletedAt: {
+    type: Date,
+    default: null
   }
+}, {
+  // Every save bumps __v and fails if the document changed since it was
+  // loaded; the API exposes __v as the ETag for If-Match
+  optimisticConcurrency: true
 });
 
 // Updated index to include link for uniqueness
 referralSchema.index({ brand: 1, code: 1, link: 1 }, { unique: true });
 referralSchema.index({ tags: 1 });
+referralSchema.index({ categories: 1 });
 referralSchema.index({ postDate: -1 });
+referralSchema.index({ owner: 1 });
+referralSchema.index({ source: 1, sourceId: 1 });
+referralSchema.index({ score: -1 });
+referralSchema.index({ 'refereeReward.amount': -1 });
+referralSchema.index({ brand: 1, lastServedAt: 1 });
+referralSchema.index({ brand: 1, codeKey: 1 });
+referralSchema.index({ brand: 1, link: 1 });
+referralSchema.index(
+  { brand: 'text', tags: 'text', description: 'text' },
+  { name: 'referral_text', weights: { brand: 10, tags: 5, description: 1 } }
+);
+
+// Store links in canonical form and keep the code key in sync
+referralSchema.pre('validate', function (next) {
+  if (this.isModified('link') && this.link) {
+    this.link = canonicalizeLink(this.link);
+  }
+  if (this.isNew || this.isModified('code')) {
+    this.codeKey = normalizeCodeKey(this.code);
+  }
+  next();
+});
 
-// Pre-save middleware to validate code
+// Pre-save middleware to validate the code and file the referral under its categories
 referralSchema.pre('save', async function (next) {
-  if (this.isModified('code') || this.isModified('link')) {
-    this.isValid = await this.validateCode();
+  if (this.isModified('code') || this.isModified('link') || this.isModified('brand')) {
+    this.isValid = !this.invalidatedBy && await this.validateCode();
     this.lastValidated = new Date();
   }
+  if (this.isNew || this.isModified('tags')) {
+    this.categories = (await Category.matchTags(this.tags)).map(category => category._id);
+  }
   next();
 });
 
-// Method to validate code
-referralSchema.methods.validateCode = async function () {
-  // Implement your code validation logic here
-  // This is a placeholder - you'll need to implement actual validation
-  // based on your requirements (e.g., checking against brand's API)
-  return true;
+// Method to validate code against the brand's registered validator.
+// Pass { checkLiveness: true } to also probe the link over HTTP.
+referralSchema.methods.validateCode = async function (options = {}) {
+  const result = await validateReferralCode(this, options);
+  return result.valid;
 };
 
-// Updated static method to check for duplicate codes or links
-referralSchema.statics.checkDuplicate = async function (brand, code, link) {
-  if (!brand) return false;
-
-  const query = { brand };
-
-  // If both code and link are provided, check for either match
-  if (code && link) {
-    query.$or = [
-      { code },
-      { link }
-    ];
-  } else if (code) {
-    query.code = code;
-  } else if (link) {
-    query.link = link;
-  } else {
-    return false; // If neither code nor link is provided, cannot check for duplicate
+// Query matching referrals with the same code or link for a brand. Codes
+// match ignoring case and whitespace, links after canonicalization. Pass
+// excludeId to ignore the referral being edited. Null when there is nothing
+// to compare on.
+referralSchema.statics.duplicateQuery = function (brand, code, link, excludeId) {
+  if (!brand) return null;
+
+  const conditions = [];
+  const codeKey = normalizeCodeKey(code);
+  if (codeKey) {
+    conditions.push({ codeKey });
+  }
+  if (typeof link === 'string' && link.trim()) {
+    conditions.push({ link: canonicalizeLink(link) });
+  }
+
+  // If neither code nor link is provided, cannot check for duplicate
+  if (conditions.length === 0) return null;
+
+  const query = { brand, $or: conditions };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
   }
+  return query;
+};
 
-  const existing = await this.findOne(query);
+// Find an existing referral, deleted or not, that duplicates this code or link
+referralSchema.statics.findDuplicate = async function (brand, code, link, excludeId) {
+  const query = this.duplicateQuery(brand, code, link, excludeId);
+  return query ? this.findOne(query) : null;
+};
+
+// Updated static method to check for duplicate codes or links
+referralSchema.statics.checkDuplicate = async function (brand, code, link, excludeId) {
+  const existing = await this.findDuplicate(brand, code, link, excludeId);
   return !!existing;
 };
 
+// Recompute vote and feedback totals from the Vote collection and
+// flag the referral invalid once failure reports pass the threshold
+referralSchema.statics.recalculateFeedback = async function (referralId) {
+  const Vote = mongoose.model('Vote');
+  const threshold = parseInt(process.env.FAILURE_REPORT_THRESHOLD || 5);
+
+  const [totals] = await Vote.aggregate([
+    { $match: { referral: new mongoose.Types.ObjectId(referralId) } },
+    {
+      $group: {
+        _id: null,
+        upvotes: { $sum: { $cond: [{ $eq: ['$value', 1] }, 1, 0] } },
+        downvotes: { $sum: { $cond: [{ $eq: ['$value', -1] }, 1, 0] } },
+        workedCount: { $sum: { $cond: [{ $eq: ['$worked', true] }, 1, 0] } },
+        failedCount: { $sum: { $cond: [{ $eq: ['$worked', false] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const update = {
+    upvotes: totals ? totals.upvotes : 0,
+    downvotes: totals ? totals.downvotes : 0,
+    workedCount: totals ? totals.workedCount : 0,
+    failedCount: totals ? totals.failedCount : 0
+  };
+  update.score = update.upvotes - update.downvotes;
+
+  if (update.failedCount >= threshold && update.failedCount > update.workedCount) {
+    update.isValid = false;
+    update.invalidatedBy = 'feedback';
+  }
+
+  return this.findByIdAndUpdate(referralId, update, { new: true });
+};
+
 const Referral = mongoose.model('Referral', referralSchema);
 
-module.exports = Referral;
\ No newline at end of file
+module.exports = Referral;
+module.exports.MAX_TAGS = MAX_TAGS;
\ No newline at end of file
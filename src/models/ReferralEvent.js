@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const EVENT_TYPES = ['click', 'copy'];
+const RETENTION_DAYS = parseInt(process.env.EVENT_RETENTION_DAYS || 365);
+
+// Click and copy events, stored in a MongoDB time-series collection
+const referralEventSchema = new mongoose.Schema({
+  timestamp: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  meta: {
+    referral: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Referral',
+      required: true
+    },
+    brand: {
+      type: String,
+      required: true
+    },
+    type: {
+      type: String,
+      enum: EVENT_TYPES,
+      required: true
+    }
+  },
+  // Same format as Vote.voterKey, used for unique visitor counts
+  visitorKey: {
+    type: String,
+    required: true
+  }
+}, {
+  timeseries: {
+    timeField: 'timestamp',
+    metaField: 'meta',
+    granularity: 'minutes'
+  },
+  expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60,
+  versionKey: false
+});
+
+referralEventSchema.index({ 'meta.referral': 1, timestamp: -1 });
+referralEventSchema.index({ 'meta.brand': 1, timestamp: -1 });
+
+/**
+ * Record a click or copy
+ * @param {string} type - "click" or "copy"
+ * @param {Object} referral - Referral document (needs _id and brand)
+ * @param {string} visitorKey - Identifies the visitor for unique counts
+ */
+referralEventSchema.statics.record = function (type, referral, visitorKey) {
+  return this.create({
+    meta: { referral: referral._id, brand: referral.brand, type },
+    visitorKey
+  });
+};
+
+const ReferralEvent = mongoose.model('ReferralEvent', referralEventSchema);
+
+module.exports = ReferralEvent;
+module.exports.EVENT_TYPES = EVENT_TYPES;
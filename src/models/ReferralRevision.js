@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const { OFFER_FIELDS, offerTermsFields } = require('./offerTerms');
+
+// Fields a revision captures and a restore puts back
+const TRACKED_FIELDS = ['brand', 'code', 'link', 'tags', 'description', 'expirationDate', ...OFFER_FIELDS];
+const REVISION_ACTIONS = ['create', 'update', 'delete', 'restore', 'revert'];
+
+// One entry per change to a referral, holding its state after the change
+const referralRevisionSchema = new mongoose.Schema({
+  referral: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Referral',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: REVISION_ACTIONS,
+    required: true
+  },
+  snapshot: {
+    brand: String,
+    code: String,
+    link: String,
+    tags: [String],
+    description: String,
+    expirationDate: Date,
+    ...offerTermsFields
+  },
+  // Tracked fields that this change modified
+  changes: [{
+    type: String
+  }],
+  // Null for changes made by the scraper or before history was kept
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // For "revert", the revision that was restored
+  revertedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReferralRevision',
+    default: null
+  },
+  // For "delete" when duplicates are merged, the referral that absorbed this one
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Referral',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+referralRevisionSchema.index({ referral: 1, createdAt: -1 });
+
+// Copy the tracked fields off a referral, with rewards as plain objects
+const takeSnapshot = (referral) => TRACKED_FIELDS.reduce((snapshot, field) => {
+  const value = referral[field];
+  if (Array.isArray(value)) return { ...snapshot, [field]: [...value] };
+  if (value && typeof value.toObject === 'function') return { ...snapshot, [field]: value.toObject() };
+  return { ...snapshot, [field]: value };
+}, {});
+
+// Tracked fields that differ between two snapshots
+const changedFields = (before, after) => TRACKED_FIELDS
+  .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+
+/**
+ * Record a change to a referral. Referrals created before history was kept
+ * (or by the scraper) get a "create" entry for their previous state first,
+ * so that state can still be restored.
+ * @param {Object} referral - Referral document after the change
+ * @param {string} action - One of REVISION_ACTIONS
+ * @param {Object} actor - User making the change, or null
+ * @param {Object} options - { before, changes, revertedFrom, mergedInto };
+ *   before is the snapshot from ahead of the change
+ * @returns {Promise<Object>} - The new revision
+ */
+referralRevisionSchema.statics.record = async function (referral, action, actor, options = {}) {
+  const { before, changes = [], revertedFrom = null, mergedInto = null } = options;
+
+  if (before && !(await this.exists({ referral: referral._id }))) {
+    await this.create({
+      referral: referral._id,
+      action: 'create',
+      snapshot: before,
+      changes: TRACKED_FIELDS,
+      actor: referral.owner || null,
+      createdAt: referral.postDate
+    });
+  }
+
+  return this.create({
+    referral: referral._id,
+    action,
+    snapshot: takeSnapshot(referral),
+    changes,
+    actor: actor ? actor._id : null,
+    revertedFrom,
+    mergedInto
+  });
+};
+
+referralRevisionSchema.statics.takeSnapshot = takeSnapshot;
+referralRevisionSchema.statics.changedFields = changedFields;
+
+const ReferralRevision = mongoose.model('ReferralRevision', referralRevisionSchema);
+
+module.exports = ReferralRevision;
+module.exports.TRACKED_FIELDS = TRACKED_FIELDS;
+module.exports.REVISION_ACTIONS = REVISION_ACTIONS;
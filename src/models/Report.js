@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const REPORT_REASONS = ['expired', 'spam', 'duplicate', 'malicious'];
+const REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+const RESOLUTION_ACTIONS = ['none', 'invalidate', 'delete'];
+
+const reportSchema = new mongoose.Schema({
+  referral: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Referral',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: [true, 'Report reason is required']
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Details must be at most 1000 characters'],
+    default: ''
+  },
+  // Same format as Vote.voterKey: "user:<id>" or "fp:<hash>"
+  reporterKey: {
+    type: String,
+    required: true
+  },
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: REPORT_STATUSES,
+    default: 'open'
+  },
+  resolution: {
+    action: {
+      type: String,
+      enum: RESOLUTION_ACTIONS
+    },
+    note: {
+      type: String,
+      trim: true
+    }
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One open report per reporter per referral
+reportSchema.index(
+  { referral: 1, reporterKey: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+reportSchema.index({ status: 1, createdAt: 1 });
+
+const Report = mongoose.model('Report', reportSchema);
+
+module.exports = Report;
+module.exports.REPORT_REASONS = REPORT_REASONS;
+module.exports.RESOLUTION_ACTIONS = RESOLUTION_ACTIONS;
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+// Per-source, per-channel (e.g. per-subreddit or per-feed) scraper progress. lastSeen*
+// marks the newest post handled by the last completed run; run* and
+// resumeAfter track a run in progress so an interrupted run can pick up
+// where it stopped.
+const scrapeStateSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    required: true
+  },
+  channel: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['idle', 'running'],
+    default: 'idle'
+  },
+  lastSeenId: {
+    type: String,
+    default: null
+  },
+  lastSeenCreatedUtc: {
+    type: Number,
+    default: null
+  },
+  runNewestId: {
+    type: String,
+    default: null
+  },
+  runNewestCreatedUtc: {
+    type: Number,
+    default: null
+  },
+  resumeAfter: {
+    type: String,
+    default: null
+  },
+  runStartedAt: {
+    type: Date,
+    default: null
+  },
+  lastRunCompletedAt: {
+    type: Date,
+    default: null
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+scrapeStateSchema.index({ source: 1, channel: 1 }, { unique: true });
+
+// Load the state for a source/channel, creating it on first use
+scrapeStateSchema.statics.load = function (source, channel) {
+  return this.findOneAndUpdate(
+    { source, channel },
+    { $setOnInsert: { source, channel } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// True when a previous run stopped before finishing
+scrapeStateSchema.methods.isInterrupted = function () {
+  return this.status === 'running';
+};
+
+// Start a fresh run (no-op when resuming an interrupted one)
+scrapeStateSchema.methods.beginRun = async function () {
+  if (this.isInterrupted()) return this;
+
+  this.status = 'running';
+  this.runNewestId = null;
+  this.runNewestCreatedUtc = null;
+  this.resumeAfter = null;
+  this.runStartedAt = new Date();
+  this.updatedAt = new Date();
+  return this.save();
+};
+
+// True if the post is newer than anything a completed run has handled.
+// Posts without a timestamp are always treated as unseen.
+scrapeStateSchema.methods.isUnseen = function (createdUtc) {
+  if (createdUtc === null || createdUtc === undefined) return true;
+  return this.lastSeenCreatedUtc === null || createdUtc > this.lastSeenCreatedUtc;
+};
+
+// Remember the newest post of this run; it becomes lastSeen when the run completes
+scrapeStateSchema.methods.recordNewest = async function (id, createdUtc) {
+  if (createdUtc === null || createdUtc === undefined) return this;
+  if (this.runNewestCreatedUtc !== null && createdUtc <= this.runNewestCreatedUtc) return this;
+
+  this.runNewestId = id;
+  this.runNewestCreatedUtc = createdUtc;
+  this.updatedAt = new Date();
+  return this.save();
+};
+
+// Persist the pagination cursor after posts have been handled
+scrapeStateSchema.methods.checkpoint = async function (after) {
+  this.resumeAfter = after;
+  this.updatedAt = new Date();
+  return this.save();
+};
+
+// Finish the run and advance the lastSeen marker
+scrapeStateSchema.methods.completeRun = async function () {
+  if (this.runNewestId) {
+    this.lastSeenId = this.runNewestId;
+    this.lastSeenCreatedUtc = this.runNewestCreatedUtc;
+  }
+  this.status = 'idle';
+  this.runNewestId = null;
+  this.runNewestCreatedUtc = null;
+  this.resumeAfter = null;
+  this.lastRunCompletedAt = new Date();
+  this.updatedAt = new Date();
+  return this.save();
+};
+
+const ScrapeState = mongoose.model('ScrapeState', scrapeStateSchema);
+
+module.exports = ScrapeState;
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// A user's request to be told when a referral, or any referral for a brand, expires
+const subscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['referral', 'brand'],
+    required: true
+  },
+  referral: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Referral',
+    default: null
+  },
+  brand: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+subscriptionSchema.index(
+  { user: 1, referral: 1 },
+  { unique: true, partialFilterExpression: { type: 'referral' } }
+);
+subscriptionSchema.index(
+  { user: 1, brand: 1 },
+  { unique: true, partialFilterExpression: { type: 'brand' } }
+);
+subscriptionSchema.index({ referral: 1 });
+subscriptionSchema.index({ brand: 1 });
+
+const Subscription = mongoose.model('Subscription', subscriptionSchema);
+
+module.exports = Subscription;
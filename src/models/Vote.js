@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// A single voter's up/down vote and "worked / didn't work" report for a referral.
+// voterKey is "user:<id>" for logged-in users or "fp:<hash>" for anonymous clients.
+const voteSchema = new mongoose.Schema({
+  referral: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Referral',
+    required: true
+  },
+  voterKey: {
+    type: String,
+    required: true
+  },
+  value: {
+    type: Number,
+    enum: [-1, 0, 1],
+    default: 0
+  },
+  worked: {
+    type: Boolean,
+    default: null
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+voteSchema.index({ referral: 1, voterKey: 1 }, { unique: true });
+
+const Vote = mongoose.model('Vote', voteSchema);
+
+module.exports = Vote;
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// Structured offer terms shared by live and staged referrals: what each side
+// of the referral gets and who the offer is open to.
+
+// What a reward is paid in. Money rewards carry a currency; percent and
+// points rewards don't.
+const REWARD_TYPES = ['cash', 'credit', 'discount', 'percent', 'points'];
+const MONEY_REWARD_TYPES = ['cash', 'credit', 'discount'];
+
+// Referral fields holding offer terms
+const OFFER_FIELDS = ['referrerReward', 'refereeReward', 'minimumSpend', 'eligibleCountries', 'newCustomersOnly'];
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+const COUNTRY_PATTERN = /^[A-Z]{2}$/;
+
+const currency = {
+  type: String,
+  trim: true,
+  uppercase: true,
+  match: [CURRENCY_PATTERN, 'Currency must be a 3-letter ISO 4217 code']
+};
+
+// "$10 off" is { type: 'discount', amount: 10, currency: 'USD' },
+// "500 points" is { type: 'points', amount: 500 }
+const rewardSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: REWARD_TYPES,
+    required: [true, 'Reward type is required']
+  },
+  amount: {
+    type: Number,
+    min: [0, 'Reward amount cannot be negative'],
+    required: [true, 'Reward amount is required']
+  },
+  currency: {
+    ...currency,
+    required: [function () {
+      return MONEY_REWARD_TYPES.includes(this.type);
+    }, 'Currency is required for cash, credit and discount rewards']
+  }
+}, { _id: false });
+
+const minimumSpendSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    min: [0, 'Minimum spend cannot be negative'],
+    required: [true, 'Minimum spend amount is required']
+  },
+  currency: {
+    ...currency,
+    required: [true, 'Minimum spend currency is required']
+  }
+}, { _id: false });
+
+// Schema paths to spread into a model's schema
+const offerTermsFields = {
+  referrerReward: rewardSchema,
+  refereeReward: rewardSchema,
+  minimumSpend: minimumSpendSchema,
+  // ISO 3166-1 alpha-2 codes; empty means the offer isn't limited by country
+  eligibleCountries: [{
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [COUNTRY_PATTERN, 'Countries must be 2-letter ISO 3166-1 codes']
+  }],
+  newCustomersOnly: {
+    type: Boolean,
+    default: false
+  }
+};
+
+/**
+ * Copy the offer terms that are set off referral data or a document, as plain values
+ * @param {Object} data - Referral data, or a Referral or PendingReferral document
+ * @returns {Object} - Offer fields, leaving out null and undefined ones
+ */
+const pickOfferTerms = (data) => OFFER_FIELDS
+  .filter(field => data[field] !== undefined && data[field] !== null)
+  .reduce((picked, field) => {
+    const value = data[field];
+    if (typeof value.toObject === 'function') return { ...picked, [field]: value.toObject() };
+    return { ...picked, [field]: Array.isArray(value) ? [...value] : value };
+  }, {});
+
+module.exports = {
+  REWARD_TYPES,
+  MONEY_REWARD_TYPES,
+  OFFER_FIELDS,
+  offerTermsFields,
+  pickOfferTerms
+};
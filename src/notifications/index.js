@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const Referral = require('../models/Referral');
+const Subscription = require('../models/Subscription');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { logger } = require('../utils/logger');
+
+const EXPIRING_WITHIN_DAYS = parseInt(process.env.NOTIFY_EXPIRING_DAYS || 3);
+const EXPIRED_LOOKBACK_DAYS = parseInt(process.env.NOTIFY_EXPIRED_LOOKBACK_DAYS || 7);
+const DIGEST_INTERVAL_HOURS = parseInt(process.env.DIGEST_INTERVAL_HOURS || 24);
+const MAX_SEND_ATTEMPTS = parseInt(process.env.NOTIFY_MAX_ATTEMPTS || 3);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Queue "expiring" and "expired" notifications for every subscriber of a
+ * referral (directly or through its brand). Each event is keyed by user,
+ * referral, kind and expiration date, so running this repeatedly never queues
+ * duplicates, but a referral whose expiry is extended is announced again.
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} - Number of newly queued notifications
+ */
+const queueExpiryNotifications = async (now = new Date()) => {
+  const referrals = await Referral.find({
+    expirationDate: {
+      $gte: new Date(now.getTime() - EXPIRED_LOOKBACK_DAYS * DAY_MS),
+      $lte: new Date(now.getTime() + EXPIRING_WITHIN_DAYS * DAY_MS)
+    },
+    deletedAt: null
+  })
+    .select('brand code link expirationDate')
+    .lean();
+
+  if (referrals.length === 0) return 0;
+
+  const subscriptions = await Subscription.find({
+    $or: [
+      { type: 'referral', referral: { $in: referrals.map(referral => referral._id) } },
+      { type: 'brand', brand: { $in: [...new Set(referrals.map(referral => referral.brand))] } }
+    ]
+  }).lean();
+
+  if (subscriptions.length === 0) return 0;
+
+  const operations = [];
+  for (const referral of referrals) {
+    const subscribers = new Set(subscriptions
+      .filter(sub => (sub.type === 'referral' && sub.referral.equals(referral._id)) ||
+        (sub.type === 'brand' && sub.brand === referral.brand))
+      .map(sub => sub.user.toString()));
+
+    const kind = referral.expirationDate <= now ? 'expired' : 'expiring';
+
+    for (const user of subscribers) {
+      const dedupeKey = `${user}:${referral._id}:${kind}:${referral.expirationDate.toISOString()}`;
+      operations.push({
+        updateOne: {
+          filter: { dedupeKey },
+          update: {
+            $setOnInsert: {
+              user,
+              referral: referral._id,
+              kind,
+              dedupeKey,
+              brand: referral.brand,
+              code: referral.code,
+              link: referral.link,
+              expirationDate: referral.expirationDate,
+              createdAt: now
+            }
+          },
+          upsert: true
+        }
+      });
+    }
+  }
+
+  if (operations.length === 0) return 0;
+
+  const result = await Notification.bulkWrite(operations, { ordered: false });
+  return result.upsertedCount;
+};
+
+// Render one line per referral, grouped into "expiring" and "expired" sections
+const formatDigest = (user, notifications) => {
+  const describe = (n) => {
+    const what = [n.code && `code ${n.code}`, n.link].filter(Boolean).join(' / ');
+    const when = n.expirationDate ? n.expirationDate.toISOString().split('T')[0] : 'unknown date';
+    return `- ${n.brand}: ${what} (${when})`;
+  };
+
+  const expiring = notifications.filter(n => n.kind === 'expiring');
+  const expired = notifications.filter(n => n.kind === 'expired');
+
+  const sections = [];
+  if (expiring.length > 0) {
+    sections.push(`Expiring in the next ${EXPIRING_WITHIN_DAYS} days:\n${expiring.map(describe).join('\n')}`);
+  }
+  if (expired.length > 0) {
+    sections.push(`Expired:\n${expired.map(describe).join('\n')}`);
+  }
+
+  return {
+    to: user.email,
+    subject: `ReferMii: ${notifications.length} referral update${notifications.length === 1 ? '' : 's'}`,
+    text: `Hi ${user.username},\n\n${sections.join('\n\n')}\n\nManage your subscriptions in ReferMii.`
+  };
+};
+
+/**
+ * Send one digest per user with pending notifications, at most once every
+ * DIGEST_INTERVAL_HOURS. Notifications are claimed before sending, so a
+ * crash mid-send leaves them in "sending" rather than risking a second email.
+ * @param {Object} transport - Transport with send({ to, subject, text })
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} - { digestsSent, notificationsSent, failures }
+ */
+const sendDigests = async (transport, now = new Date()) => {
+  const summary = { digestsSent: 0, notificationsSent: 0, failures: 0 };
+
+  const userIds = await Notification.distinct('user', { status: 'pending' });
+  if (userIds.length === 0) return summary;
+
+  const cutoff = new Date(now.getTime() - DIGEST_INTERVAL_HOURS * 60 * 60 * 1000);
+  const users = await User.find({
+    _id: { $in: userIds },
+    $or: [{ lastDigestAt: null }, { lastDigestAt: { $lte: cutoff } }]
+  });
+
+  for (const user of users) {
+    const batchId = crypto.randomUUID();
+    await Notification.updateMany(
+      { user: user._id, status: 'pending' },
+      { status: 'sending', batchId }
+    );
+
+    const notifications = await Notification.find({ batchId }).sort({ expirationDate: 1 }).lean();
+    if (notifications.length === 0) continue;
+
+    try {
+      await transport.send(formatDigest(user, notifications));
+
+      await Notification.updateMany({ batchId }, { status: 'sent', sentAt: now });
+      await User.updateOne({ _id: user._id }, { lastDigestAt: now });
+
+      summary.digestsSent++;
+      summary.notificationsSent += notifications.length;
+    } catch (error) {
+      logger.error('Error sending digest', { err: error, userId: user._id.toString() });
+      summary.failures++;
+
+      // Put them back for the next run, giving up after MAX_SEND_ATTEMPTS
+      await Notification.updateMany(
+        { batchId },
+        { status: 'pending', batchId: null, lastError: error.message, $inc: { attempts: 1 } }
+      );
+      await Notification.updateMany(
+        { _id: { $in: notifications.map(n => n._id) }, attempts: { $gte: MAX_SEND_ATTEMPTS } },
+        { status: 'failed' }
+      );
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  queueExpiryNotifications,
+  sendDigests,
+  formatDigest
+};
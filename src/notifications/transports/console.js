@@ -0,0 +1,14 @@
+/**
+ * Development transport that writes messages to the console instead of sending them
+ * @returns {Object} - Transport with send({ to, subject, text, html })
+ */
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log(`[notification] To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`);
+    return { accepted: [message.to] };
+  },
+  close: () => {}
+});
+
+module.exports = createConsoleTransport;
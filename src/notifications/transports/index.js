@@ -0,0 +1,28 @@
+const createSmtpTransport = require('./smtp');
+const createConsoleTransport = require('./console');
+
+// Transport factories by name. Register more with registerTransport().
+const factories = {
+  smtp: createSmtpTransport,
+  console: createConsoleTransport
+};
+
+const registerTransport = (name, factory) => {
+  factories[name] = factory;
+};
+
+/**
+ * Create a transport by name (defaults to NOTIFICATION_TRANSPORT, then smtp)
+ * @param {string} name - Registered transport name
+ * @param {Object} options - Passed to the transport factory
+ * @returns {Object} - Transport with send({ to, subject, text, html })
+ */
+const createTransport = (name = process.env.NOTIFICATION_TRANSPORT || 'smtp', options = {}) => {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown notification transport: ${name}`);
+  }
+  return factory(options);
+};
+
+module.exports = { createTransport, registerTransport };
@@ -0,0 +1,34 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP transport backed by nodemailer
+ * @param {Object} options - { host, port, secure, user, pass, from }
+ * @returns {Object} - Transport with send({ to, subject, text, html })
+ */
+const createSmtpTransport = (options = {}) => {
+  const config = {
+    host: options.host || process.env.SMTP_HOST || 'localhost',
+    port: parseInt(options.port || process.env.SMTP_PORT || 587),
+    secure: (options.secure !== undefined ? options.secure : process.env.SMTP_SECURE === 'true'),
+    user: options.user || process.env.SMTP_USER,
+    pass: options.pass || process.env.SMTP_PASS,
+    from: options.from || process.env.SMTP_FROM || 'ReferMii <no-reply@refermii.local>'
+  };
+
+  const mailer = nodemailer.createTransport({
+    host: config.host,
+    port: config.port,
+    secure: config.secure,
+    auth: config.user ? { user: config.user, pass: config.pass } : undefined,
+    // Local sinks and dev servers usually have no valid certificate
+    tls: { rejectUnauthorized: process.env.SMTP_REJECT_UNAUTHORIZED !== 'false' }
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => mailer.sendMail({ from: config.from, ...message }),
+    close: () => mailer.close()
+  };
+};
+
+module.exports = createSmtpTransport;
@@ -0,0 +1,101 @@
+const { createStore, registerStore } = require('./stores');
+const { logger } = require('../utils/logger');
+
+// Limits by rule name. Within each window, one IP may make perIp requests
+// and one signed-in user perUser requests; either limit on its own can trip.
+const DEFAULT_LIMITS = {
+  auth: { windowSeconds: 15 * 60, perIp: 20 },
+  'referral.write': { windowSeconds: 60 * 60, perIp: 60, perUser: 30 },
+  import: { windowSeconds: 60 * 60, perIp: 10, perUser: 5 },
+  feedback: { windowSeconds: 60, perIp: 30, perUser: 20 },
+  subscriptions: { windowSeconds: 60 * 60, perIp: 60, perUser: 30 }
+};
+
+// RATE_LIMITS holds JSON overrides, e.g. {"referral.write":{"perUser":10}}
+const parseOverrides = () => {
+  try {
+    return JSON.parse(process.env.RATE_LIMITS || '{}');
+  } catch (error) {
+    logger.error('Ignoring invalid RATE_LIMITS', { err: error });
+    return {};
+  }
+};
+
+const overrides = parseOverrides();
+const LIMITS = Object.keys(DEFAULT_LIMITS).reduce((limits, name) => ({
+  ...limits,
+  [name]: { ...DEFAULT_LIMITS[name], ...overrides[name] }
+}), {});
+
+// IPs and user ids that skip rate limits and spam checks, such as the host
+// the scraper runs on or its service account
+const ALLOWLIST = new Set((process.env.RATE_LIMIT_ALLOWLIST || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean));
+
+const isAllowlisted = (req) => ALLOWLIST.has(req.ip) ||
+  Boolean(req.user && ALLOWLIST.has(req.user._id.toString()));
+
+let store = null;
+
+const getStore = () => {
+  if (!store) store = createStore();
+  return store;
+};
+
+// Swap the counter store, e.g. for one shared between server processes
+const setStore = (newStore) => {
+  store = newStore;
+};
+
+/**
+ * Middleware enforcing a named limit. Use after the auth middleware so
+ * per-user limits apply to signed-in requests.
+ * @param {string} name - Key of LIMITS
+ * @returns {Function} - Express middleware
+ */
+const rateLimit = (name) => {
+  const rule = LIMITS[name];
+  if (!rule) {
+    throw new Error(`Unknown rate limit: ${name}`);
+  }
+  const windowMs = rule.windowSeconds * 1000;
+
+  return async (req, res, next) => {
+    if (isAllowlisted(req)) return next();
+
+    const checks = [];
+    if (rule.perIp) checks.push({ key: `${name}:ip:${req.ip}`, max: rule.perIp });
+    if (rule.perUser && req.user) checks.push({ key: `${name}:user:${req.user._id}`, max: rule.perUser });
+
+    try {
+      const results = await Promise.all(checks.map(async check => ({
+        ...check,
+        ...(await getStore().increment(check.key, windowMs))
+      })));
+
+      const exceeded = results.filter(result => result.count > result.max);
+      if (exceeded.length > 0) {
+        const resetAt = Math.max(...exceeded.map(result => result.resetAt.getTime()));
+        res.set('Retry-After', String(Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1)));
+        return res.status(429).json({ message: 'Too many requests, please try again later' });
+      }
+    } catch (error) {
+      // Fail open: a broken store shouldn't take the API down with it
+      req.log.error('Rate limit store error', { err: error, limit: name });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMITS,
+  LIMITS,
+  rateLimit,
+  isAllowlisted,
+  getStore,
+  setStore,
+  registerStore
+};
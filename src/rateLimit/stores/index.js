@@ -0,0 +1,30 @@
+const createMemoryStore = require('./memory');
+
+// Store factories by name. Register more with registerStore().
+const factories = {
+  memory: createMemoryStore
+};
+
+const registerStore = (name, factory) => {
+  factories[name] = factory;
+};
+
+/**
+ * Create a counter store by name (defaults to RATE_LIMIT_STORE, then memory).
+ * A store implements:
+ *   increment(key, windowMs) -> Promise<{ count, resetAt }>
+ *     Count a hit against key in the current window of windowMs milliseconds
+ *   reset(key) -> Promise
+ * @param {string} name - Registered store name
+ * @param {Object} options - Passed to the store factory
+ * @returns {Object}
+ */
+const createStore = (name = process.env.RATE_LIMIT_STORE || 'memory', options = {}) => {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown rate limit store: ${name}`);
+  }
+  return factory(options);
+};
+
+module.exports = { createStore, registerStore };
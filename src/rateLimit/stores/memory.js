@@ -0,0 +1,42 @@
+// Sweep expired windows after this many increments
+const SWEEP_EVERY = 1000;
+
+/**
+ * In-process fixed-window counter store. Counts are lost on restart and are
+ * not shared between server processes; register a shared store for that.
+ * @returns {Object} - Store with increment(key, windowMs) and reset(key)
+ */
+const createMemoryStore = () => {
+  const windows = new Map();
+  let operations = 0;
+
+  const sweep = (now) => {
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) windows.delete(key);
+    }
+  };
+
+  return {
+    name: 'memory',
+
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      if (++operations % SWEEP_EVERY === 0) sweep(now);
+
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+
+      entry.count++;
+      return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    },
+
+    reset: async (key) => {
+      windows.delete(key);
+    }
+  };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,74 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const { signToken, requireAuth } = require('../middleware/auth');
+const { rateLimit } = require('../rateLimit');
+
+const router = express.Router();
+
+const limitAuth = rateLimit('auth');
+
+const validateRegistration = [
+  body('username').trim().isLength({ min: 3, max: 32 }).withMessage('Username must be 3-32 characters'),
+  body('email').trim().isEmail().withMessage('Valid email is required'),
+  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+];
+
+const validateLogin = [
+  body('email').trim().notEmpty().withMessage('Email is required'),
+  body('password').notEmpty().withMessage('Password is required')
+];
+
+// Register a new user
+router.post('/register', limitAuth, validateRegistration, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { username, email, password } = req.body;
+
+    const existing = await User.findOne({
+      $or: [{ username }, { email: email.toLowerCase() }]
+    });
+    if (existing) {
+      return res.status(409).json({ message: 'Username or email already in use' });
+    }
+
+    // Role is never taken from the request body; admins are promoted manually
+    const user = new User({ username, email });
+    await user.setPassword(password);
+    await user.save();
+
+    res.status(201).json({ token: signToken(user), user });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Log in with email and password
+router.post('/login', limitAuth, validateLogin, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findOne({ email: req.body.email.toLowerCase() }).select('+passwordHash');
+    if (!user || !(await user.comparePassword(req.body.password))) {
+      return res.status(401).json({ message: 'Invalid email or password' });
+    }
+
+    res.json({ token: signToken(user), user });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the currently authenticated user
+router.get('/me', requireAuth, (req, res) => {
+  res.json(req.user);
+});
+
+module.exports = router;
@@ -0,0 +1,336 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Brand = require('../models/Brand');
+const Referral = require('../models/Referral');
+const ReferralRevision = require('../models/ReferralRevision');
+const AuditLog = require('../models/AuditLog');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { escapeRegExp, sanitizeSearch } = require('../utils/search');
+const { normalizeBrandKey } = require('../utils/brandKey');
+const { ROTATION_STRATEGIES, DEFAULT_STRATEGY, pickReferral } = require('../utils/rotation');
+
+const router = express.Router();
+
+const requireAdmin = [requireAuth, requireRole('admin')];
+
+const validateBrand = [
+  body('name').optional().isString().trim().notEmpty().withMessage('Brand name cannot be empty'),
+  body('aliases').optional().isArray().withMessage('Aliases must be an array'),
+  body('aliases.*').isString().trim().notEmpty().withMessage('Aliases must be non-empty strings'),
+  body('domain').optional().isString().trim(),
+  body('logoUrl').optional({ values: 'falsy' }).isURL().withMessage('Logo URL must be a valid URL'),
+  body('category').optional().isString().trim()
+];
+
+const EDITABLE_FIELDS = ['name', 'aliases', 'domain', 'logoUrl', 'category'];
+
+const pickEditable = (data) => EDITABLE_FIELDS
+  .filter(field => data[field] !== undefined)
+  .reduce((picked, field) => ({ ...picked, [field]: data[field] }), {});
+
+const loadBrand = async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ message: 'Brand not found' });
+  }
+
+  req.brand = await Brand.findById(req.params.id);
+  if (!req.brand) {
+    return res.status(404).json({ message: 'Brand not found' });
+  }
+  next();
+};
+
+const isDuplicateKeyError = (error) => error.code === 11000;
+
+/**
+ * Move every referral from one brand name to another, saving each one so it
+ * is re-validated and gets a revision. A live referral that would duplicate
+ * a live one already filed under the target is soft-deleted instead, with a
+ * revision, so it can still be restored. Deleted copies under the target
+ * never count as duplicates; one that holds the exact brand, code and link a
+ * live referral needs is purged (its revisions are kept). Deleted referrals
+ * that would clash under the target stay where they are.
+ * @param {string} fromName - Brand name to move referrals from
+ * @param {string} toName - Canonical brand name to move them to
+ * @param {Object} actor - Admin making the change
+ * @returns {Promise<Object>} - { moved, duplicatesRemoved, removedIds, purgedIds }
+ */
+const moveReferrals = async (fromName, toName, actor) => {
+  const result = { moved: 0, duplicatesRemoved: 0, removedIds: [], purgedIds: [] };
+
+  const referrals = await Referral.find({ brand: fromName });
+  for (const referral of referrals) {
+    const query = Referral.duplicateQuery(toName, referral.code, referral.link, referral._id);
+    const liveDuplicate = !referral.deletedAt && query && await Referral.exists({ ...query, deletedAt: null });
+
+    if (liveDuplicate) {
+      const before = ReferralRevision.takeSnapshot(referral);
+      referral.deletedAt = new Date();
+      await referral.save();
+      await ReferralRevision.record(referral, 'delete', actor, { before });
+      result.duplicatesRemoved++;
+      result.removedIds.push(referral._id);
+      continue;
+    }
+
+    // Saving re-validates the referral against the target brand's rules and
+    // bumps its version, so clients holding its old ETag have to reload it
+    const before = ReferralRevision.takeSnapshot(referral);
+    referral.brand = toName;
+    try {
+      await referral.save();
+    } catch (error) {
+      if (!isDuplicateKeyError(error)) throw error;
+      if (referral.deletedAt) continue;
+
+      // Only a deleted copy can hold the key here; the live referral wins
+      const blocker = await Referral.findOneAndDelete({
+        brand: toName, code: referral.code ?? null, link: referral.link ?? null, deletedAt: { $ne: null }
+      });
+      if (!blocker) throw error;
+      result.purgedIds.push(blocker._id);
+      await referral.save();
+    }
+    await ReferralRevision.record(referral, 'update', actor, { before, changes: ['brand'] });
+    result.moved++;
+  }
+
+  return result;
+};
+
+// List brands, optionally filtered by category or name prefix
+router.get('/', async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.category) {
+      filter.category = req.query.category;
+    }
+
+    const q = sanitizeSearch(req.query.q);
+    if (q) {
+      filter.name = new RegExp(`^${escapeRegExp(q)}`, 'i');
+    }
+
+    const brands = await Brand.find(filter).sort({ name: 1 }).lean();
+
+    const counts = await Referral.aggregate([
+      { $match: { brand: { $in: brands.map(brand => brand.name) }, isValid: true, expirationDate: { $gt: new Date() }, deletedAt: null } },
+      { $group: { _id: '$brand', count: { $sum: 1 } } }
+    ]);
+    const countByName = new Map(counts.map(({ _id, count }) => [_id, count]));
+
+    res.json(brands.map(brand => ({ ...brand, referralCount: countByName.get(brand.name) || 0 })));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a single brand
+router.get('/:id', loadBrand, (req, res) => {
+  res.json(req.brand);
+});
+
+// Serve one of the brand's referrals, rotating between them so every
+// contributor gets a share of the traffic
+router.get('/:brand/referral', async (req, res, next) => {
+  try {
+    const strategy = req.query.strategy || DEFAULT_STRATEGY;
+    if (!ROTATION_STRATEGIES.includes(strategy)) {
+      return res.status(400).json({
+        errors: [{ msg: `strategy must be one of: ${ROTATION_STRATEGIES.join(', ')}`, param: 'strategy' }]
+      });
+    }
+
+    const brand = await Brand.findByNameOrAlias(req.params.brand);
+    if (!brand) {
+      return res.status(404).json({ message: 'Brand not found' });
+    }
+
+    const referral = await pickReferral(brand, strategy);
+    if (!referral) {
+      return res.status(404).json({ message: 'No active referrals for this brand' });
+    }
+
+    res.json({ brand: brand.name, strategy, referral });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a brand
+router.post('/', requireAdmin, validateBrand, body('name').exists().withMessage('Brand name is required'), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const brand = await Brand.create(pickEditable(req.body));
+    await AuditLog.record(req.user, 'brand.create', 'Brand', brand._id, { name: brand.name });
+    res.status(201).json(brand);
+  } catch (error) {
+    if (isDuplicateKeyError(error)) {
+      return res.status(409).json({ message: 'A brand with this name or alias already exists' });
+    }
+    next(error);
+  }
+});
+
+// Update a brand. Renaming keeps the old name as an alias and moves its referrals.
+router.put('/:id', requireAdmin, loadBrand, validateBrand, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const brand = req.brand;
+    const previousName = brand.name;
+    Object.assign(brand, pickEditable(req.body));
+
+    const renamed = brand.name !== previousName;
+    if (renamed && !brand.aliases.includes(previousName)) {
+      brand.aliases.push(previousName);
+    }
+
+    await brand.save();
+
+    const result = renamed ? await moveReferrals(previousName, brand.name, req.user) : null;
+    await AuditLog.record(req.user, 'brand.update', 'Brand', brand._id, {
+      changes: pickEditable(req.body),
+      previousName,
+      referrals: result
+    });
+    res.json({ brand, referrals: result });
+  } catch (error) {
+    if (isDuplicateKeyError(error)) {
+      return res.status(409).json({ message: 'Another brand already uses this name or alias' });
+    }
+    next(error);
+  }
+});
+
+// Delete a brand that no referrals use
+router.delete('/:id', requireAdmin, loadBrand, async (req, res, next) => {
+  try {
+    const inUse = await Referral.exists({ brand: req.brand.name });
+    if (inUse) {
+      return res.status(409).json({ message: 'Brand still has referrals; merge it into another brand instead' });
+    }
+
+    await req.brand.deleteOne();
+    await AuditLog.record(req.user, 'brand.delete', 'Brand', req.brand._id, { name: req.brand.name });
+    res.json({ message: 'Brand deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Add an alias
+router.post('/:id/aliases', requireAdmin, loadBrand, [
+  body('alias').isString().trim().notEmpty().withMessage('Alias is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const brand = req.brand;
+    if (!brand.aliases.includes(req.body.alias)) {
+      brand.aliases.push(req.body.alias);
+      await brand.save();
+    }
+
+    // Referrals already filed under the alias now belong to the canonical name
+    const result = req.body.alias !== brand.name
+      ? await moveReferrals(req.body.alias, brand.name, req.user)
+      : null;
+
+    await AuditLog.record(req.user, 'brand.alias.add', 'Brand', brand._id, { alias: req.body.alias, referrals: result });
+    res.json({ brand, referrals: result });
+  } catch (error) {
+    if (isDuplicateKeyError(error)) {
+      return res.status(409).json({ message: 'This alias already belongs to another brand; merge the brands instead' });
+    }
+    next(error);
+  }
+});
+
+// Remove an alias
+router.delete('/:id/aliases/:alias', requireAdmin, loadBrand, async (req, res, next) => {
+  try {
+    const brand = req.brand;
+    const key = normalizeBrandKey(req.params.alias);
+    const remaining = brand.aliases.filter(alias => normalizeBrandKey(alias) !== key);
+
+    if (remaining.length === brand.aliases.length) {
+      return res.status(404).json({ message: 'Alias not found' });
+    }
+
+    brand.aliases = remaining;
+    await brand.save();
+    await AuditLog.record(req.user, 'brand.alias.remove', 'Brand', brand._id, { alias: req.params.alias });
+    res.json(brand);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Merge another brand into this one. The source brand's name and aliases
+// become aliases of this brand, its referrals move here, and it is deleted.
+router.post('/:id/merge', requireAdmin, loadBrand, [
+  body('sourceId').custom(value => mongoose.isValidObjectId(value)).withMessage('Valid sourceId is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const target = req.brand;
+    if (target._id.equals(req.body.sourceId)) {
+      return res.status(400).json({ message: 'Cannot merge a brand into itself' });
+    }
+
+    const source = await Brand.findById(req.body.sourceId);
+    if (!source) {
+      return res.status(404).json({ message: 'Source brand not found' });
+    }
+
+    // Park the source's keys on a placeholder no normalized name can match,
+    // so the target can claim them, and hand them back if the target can't
+    // be saved. The source is only deleted once its referrals have moved.
+    await Brand.updateOne({ _id: source._id }, { keys: [`merging:${source._id}`] });
+
+    const names = [source.name, ...source.aliases];
+    names.forEach(name => {
+      if (name !== target.name && !target.aliases.includes(name)) {
+        target.aliases.push(name);
+      }
+    });
+
+    try {
+      await target.save();
+    } catch (error) {
+      await Brand.updateOne({ _id: source._id }, { keys: source.keys });
+      throw error;
+    }
+
+    const result = await moveReferrals(source.name, target.name, req.user);
+    await source.deleteOne();
+    await AuditLog.record(req.user, 'brand.merge', 'Brand', target._id, {
+      source: { id: source._id, name: source.name, aliases: source.aliases },
+      referrals: result
+    });
+    res.json({ brand: target, referrals: result });
+  } catch (error) {
+    if (isDuplicateKeyError(error)) {
+      return res.status(409).json({ message: 'Another brand already uses this name or alias' });
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
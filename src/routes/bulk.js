@@ -0,0 +1,293 @@
+const express = require('express');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const Referral = require('../models/Referral');
+const Brand = require('../models/Brand');
+const ReferralRevision = require('../models/ReferralRevision');
+const { requireAuth } = require('../middleware/auth');
+const { rateLimit } = require('../rateLimit');
+const { validateReferralData, isDuplicateError } = require('../utils/referralValidation');
+const { buildReferralListQuery } = require('../utils/referralQuery');
+const { parseCsv, formatRow } = require('../utils/csv');
+const { normalizeBrandKey } = require('../utils/brandKey');
+const { normalizeCodeKey, canonicalizeLink } = require('../utils/referralKeys');
+const { pickOfferTerms } = require('../models/offerTerms');
+
+// Mounted at /api/referrals, ahead of the /:id routes
+const router = express.Router();
+
+const IMPORT_MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS || 5000);
+const IMPORT_MAX_BYTES = process.env.IMPORT_MAX_BYTES || '5mb';
+const NDJSON_TYPES = ['application/x-ndjson', 'application/ndjson'];
+
+// Columns written by CSV export when no ?fields= projection is given
+const EXPORT_FIELDS = [
+  '_id', 'brand', 'code', 'link', 'tags', 'description', 'postDate', 'expirationDate', 'isValid', 'score',
+  'referrerReward', 'refereeReward', 'minimumSpend', 'eligibleCountries', 'newCustomersOnly'
+];
+
+// Object fields export as one CSV column per property, e.g. refereeReward.amount
+const NESTED_EXPORT_FIELDS = {
+  referrerReward: ['type', 'amount', 'currency'],
+  refereeReward: ['type', 'amount', 'currency'],
+  minimumSpend: ['amount', 'currency']
+};
+
+const optionalString = (value) => {
+  if (value === undefined || value === null) return undefined;
+  const trimmed = String(value).trim();
+  return trimmed === '' ? undefined : trimmed;
+};
+
+// Split a CSV list cell on ";" or "|"
+const toList = (value) => (typeof value === 'string' ? value.split(/[;|]/) : value);
+
+// Map an uploaded row onto referral fields. CSV tags and eligible countries
+// are separated by ";" or "|"; rewards and minimum spend are objects, so they
+// can only be given in NDJSON.
+const toReferralData = (row) => {
+  const tags = toList(row.tags);
+  const eligibleCountries = toList(row.eligibleCountries);
+
+  // CSV cells are strings; anything but true, false or blank is left for validation to reject
+  let newCustomersOnly = row.newCustomersOnly;
+  if (typeof newCustomersOnly === 'string' && ['true', 'false', ''].includes(newCustomersOnly.trim().toLowerCase())) {
+    newCustomersOnly = { true: true, false: false, '': undefined }[newCustomersOnly.trim().toLowerCase()];
+  }
+
+  return {
+    brand: optionalString(row.brand),
+    code: optionalString(row.code),
+    link: optionalString(row.link),
+    tags: Array.isArray(tags) ? tags.map(optionalString).filter(Boolean) : [],
+    description: optionalString(row.description) || '',
+    expirationDate: optionalString(row.expirationDate),
+    ...pickOfferTerms({
+      referrerReward: row.referrerReward,
+      refereeReward: row.refereeReward,
+      minimumSpend: row.minimumSpend,
+      eligibleCountries: Array.isArray(eligibleCountries) ? eligibleCountries.map(optionalString).filter(Boolean) : eligibleCountries,
+      newCustomersOnly
+    })
+  };
+};
+
+// Parse the upload into { row, data } entries, or { row, error } for lines that don't parse
+const parseUpload = (body, format) => {
+  if (format === 'csv') {
+    return parseCsv(body).map((record, index) => ({ row: index + 1, data: record }));
+  }
+
+  return body
+    .split(/\r?\n/)
+    .map((line, index) => ({ line: line.trim(), row: index + 1 }))
+    .filter(({ line }) => line !== '')
+    .map(({ line, row }) => {
+      try {
+        const data = JSON.parse(line);
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+          return { row, error: 'Each line must be a JSON object' };
+        }
+        return { row, data };
+      } catch (error) {
+        return { row, error: `Invalid JSON: ${error.message}` };
+      }
+    });
+};
+
+const detectFormat = (req) => {
+  if (req.query.format === 'csv' || req.query.format === 'ndjson') return req.query.format;
+  if (req.is('text/csv')) return 'csv';
+  if (req.is(NDJSON_TYPES)) return 'ndjson';
+  return null;
+};
+
+/**
+ * Import referrals from a CSV or NDJSON upload. Every row is validated first
+ * and reported as inserted, duplicate or invalid. With ?atomic=true nothing
+ * is inserted unless every row is valid.
+ */
+router.post('/import', requireAuth, rateLimit('import'), express.text({ type: ['text/csv', 'text/plain', ...NDJSON_TYPES], limit: IMPORT_MAX_BYTES }), async (req, res, next) => {
+  try {
+    const format = detectFormat(req);
+    if (!format || typeof req.body !== 'string') {
+      return res.status(415).json({ message: 'Upload CSV (text/csv) or NDJSON (application/x-ndjson), or pass ?format=csv|ndjson' });
+    }
+
+    const entries = parseUpload(req.body, format);
+    if (entries.length === 0) {
+      return res.status(400).json({ message: 'No rows found' });
+    }
+    if (entries.length > IMPORT_MAX_ROWS) {
+      return res.status(413).json({ message: `Imports are limited to ${IMPORT_MAX_ROWS} rows` });
+    }
+
+    const atomic = req.query.atomic === 'true';
+    const seenKeys = new Map();
+    const report = [];
+
+    // Pass 1: validate every row against the database and the rest of the file
+    for (const entry of entries) {
+      if (entry.error) {
+        report.push({ row: entry.row, status: 'invalid', errors: [entry.error] });
+        continue;
+      }
+
+      const data = toReferralData(entry.data);
+      data.brand = await Brand.resolveName(data.brand);
+
+      const errors = await validateReferralData(data);
+      if (isDuplicateError(errors)) {
+        report.push({ row: entry.row, status: 'duplicate', errors: errors.map(error => error.msg) });
+        continue;
+      }
+      if (errors.length > 0) {
+        report.push({ row: entry.row, status: 'invalid', errors: errors.map(error => error.msg) });
+        continue;
+      }
+
+      const brandKey = normalizeBrandKey(data.brand);
+      const keys = [
+        data.code && `${brandKey}|code|${normalizeCodeKey(data.code)}`,
+        data.link && `${brandKey}|link|${canonicalizeLink(data.link)}`
+      ].filter(Boolean);
+      const earlier = keys.map(key => seenKeys.get(key)).find(Boolean);
+      if (earlier) {
+        report.push({ row: entry.row, status: 'duplicate', errors: [`Duplicate of row ${earlier}`] });
+        continue;
+      }
+      keys.forEach(key => seenKeys.set(key, entry.row));
+
+      report.push({ row: entry.row, status: 'valid', data });
+    }
+
+    const summarize = () => ({
+      inserted: report.filter(r => r.status === 'inserted').length,
+      duplicates: report.filter(r => r.status === 'duplicate').length,
+      invalid: report.filter(r => r.status === 'invalid').length,
+      rows: report.map(({ data, ...rest }) => rest)
+    });
+
+    if (atomic && report.some(r => r.status !== 'valid')) {
+      return res.status(422).json({ message: 'Nothing was imported because some rows were rejected', ...summarize() });
+    }
+
+    // Pass 2: insert the valid rows
+    const insertedIds = [];
+    for (const entry of report.filter(r => r.status === 'valid')) {
+      try {
+        const referral = new Referral({
+          ...entry.data,
+          expirationDate: new Date(entry.data.expirationDate),
+          owner: req.user._id
+        });
+        await referral.save();
+        insertedIds.push(referral._id);
+        await ReferralRevision.record(referral, 'create', req.user);
+
+        entry.status = 'inserted';
+        entry.id = referral._id;
+      } catch (error) {
+        if (atomic) {
+          // Undo the rows inserted so far
+          await Referral.deleteMany({ _id: { $in: insertedIds } });
+          await ReferralRevision.deleteMany({ referral: { $in: insertedIds } });
+          report.filter(r => r.status === 'inserted').forEach(r => { r.status = 'valid'; delete r.id; });
+          entry.status = error.code === 11000 ? 'duplicate' : 'invalid';
+          entry.errors = [error.message];
+          return res.status(409).json({ message: 'Import rolled back', ...summarize() });
+        }
+
+        entry.status = error.code === 11000 ? 'duplicate' : 'invalid';
+        entry.errors = [error.message];
+      }
+    }
+
+    // New brand names join the catalog only once their referrals are in
+    const brands = new Set(report.filter(r => r.status === 'inserted').map(r => r.data.brand));
+    for (const brand of brands) {
+      await Brand.canonicalize(brand);
+    }
+
+    res.json(summarize());
+  } catch (error) {
+    next(error);
+  }
+});
+
+const exportColumns = (fields) => fields.flatMap(field => (NESTED_EXPORT_FIELDS[field]
+  ? NESTED_EXPORT_FIELDS[field].map(key => `${field}.${key}`)
+  : [field]));
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Look up a column's value, following dotted columns into nested objects.
+// Text that a spreadsheet would treat as a formula is prefixed with '.
+const exportValue = (referral, column) => {
+  const value = column.split('.').reduce((object, key) => (object === null || object === undefined ? undefined : object[key]), referral);
+  const text = Array.isArray(value) ? value.join(';') : value;
+  return typeof text === 'string' && FORMULA_PREFIX.test(text) ? `'${text}` : text;
+};
+
+// Export lines for each format, pulled from the cursor as the client reads them
+async function* csvLines(cursor, fields) {
+  const columns = exportColumns(fields);
+  yield formatRow(columns);
+  for await (const referral of cursor) {
+    yield formatRow(columns.map(column => exportValue(referral, column)));
+  }
+}
+
+async function* jsonLines(cursor) {
+  yield '[';
+  let first = true;
+  for await (const referral of cursor) {
+    yield `${first ? '' : ','}\n${JSON.stringify(referral)}`;
+    first = false;
+  }
+  yield '\n]\n';
+}
+
+/**
+ * Stream the referrals matching the list filters (see GET /api/referrals)
+ * as CSV or a JSON array. Pagination parameters are ignored.
+ */
+router.get('/export', async (req, res, next) => {
+  try {
+    const format = req.query.format || 'json';
+    if (format !== 'csv' && format !== 'json') {
+      return res.status(400).json({ errors: [{ msg: 'format must be "csv" or "json"', param: 'format' }] });
+    }
+
+    const { filter, sort, projection, errors } = await buildReferralListQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const fields = projection
+      ? ['_id', ...Object.keys(projection).filter(field => field !== 'relevance')]
+      : EXPORT_FIELDS;
+
+    const timestamp = new Date().toISOString().split('T')[0];
+    res.attachment(`referrals-${timestamp}.${format}`);
+    res.type(format === 'csv' ? 'text/csv' : 'application/json');
+
+    // pipeline waits for the client to drain and stops, closing the cursor,
+    // if the client disconnects mid-export
+    const cursor = Referral.find(filter, projection).sort(sort).lean().cursor();
+    const lines = format === 'csv' ? csvLines(cursor, fields) : jsonLines(cursor);
+    try {
+      await pipeline(Readable.from(lines), res);
+    } finally {
+      await cursor.close();
+    }
+  } catch (error) {
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
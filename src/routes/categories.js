@@ -0,0 +1,181 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Category = require('../models/Category');
+const Referral = require('../models/Referral');
+const AuditLog = require('../models/AuditLog');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { requestRun } = require('../jobs/scheduler');
+const { SLUG_PATTERN, descendantIds, buildCategoryTree } = require('../utils/categories');
+
+const router = express.Router();
+
+const requireEditor = [requireAuth, requireRole('editor', 'admin')];
+
+// Existing referrals pick up category edits through this job
+const RECATEGORIZE_JOB = 'recategorize-referrals';
+
+const validateCategory = [
+  body('name').optional().isString().trim().notEmpty().withMessage('Category name cannot be empty'),
+  body('slug').optional().isString().trim().toLowerCase().matches(SLUG_PATTERN)
+    .withMessage('Slug may only contain lowercase letters, digits and single dashes'),
+  body('parent').optional({ values: 'null' }).isString().trim().withMessage('Parent must be a category slug or null'),
+  body('synonyms').optional().isArray().withMessage('Synonyms must be an array'),
+  body('synonyms.*').isString().trim().notEmpty().withMessage('Synonyms must be non-empty strings'),
+  body('description').optional().isString().trim(),
+  body('order').optional().isInt().withMessage('Order must be an integer').toInt()
+];
+
+const EDITABLE_FIELDS = ['name', 'slug', 'synonyms', 'description', 'order'];
+
+const pickEditable = (data) => EDITABLE_FIELDS
+  .filter(field => data[field] !== undefined)
+  .reduce((picked, field) => ({ ...picked, [field]: data[field] }), {});
+
+const loadCategory = async (req, res, next) => {
+  req.category = await Category.findOne({ slug: req.params.slug });
+  if (!req.category) {
+    return res.status(404).json({ message: 'Category not found' });
+  }
+  next();
+};
+
+const duplicateResponse = (res) => res.status(409).json({ message: 'Another category already uses this name, slug or synonym' });
+
+// Live referrals grouped by the set of categories they are filed under
+const countGroups = () => Referral.aggregate([
+  { $match: { isValid: true, expirationDate: { $gt: new Date() }, deletedAt: null, 'categories.0': { $exists: true } } },
+  { $group: { _id: '$categories', count: { $sum: 1 } } },
+  { $project: { _id: 0, categories: '$_id', count: 1 } }
+]);
+
+const loadTree = async () => {
+  const [categories, groups] = await Promise.all([
+    Category.find().select('-keys').lean(),
+    countGroups()
+  ]);
+  return buildCategoryTree(categories, groups);
+};
+
+// Find a node in the tree, with the path of ancestors leading to it
+const findNode = (nodes, id, ancestors = []) => {
+  for (const node of nodes) {
+    if (String(node._id) === String(id)) return { node, ancestors };
+    const found = findNode(node.children, id, [...ancestors, node]);
+    if (found) return found;
+  }
+  return null;
+};
+
+// The parent named by slug in the body: undefined leaves it as is, null or ''
+// makes a top-level category, and false means no category has that slug
+const resolveParent = async (slug) => {
+  if (slug === undefined) return undefined;
+  if (!slug) return null;
+
+  const parent = await Category.findOne({ slug: slug.toLowerCase() }).select('_id').lean();
+  return parent ? parent._id : false;
+};
+
+const parentNotFound = (res) => res.status(400).json({ errors: [{ msg: 'Parent category not found', path: 'parent' }] });
+
+// The category tree, with referral counts per category and per subtree
+router.get('/', async (req, res, next) => {
+  try {
+    res.json(await loadTree());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// One category with its counts, subcategories and ancestors
+router.get('/:slug', loadCategory, async (req, res, next) => {
+  try {
+    const { node, ancestors } = findNode(await loadTree(), req.category._id);
+    res.json({
+      ...node,
+      ancestors: ancestors.map(({ _id, name, slug }) => ({ _id, name, slug }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a category
+router.post('/', requireEditor, validateCategory, body('name').exists().withMessage('Category name is required'), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const parent = await resolveParent(req.body.parent);
+    if (parent === false) {
+      return parentNotFound(res);
+    }
+
+    const category = await Category.create({ ...pickEditable(req.body), parent: parent || null });
+    await AuditLog.record(req.user, 'category.create', 'Category', category._id, { slug: category.slug });
+    await requestRun(RECATEGORIZE_JOB);
+    res.status(201).json(category);
+  } catch (error) {
+    if (error.code === 11000) {
+      return duplicateResponse(res);
+    }
+    next(error);
+  }
+});
+
+// Update a category, including moving it under another parent
+router.put('/:slug', requireEditor, loadCategory, validateCategory, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const parent = await resolveParent(req.body.parent);
+    if (parent === false) {
+      return parentNotFound(res);
+    }
+
+    const category = req.category;
+    if (parent !== undefined) {
+      const categories = await Category.find().select('_id parent').lean();
+      const below = descendantIds(categories, category._id);
+      if (parent && (parent.equals(category._id) || below.includes(String(parent)))) {
+        return res.status(400).json({ errors: [{ msg: 'A category cannot be moved under itself', path: 'parent' }] });
+      }
+      category.parent = parent;
+    }
+    Object.assign(category, pickEditable(req.body));
+    await category.save();
+
+    await AuditLog.record(req.user, 'category.update', 'Category', category._id, { changes: req.body });
+    await requestRun(RECATEGORIZE_JOB);
+    res.json(category);
+  } catch (error) {
+    if (error.code === 11000) {
+      return duplicateResponse(res);
+    }
+    next(error);
+  }
+});
+
+// Delete a category without subcategories. Referrals filed under it keep their tags.
+router.delete('/:slug', requireEditor, loadCategory, async (req, res, next) => {
+  try {
+    const category = req.category;
+    if (await Category.exists({ parent: category._id })) {
+      return res.status(409).json({ message: 'Category has subcategories; move or delete them first' });
+    }
+
+    await category.deleteOne();
+    const result = await Referral.updateMany({ categories: category._id }, { $pull: { categories: category._id } });
+    await AuditLog.record(req.user, 'category.delete', 'Category', category._id, { slug: category.slug });
+    res.json({ message: 'Category deleted successfully', referralsUpdated: result.modifiedCount });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,195 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Collection = require('../models/Collection');
+const Referral = require('../models/Referral');
+const AuditLog = require('../models/AuditLog');
+const { requireAuth, requireRole, optionalAuth } = require('../middleware/auth');
+const { SLUG_PATTERN } = require('../utils/categories');
+
+const router = express.Router();
+
+const EDITOR_ROLES = ['editor', 'admin'];
+const requireEditor = [requireAuth, requireRole(...EDITOR_ROLES)];
+const isEditor = (user) => Boolean(user && EDITOR_ROLES.includes(user.role));
+
+const validateCollection = [
+  body('title').optional().isString().trim().notEmpty().withMessage('Title cannot be empty'),
+  body('slug').optional().isString().trim().toLowerCase().matches(SLUG_PATTERN)
+    .withMessage('Slug may only contain lowercase letters, digits and single dashes'),
+  body('description').optional().isString().trim(),
+  body('order').optional().isInt().withMessage('Order must be an integer').toInt(),
+  body('published').optional().isBoolean({ strict: true }).withMessage('published must be true or false')
+];
+
+const validateItems = [
+  body('items').isArray({ max: Collection.MAX_ITEMS })
+    .withMessage(`Items must be an array of at most ${Collection.MAX_ITEMS} referrals`),
+  body('items.*.referral').custom(value => mongoose.isValidObjectId(value)).withMessage('Each item needs a referral ID'),
+  body('items.*.note').optional().isString().trim()
+];
+
+const EDITABLE_FIELDS = ['title', 'slug', 'description', 'order', 'published'];
+
+const pickEditable = (data) => EDITABLE_FIELDS
+  .filter(field => data[field] !== undefined)
+  .reduce((picked, field) => ({ ...picked, [field]: data[field] }), {});
+
+// Drafts are hidden from everyone but editors
+const loadCollection = async (req, res, next) => {
+  req.collection = await Collection.findOne({ slug: req.params.slug });
+  if (!req.collection || (!req.collection.published && !isEditor(req.user))) {
+    return res.status(404).json({ message: 'Collection not found' });
+  }
+  next();
+};
+
+const duplicateResponse = (res) => res.status(409).json({ message: 'Another collection already uses this slug' });
+
+// Referral IDs in the list that don't name a live referral
+const findMissingReferrals = async (items) => {
+  const ids = items.map(item => String(item.referral));
+  const found = await Referral.find({ _id: { $in: ids }, deletedAt: null }).select('_id').lean();
+  const foundIds = new Set(found.map(referral => String(referral._id)));
+  return ids.filter(id => !foundIds.has(id));
+};
+
+// Problems with a new item list: repeated or unknown referrals
+const checkItems = async (items) => {
+  const ids = items.map(item => String(item.referral));
+  const repeated = ids.filter((id, i) => ids.indexOf(id) !== i);
+  if (repeated.length > 0) {
+    return [{ msg: `Referrals listed more than once: ${[...new Set(repeated)].join(', ')}`, path: 'items' }];
+  }
+
+  const missing = await findMissingReferrals(items);
+  if (missing.length > 0) {
+    return [{ msg: `Referrals not found: ${missing.join(', ')}`, path: 'items' }];
+  }
+  return [];
+};
+
+// Published collections in order. Editors can pass status=draft or status=all.
+router.get('/', optionalAuth, async (req, res, next) => {
+  try {
+    const filter = { published: true };
+    if (isEditor(req.user) && req.query.status === 'draft') filter.published = false;
+    if (isEditor(req.user) && req.query.status === 'all') delete filter.published;
+
+    const collections = await Collection.find(filter)
+      .sort({ order: 1, publishedAt: -1, createdAt: -1 })
+      .lean();
+
+    res.json(collections.map(({ items, ...collection }) => ({ ...collection, itemCount: items.length })));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// A collection with its referrals in order. Referrals that were deleted,
+// invalidated or have expired since they were added are left out.
+router.get('/:slug', optionalAuth, loadCollection, async (req, res, next) => {
+  try {
+    const collection = req.collection;
+    const referrals = await Referral.find({
+      _id: { $in: collection.items.map(item => item.referral) },
+      deletedAt: null,
+      isValid: true,
+      expirationDate: { $gt: new Date() }
+    }).lean();
+    const byId = new Map(referrals.map(referral => [String(referral._id), referral]));
+
+    res.json({
+      ...collection.toObject(),
+      items: collection.items
+        .filter(item => byId.has(String(item.referral)))
+        .map(item => ({ note: item.note, referral: byId.get(String(item.referral)) }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a collection, as a draft unless published is true
+router.post('/', requireEditor, validateCollection, body('title').exists().withMessage('Title is required'), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const collection = await Collection.create({ ...pickEditable(req.body), createdBy: req.user._id });
+    await AuditLog.record(req.user, 'collection.create', 'Collection', collection._id, { slug: collection.slug });
+    res.status(201).json(collection);
+  } catch (error) {
+    if (error.code === 11000) {
+      return duplicateResponse(res);
+    }
+    next(error);
+  }
+});
+
+// Update a collection's details, its position or whether it is published
+router.put('/:slug', requireEditor, loadCollection, validateCollection, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const collection = req.collection;
+    const wasPublished = collection.published;
+    Object.assign(collection, pickEditable(req.body));
+    collection.updatedAt = new Date();
+    await collection.save();
+
+    let action = 'collection.update';
+    if (!wasPublished && collection.published) action = 'collection.publish';
+    if (wasPublished && !collection.published) action = 'collection.unpublish';
+    await AuditLog.record(req.user, action, 'Collection', collection._id, { changes: pickEditable(req.body) });
+    res.json(collection);
+  } catch (error) {
+    if (error.code === 11000) {
+      return duplicateResponse(res);
+    }
+    next(error);
+  }
+});
+
+// Replace the referrals in a collection; their order is the display order
+router.put('/:slug/items', requireEditor, loadCollection, validateItems, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const itemErrors = await checkItems(req.body.items);
+    if (itemErrors.length > 0) {
+      return res.status(400).json({ errors: itemErrors });
+    }
+
+    const collection = req.collection;
+    collection.items = req.body.items.map(item => ({ referral: item.referral, note: item.note || '' }));
+    collection.updatedAt = new Date();
+    await collection.save();
+
+    await AuditLog.record(req.user, 'collection.items', 'Collection', collection._id, { count: collection.items.length });
+    res.json(collection);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a collection; its referrals are untouched
+router.delete('/:slug', requireEditor, loadCollection, async (req, res, next) => {
+  try {
+    await req.collection.deleteOne();
+    await AuditLog.record(req.user, 'collection.delete', 'Collection', req.collection._id, { slug: req.collection.slug });
+    res.json({ message: 'Collection deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
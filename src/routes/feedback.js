@@ -0,0 +1,126 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Referral = require('../models/Referral');
+const Vote = require('../models/Vote');
+const Report = require('../models/Report');
+const ReferralEvent = require('../models/ReferralEvent');
+const { optionalAuth, requireAuth } = require('../middleware/auth');
+const { identifyVoter } = require('../middleware/voter');
+const { rateLimit } = require('../rateLimit');
+
+// Mounted at /api/referrals/:id
+const router = express.Router({ mergeParams: true });
+
+router.use(optionalAuth, identifyVoter);
+
+const limitFeedback = rateLimit('feedback');
+
+// Make sure the referral exists before recording anything against it
+const loadReferral = async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ message: 'Referral not found' });
+  }
+
+  const exists = await Referral.exists({ _id: req.params.id, deletedAt: null });
+  if (!exists) {
+    return res.status(404).json({ message: 'Referral not found' });
+  }
+  next();
+};
+
+// Store this voter's entry and return the refreshed totals
+const recordVote = async (req, update) => {
+  await Vote.findOneAndUpdate(
+    { referral: req.params.id, voterKey: req.voterKey },
+    { ...update, updatedAt: new Date() },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+
+  const referral = await Referral.recalculateFeedback(req.params.id);
+  return {
+    upvotes: referral.upvotes,
+    downvotes: referral.downvotes,
+    score: referral.score,
+    workedCount: referral.workedCount,
+    failedCount: referral.failedCount,
+    isValid: referral.isValid
+  };
+};
+
+// Upvote (1), downvote (-1) or clear (0) a referral
+router.post('/vote', limitFeedback, loadReferral, [
+  body('value').isIn([-1, 0, 1]).withMessage('Vote value must be -1, 0 or 1').toInt()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    res.json(await recordVote(req, { value: req.body.value }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Report that the code worked. Worked/failed reports can invalidate a
+// referral, so they need an account: an anonymous fingerprint is too cheap
+// to change.
+router.post('/worked', requireAuth, limitFeedback, loadReferral, async (req, res, next) => {
+  try {
+    res.json(await recordVote(req, { worked: true }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Report that the code did not work
+router.post('/failed', requireAuth, limitFeedback, loadReferral, async (req, res, next) => {
+  try {
+    res.json(await recordVote(req, { worked: false }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Record that the visitor copied the code
+router.post('/copy', limitFeedback, loadReferral, async (req, res, next) => {
+  try {
+    const referral = await Referral.findById(req.params.id).select('brand').lean();
+    await ReferralEvent.record('copy', referral, req.voterKey);
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Flag a referral for moderators
+router.post('/report', limitFeedback, loadReferral, [
+  body('reason').isIn(Report.REPORT_REASONS).withMessage(`Reason must be one of: ${Report.REPORT_REASONS.join(', ')}`),
+  body('details').optional().isString().trim().isLength({ max: 1000 }).withMessage('Details must be at most 1000 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const report = await Report.create({
+      referral: req.params.id,
+      reason: req.body.reason,
+      details: req.body.details,
+      reporterKey: req.voterKey,
+      reporter: req.user ? req.user._id : null
+    });
+
+    res.status(201).json(report);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'You have already reported this referral' });
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
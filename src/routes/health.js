@@ -0,0 +1,62 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { renderMetrics } = require('../utils/metrics');
+
+// Mounted at the root, outside /api, where probes and scrapers expect them
+const router = express.Router();
+
+const READY_TIMEOUT_MS = parseInt(process.env.READY_TIMEOUT_MS || 2000);
+
+const CONNECTION_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+const connectionState = () => CONNECTION_STATES[mongoose.connection.readyState] || 'unknown';
+
+// Ping MongoDB, giving up after READY_TIMEOUT_MS
+const pingDatabase = () => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error('MongoDB ping timed out')), READY_TIMEOUT_MS);
+  });
+  return Promise.race([mongoose.connection.db.admin().ping(), timeout])
+    .finally(() => clearTimeout(timer));
+};
+
+// Liveness: the process is serving and still has (or is getting) a connection.
+// Mongoose reconnects on its own, so only a dropped connection fails this.
+router.get('/healthz', (req, res) => {
+  const mongo = connectionState();
+  const healthy = mongo === 'connected' || mongo === 'connecting';
+  res.status(healthy ? 200 : 503).json({
+    status: healthy ? 'ok' : 'unavailable',
+    uptime: Math.round(process.uptime()),
+    mongo
+  });
+});
+
+// Readiness: MongoDB answers, so requests can be served
+router.get('/readyz', async (req, res) => {
+  const mongo = connectionState();
+  if (mongo !== 'connected') {
+    return res.status(503).json({ status: 'unavailable', mongo });
+  }
+
+  try {
+    await pingDatabase();
+    res.json({ status: 'ok', mongo });
+  } catch (error) {
+    req.log.warn('Readiness check failed', { err: error });
+    res.status(503).json({ status: 'unavailable', mongo });
+  }
+});
+
+// Prometheus metrics. Set METRICS_TOKEN to require it as a bearer token.
+router.get('/metrics', (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.get('Authorization') !== `Bearer ${token}`) {
+    return res.status(401).json({ message: 'Authentication required' });
+  }
+
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+module.exports = router;
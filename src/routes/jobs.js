@@ -0,0 +1,96 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Job = require('../models/Job');
+const JobRun = require('../models/JobRun');
+const AuditLog = require('../models/AuditLog');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { requestRun } = require('../jobs/scheduler');
+const { parsePaging } = require('../utils/paging');
+
+const router = express.Router();
+
+router.use(requireAuth, requireRole('admin'));
+
+const loadJob = async (req, res, next) => {
+  req.job = await Job.findOne({ name: req.params.name });
+  if (!req.job) {
+    return res.status(404).json({ message: 'Job not found' });
+  }
+  next();
+};
+
+// List jobs with their schedule, lock and last outcome
+router.get('/', async (req, res, next) => {
+  try {
+    res.json(await Job.find().sort({ name: 1 }).lean());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Run history, newest first
+router.get('/runs', async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.job) {
+      filter.job = req.query.job;
+    }
+    if (JobRun.JOB_RUN_STATUSES.includes(req.query.status)) {
+      filter.status = req.query.status;
+    }
+
+    const { page, limit, skip } = parsePaging(req.query);
+    const [runs, total] = await Promise.all([
+      JobRun.find(filter)
+        .sort({ startedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      JobRun.countDocuments(filter)
+    ]);
+
+    res.json({
+      data: runs,
+      meta: { total, page, limit, totalPages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Queue a job to run on the next scheduler poll
+router.post('/:name/run', loadJob, async (req, res, next) => {
+  try {
+    await requestRun(req.job.name);
+    const job = await Job.findById(req.job._id);
+
+    await AuditLog.record(req.user, 'job.run', 'Job', job._id, { name: job.name });
+    res.status(202).json(job);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Pause or resume a job
+router.patch('/:name', loadJob, [
+  body('enabled').isBoolean({ strict: true }).withMessage('enabled must be true or false')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const job = req.job;
+    job.enabled = req.body.enabled;
+    job.updatedAt = new Date();
+    await job.save();
+
+    await AuditLog.record(req.user, job.enabled ? 'job.enable' : 'job.disable', 'Job', job._id, { name: job.name });
+    res.json(job);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
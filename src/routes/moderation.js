@@ -0,0 +1,334 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Report = require('../models/Report');
+const Referral = require('../models/Referral');
+const ReferralRevision = require('../models/ReferralRevision');
+const AuditLog = require('../models/AuditLog');
+const PendingReferral = require('../models/PendingReferral');
+const Brand = require('../models/Brand');
+const { OFFER_FIELDS, pickOfferTerms } = require('../models/offerTerms');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { validateReferralData } = require('../utils/referralValidation');
+const { parsePaging } = require('../utils/paging');
+
+const router = express.Router();
+
+router.use(requireAuth, requireRole('admin'));
+
+const loadOpenReport = async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ message: 'Report not found' });
+  }
+
+  req.report = await Report.findById(req.params.id);
+  if (!req.report) {
+    return res.status(404).json({ message: 'Report not found' });
+  }
+  if (req.report.status !== 'open') {
+    return res.status(409).json({ message: `Report is already ${req.report.status}` });
+  }
+  next();
+};
+
+// List reports, oldest first, with the reported referral attached
+router.get('/reports', async (req, res, next) => {
+  try {
+    const filter = { status: req.query.status || 'open' };
+    if (req.query.reason) {
+      filter.reason = req.query.reason;
+    }
+    if (req.query.referral && mongoose.isValidObjectId(req.query.referral)) {
+      filter.referral = req.query.referral;
+    }
+
+    const { page, limit, skip } = parsePaging(req.query);
+    const [reports, total] = await Promise.all([
+      Report.find(filter)
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('referral')
+        .lean(),
+      Report.countDocuments(filter)
+    ]);
+
+    res.json({
+      data: reports,
+      meta: { total, page, limit, totalPages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Resolve a report. The action is applied to the referral and every other
+// open report against it is resolved along with this one.
+router.post('/reports/:id/resolve', loadOpenReport, [
+  body('action').isIn(Report.RESOLUTION_ACTIONS).withMessage(`Action must be one of: ${Report.RESOLUTION_ACTIONS.join(', ')}`),
+  body('note').optional().isString().trim()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { action, note } = req.body;
+    const referralId = req.report.referral;
+
+    if (action === 'invalidate') {
+      await Referral.updateOne({ _id: referralId }, { isValid: false, invalidatedBy: 'moderator', lastValidated: new Date() });
+    } else if (action === 'delete') {
+      const referral = await Referral.findOne({ _id: referralId, deletedAt: null });
+      if (referral) {
+        const before = ReferralRevision.takeSnapshot(referral);
+        referral.deletedAt = new Date();
+        await referral.save();
+        await ReferralRevision.record(referral, 'delete', req.user, { before });
+      }
+    }
+
+    const resolved = await Report.updateMany(
+      { referral: referralId, status: 'open' },
+      {
+        status: 'resolved',
+        resolution: { action, note },
+        resolvedBy: req.user._id,
+        resolvedAt: new Date()
+      }
+    );
+
+    await AuditLog.record(req.user, 'report.resolve', 'Report', req.report._id, {
+      referral: referralId,
+      action,
+      note,
+      reportsResolved: resolved.modifiedCount
+    });
+
+    res.json({ message: 'Report resolved', reportsResolved: resolved.modifiedCount });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Dismiss a single report without touching the referral
+router.post('/reports/:id/dismiss', loadOpenReport, [
+  body('note').optional().isString().trim()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const report = req.report;
+    report.status = 'dismissed';
+    report.resolution = { action: 'none', note: req.body.note };
+    report.resolvedBy = req.user._id;
+    report.resolvedAt = new Date();
+    await report.save();
+
+    await AuditLog.record(req.user, 'report.dismiss', 'Report', report._id, {
+      referral: report.referral,
+      note: req.body.note
+    });
+
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+const PENDING_EDITABLE_FIELDS = ['brand', 'code', 'link', 'tags', 'description', 'expirationDate', ...OFFER_FIELDS];
+
+const loadPendingReferral = async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ message: 'Pending referral not found' });
+  }
+
+  req.pending = await PendingReferral.findById(req.params.id);
+  if (!req.pending) {
+    return res.status(404).json({ message: 'Pending referral not found' });
+  }
+  if (req.pending.status !== 'pending') {
+    return res.status(409).json({ message: `Pending referral is already ${req.pending.status}` });
+  }
+  next();
+};
+
+// The fields a pending referral would be published with
+const toReferralData = (pending) => ({
+  brand: pending.brand,
+  code: pending.code,
+  link: pending.link,
+  tags: pending.tags,
+  description: pending.description,
+  ...pickOfferTerms(pending),
+  postDate: pending.postDate,
+  expirationDate: pending.expirationDate
+});
+
+// List staged referrals; lowest confidence first so doubtful ones get reviewed early
+router.get('/pending', async (req, res, next) => {
+  try {
+    const filter = { status: req.query.status || 'pending' };
+    if (req.query.source) {
+      filter.source = req.query.source;
+    }
+    const minConfidence = parseFloat(req.query.minConfidence);
+    if (!isNaN(minConfidence)) {
+      filter.confidence = { $gte: minConfidence };
+    }
+
+    const direction = req.query.order === 'desc' ? -1 : 1;
+    const { page, limit, skip } = parsePaging(req.query);
+    const [pending, total] = await Promise.all([
+      PendingReferral.find(filter)
+        .sort({ confidence: direction, createdAt: 1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      PendingReferral.countDocuments(filter)
+    ]);
+
+    res.json({
+      data: pending,
+      meta: { total, page, limit, totalPages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Edit a staged referral before approving it
+router.put('/pending/:id', loadPendingReferral, [
+  body('brand').optional().isString().trim().notEmpty().withMessage('Brand name cannot be empty'),
+  body('code').optional({ values: 'null' }).isString().trim(),
+  body('link').optional({ values: 'null' }).isString().trim(),
+  body('tags').optional().isArray().withMessage('Tags must be an array'),
+  body('tags.*').isString().trim(),
+  body('description').optional().isString().trim(),
+  body('expirationDate').optional().isISO8601().withMessage('Valid expiration date is required'),
+  body(['referrerReward', 'refereeReward', 'minimumSpend']).optional({ values: 'null' }).isObject()
+    .withMessage('Rewards and minimum spend must be objects or null'),
+  body('eligibleCountries').optional().isArray().withMessage('Eligible countries must be an array'),
+  body('newCustomersOnly').optional().isBoolean({ strict: true }).withMessage('newCustomersOnly must be true or false')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const pending = req.pending;
+    const changes = {};
+    PENDING_EDITABLE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => {
+        changes[field] = req.body[field];
+        pending[field] = req.body[field];
+      });
+
+    const validationErrors = await validateReferralData(toReferralData(pending));
+    pending.validationErrors = validationErrors.map(error => error.msg);
+    await pending.save();
+
+    await AuditLog.record(req.user, 'pending.edit', 'PendingReferral', pending._id, { changes });
+    res.json(pending);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Publish a staged referral
+router.post('/pending/:id/approve', loadPendingReferral, async (req, res, next) => {
+  try {
+    const pending = req.pending;
+    const data = toReferralData(pending);
+    data.brand = await Brand.resolveName(data.brand);
+
+    const validationErrors = await validateReferralData(data);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ errors: validationErrors });
+    }
+
+    const referral = await Referral.create({
+      ...data,
+      source: pending.source,
+      sourceId: pending.sourceId,
+      sourceUrl: pending.sourceUrl,
+      sourceChannel: pending.sourceChannel
+    });
+    await Brand.canonicalize(referral.brand);
+    await ReferralRevision.record(referral, 'create', req.user);
+
+    pending.status = 'approved';
+    pending.referral = referral._id;
+    pending.reviewedBy = req.user._id;
+    pending.reviewedAt = new Date();
+    await pending.save();
+
+    await AuditLog.record(req.user, 'pending.approve', 'PendingReferral', pending._id, { referral: referral._id });
+    res.status(201).json(referral);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reject a staged referral
+router.post('/pending/:id/reject', loadPendingReferral, [
+  body('reason').optional().isString().trim()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const pending = req.pending;
+    pending.status = 'rejected';
+    pending.rejectionReason = req.body.reason || null;
+    pending.reviewedBy = req.user._id;
+    pending.reviewedAt = new Date();
+    await pending.save();
+
+    await AuditLog.record(req.user, 'pending.reject', 'PendingReferral', pending._id, { reason: req.body.reason });
+    res.json(pending);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Browse the audit trail, newest first
+router.get('/audit', async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.action) {
+      filter.action = req.query.action;
+    }
+    if (req.query.targetId && mongoose.isValidObjectId(req.query.targetId)) {
+      filter.targetId = req.query.targetId;
+    }
+
+    const { page, limit, skip } = parsePaging(req.query);
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('actor', 'username')
+        .lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      data: entries,
+      meta: { total, page, limit, totalPages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
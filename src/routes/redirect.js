@@ -0,0 +1,39 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Referral = require('../models/Referral');
+const ReferralEvent = require('../models/ReferralEvent');
+const { optionalAuth } = require('../middleware/auth');
+const { identifyVoter } = require('../middleware/voter');
+
+// Mounted at /r
+const router = express.Router();
+
+// Log a click and send the visitor on to the referral link
+router.get('/:id', optionalAuth, identifyVoter, async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Referral not found' });
+    }
+
+    const referral = await Referral.findOne({ _id: req.params.id, deletedAt: null }).select('brand link').lean();
+    if (!referral) {
+      return res.status(404).json({ message: 'Referral not found' });
+    }
+    if (!referral.link) {
+      return res.status(404).json({ message: 'Referral has no link' });
+    }
+
+    // A failed write shouldn't stop the visitor from reaching the link
+    try {
+      await ReferralEvent.record('click', referral, req.voterKey);
+    } catch (error) {
+      req.log.error('Error recording click', { err: error, referralId: referral._id });
+    }
+
+    res.redirect(302, referral.link);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,250 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Brand = require('../models/Brand');
+const Referral = require('../models/Referral');
+const ReferralRevision = require('../models/ReferralRevision');
+const { requireAuth, canModifyReferral } = require('../middleware/auth');
+const { canonicalizeBrand } = require('../middleware/brand');
+const { rejectSpam } = require('../middleware/spam');
+const { rateLimit } = require('../rateLimit');
+const { buildReferralListQuery } = require('../utils/referralQuery');
+const { suggestBrands } = require('../utils/search');
+const { validateReferralData } = require('../utils/referralValidation');
+const { REFERRAL_INPUT_FIELDS, referralPatch } = require('../schemas/referral');
+const { validateSchema } = require('../schemas');
+const { referralETag, ifMatchPasses, preconditionFailed } = require('../utils/etag');
+
+// Mounted at /api/referrals, after the bulk routes
+const router = express.Router();
+
+const limitReferralWrites = rateLimit('referral.write');
+
+// Check the body against the referral schema, rejecting unknown fields,
+// and make sure it doesn't duplicate an existing referral (other than the
+// one being updated)
+const validateReferral = async (req, res, next) => {
+  try {
+    const excludeId = mongoose.isValidObjectId(req.params.id) ? req.params.id : undefined;
+    const errors = await validateReferralData(req.body, { strict: true, excludeId });
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// PATCH bodies are checked for shape here; the merged result is validated in the route
+const validateReferralPatch = (req, res, next) => {
+  const errors = validateSchema(referralPatch, req.body || {});
+  if (errors.length > 0) {
+    return res.status(400).json({ errors });
+  }
+  next();
+};
+
+// What a field is set to when a PATCH clears it with null
+const CLEARED_VALUES = {
+  code: undefined,
+  link: undefined,
+  tags: [],
+  description: '',
+  referrerReward: undefined,
+  refereeReward: undefined,
+  minimumSpend: undefined,
+  eligibleCountries: []
+};
+
+// Copy only the fields clients may set
+const pickInputFields = (data) => REFERRAL_INPUT_FIELDS
+  .filter(field => data[field] !== undefined)
+  .reduce((picked, field) => ({ ...picked, [field]: data[field] }), {});
+
+// List referrals with filters, sorting and pagination
+router.get('/', async (req, res, next) => {
+  try {
+    const { filter, sort, projection, page, limit, skip, errors } = await buildReferralListQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const [referrals, total] = await Promise.all([
+      Referral.find(filter, projection)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Referral.countDocuments(filter)
+    ]);
+
+    res.json({
+      data: referrals,
+      meta: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        hasNextPage: skip + referrals.length < total
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Add a referral
+router.post('/', requireAuth, limitReferralWrites, rejectSpam, canonicalizeBrand, validateReferral, async (req, res, next) => {
+  try {
+    const referral = new Referral({
+      ...pickInputFields(req.body),
+      tags: req.body.tags || [],
+      owner: req.user._id
+    });
+
+    await referral.save();
+    await Brand.canonicalize(referral.brand);
+    await ReferralRevision.record(referral, 'create', req.user);
+    res.set('ETag', referralETag(referral));
+    res.status(201).json(referral);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Autocomplete brand names
+router.get('/suggest', async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 10, 25);
+    const suggestions = await suggestBrands(Referral, req.query.q, limit);
+    res.json(suggestions);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a single referral by ID
+router.get('/:id', async (req, res, next) => {
+  try {
+    const referral = await Referral.findOne({ _id: req.params.id, deletedAt: null });
+    if (!referral) {
+      return res.status(404).json({ message: 'Referral not found' });
+    }
+    res.set('ETag', referralETag(referral));
+    res.json(referral);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update a referral
+router.put('/:id', requireAuth, limitReferralWrites, canonicalizeBrand, validateReferral, async (req, res, next) => {
+  try {
+    const referral = await Referral.findOne({ _id: req.params.id, deletedAt: null });
+    if (!referral) {
+      return res.status(404).json({ message: 'Referral not found' });
+    }
+
+    if (!canModifyReferral(req.user, referral)) {
+      return res.status(403).json({ message: 'You can only edit your own referrals' });
+    }
+    if (!ifMatchPasses(req.get('If-Match'), referralETag(referral))) {
+      return preconditionFailed(res);
+    }
+
+    // Update fields
+    const before = ReferralRevision.takeSnapshot(referral);
+    const updates = pickInputFields(req.body);
+    Object.keys(updates).forEach(key => {
+      referral[key] = updates[key];
+    });
+
+    const changes = ReferralRevision.changedFields(before, ReferralRevision.takeSnapshot(referral));
+    await referral.save();
+    if (changes.includes('brand')) await Brand.canonicalize(referral.brand);
+    if (changes.length > 0) {
+      await ReferralRevision.record(referral, 'update', req.user, { before, changes });
+    }
+    res.set('ETag', referralETag(referral));
+    res.json(referral);
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      return preconditionFailed(res);
+    }
+    next(error);
+  }
+});
+
+// Partially update a referral. Fields left out keep their values and null
+// clears an optional field. Send If-Match with the ETag from a previous
+// response to make sure nobody else changed the referral in between.
+router.patch('/:id', requireAuth, limitReferralWrites, validateReferralPatch, canonicalizeBrand, async (req, res, next) => {
+  try {
+    const referral = await Referral.findOne({ _id: req.params.id, deletedAt: null });
+    if (!referral) {
+      return res.status(404).json({ message: 'Referral not found' });
+    }
+
+    if (!canModifyReferral(req.user, referral)) {
+      return res.status(403).json({ message: 'You can only edit your own referrals' });
+    }
+    if (!ifMatchPasses(req.get('If-Match'), referralETag(referral))) {
+      return preconditionFailed(res);
+    }
+
+    const before = ReferralRevision.takeSnapshot(referral);
+    const updates = pickInputFields(req.body);
+
+    // The result has to be a valid referral that duplicates no other
+    const merged = { ...before, ...updates };
+    const errors = await validateReferralData(merged, { excludeId: referral._id });
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    Object.keys(updates).forEach(key => {
+      referral[key] = updates[key] === null ? CLEARED_VALUES[key] : updates[key];
+    });
+
+    const changes = ReferralRevision.changedFields(before, ReferralRevision.takeSnapshot(referral));
+    if (changes.length > 0) {
+      await referral.save();
+      if (changes.includes('brand')) await Brand.canonicalize(referral.brand);
+      await ReferralRevision.record(referral, 'update', req.user, { before, changes });
+    }
+    res.set('ETag', referralETag(referral));
+    res.json(referral);
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      return preconditionFailed(res);
+    }
+    next(error);
+  }
+});
+
+// Soft-delete a referral; it can be restored from POST /api/referrals/:id/restore
+router.delete('/:id', requireAuth, limitReferralWrites, async (req, res, next) => {
+  try {
+    const referral = await Referral.findOne({ _id: req.params.id, deletedAt: null });
+    if (!referral) {
+      return res.status(404).json({ message: 'Referral not found' });
+    }
+
+    if (!canModifyReferral(req.user, referral)) {
+      return res.status(403).json({ message: 'You can only delete your own referrals' });
+    }
+    if (!ifMatchPasses(req.get('If-Match'), referralETag(referral))) {
+      return preconditionFailed(res);
+    }
+
+    const before = ReferralRevision.takeSnapshot(referral);
+    referral.deletedAt = new Date();
+    await referral.save();
+    await ReferralRevision.record(referral, 'delete', req.user, { before });
+    res.json({ message: 'Referral deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,130 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Referral = require('../models/Referral');
+const ReferralRevision = require('../models/ReferralRevision');
+const Brand = require('../models/Brand');
+const { requireAuth, canModifyReferral } = require('../middleware/auth');
+const { rateLimit } = require('../rateLimit');
+const { validateReferralData } = require('../utils/referralValidation');
+const { referralETag, ifMatchPasses, preconditionFailed } = require('../utils/etag');
+
+// Mounted at /api/referrals/:id
+const router = express.Router({ mergeParams: true });
+
+// Load the referral, deleted or not, for its owner or an admin
+const loadOwnReferral = async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ message: 'Referral not found' });
+  }
+
+  req.referral = await Referral.findById(req.params.id);
+  if (!req.referral) {
+    return res.status(404).json({ message: 'Referral not found' });
+  }
+
+  if (!canModifyReferral(req.user, req.referral)) {
+    return res.status(403).json({ message: 'You can only manage your own referrals' });
+  }
+  next();
+};
+
+const limitReferralWrites = rateLimit('referral.write');
+
+const isDuplicateKeyError = (error) => error.code === 11000;
+
+// List a referral's revisions, newest first
+router.get('/revisions', requireAuth, loadOwnReferral, async (req, res, next) => {
+  try {
+    const revisions = await ReferralRevision.find({ referral: req.referral._id })
+      .sort({ createdAt: -1, _id: -1 })
+      .populate('actor', 'username')
+      .lean();
+
+    res.json({ referral: req.referral, revisions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Undo a delete. The referral has to pass the same checks as an edit, since
+// format rules may have changed and another referral may have taken its code.
+router.post('/restore', requireAuth, limitReferralWrites, loadOwnReferral, async (req, res, next) => {
+  try {
+    const referral = req.referral;
+    if (!referral.deletedAt) {
+      return res.status(409).json({ message: 'Referral is not deleted' });
+    }
+    if (!ifMatchPasses(req.get('If-Match'), referralETag(referral))) {
+      return preconditionFailed(res);
+    }
+
+    const errors = await validateReferralData(ReferralRevision.takeSnapshot(referral), { excludeId: referral._id });
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    referral.deletedAt = null;
+    await referral.save();
+    await ReferralRevision.record(referral, 'restore', req.user);
+    res.set('ETag', referralETag(referral));
+    res.json(referral);
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      return preconditionFailed(res);
+    }
+    next(error);
+  }
+});
+
+// Put the referral's fields back to how they were at an earlier revision
+router.post('/revisions/:revisionId/restore', requireAuth, limitReferralWrites, loadOwnReferral, async (req, res, next) => {
+  try {
+    const referral = req.referral;
+    if (referral.deletedAt) {
+      return res.status(409).json({ message: 'Restore the deleted referral before reverting it' });
+    }
+
+    const revision = mongoose.isValidObjectId(req.params.revisionId) &&
+      await ReferralRevision.findOne({ _id: req.params.revisionId, referral: referral._id });
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    if (!ifMatchPasses(req.get('If-Match'), referralETag(referral))) {
+      return preconditionFailed(res);
+    }
+
+    // The brand may have been renamed or merged since the revision was taken
+    const { snapshot } = revision.toObject();
+    snapshot.brand = await Brand.resolveName(snapshot.brand);
+
+    const errors = await validateReferralData(snapshot, { excludeId: referral._id });
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const before = ReferralRevision.takeSnapshot(referral);
+    ReferralRevision.TRACKED_FIELDS.forEach(field => {
+      referral[field] = snapshot[field];
+    });
+
+    const changes = ReferralRevision.changedFields(before, ReferralRevision.takeSnapshot(referral));
+    if (changes.length > 0) {
+      await referral.save();
+      if (changes.includes('brand')) await Brand.canonicalize(referral.brand);
+      await ReferralRevision.record(referral, 'revert', req.user, { before, changes, revertedFrom: revision._id });
+    }
+    res.set('ETag', referralETag(referral));
+    res.json(referral);
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      return preconditionFailed(res);
+    }
+    if (isDuplicateKeyError(error)) {
+      return res.status(409).json({ message: 'Another referral already uses this brand, code and link' });
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
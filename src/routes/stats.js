@@ -0,0 +1,152 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Referral = require('../models/Referral');
+const ReferralEvent = require('../models/ReferralEvent');
+const Brand = require('../models/Brand');
+
+const router = express.Router();
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 365;
+
+// Start of the reporting window, ?days= days ago
+const windowStart = (query) => {
+  const days = Math.min(Math.max(parseInt(query.days, 10) || DEFAULT_DAYS, 1), MAX_DAYS);
+  return { days, since: new Date(Date.now() - days * 24 * 60 * 60 * 1000) };
+};
+
+/**
+ * Daily click/copy counts and unique visitors for events matching a filter
+ * @param {Object} match - Filter on event meta fields
+ * @returns {Promise<Object>} - { totals, daily }
+ */
+const summarizeEvents = async (match) => {
+  const [result] = await ReferralEvent.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        daily: [
+          {
+            $group: {
+              _id: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } },
+              clicks: { $sum: { $cond: [{ $eq: ['$meta.type', 'click'] }, 1, 0] } },
+              copies: { $sum: { $cond: [{ $eq: ['$meta.type', 'copy'] }, 1, 0] } },
+              visitors: { $addToSet: '$visitorKey' }
+            }
+          },
+          { $project: { _id: 0, date: '$_id', clicks: 1, copies: 1, uniqueVisitors: { $size: '$visitors' } } },
+          { $sort: { date: 1 } }
+        ],
+        totals: [
+          {
+            $group: {
+              _id: null,
+              clicks: { $sum: { $cond: [{ $eq: ['$meta.type', 'click'] }, 1, 0] } },
+              copies: { $sum: { $cond: [{ $eq: ['$meta.type', 'copy'] }, 1, 0] } },
+              visitors: { $addToSet: '$visitorKey' }
+            }
+          },
+          { $project: { _id: 0, clicks: 1, copies: 1, uniqueVisitors: { $size: '$visitors' } } }
+        ]
+      }
+    }
+  ]);
+
+  return {
+    totals: result.totals[0] || { clicks: 0, copies: 0, uniqueVisitors: 0 },
+    daily: result.daily
+  };
+};
+
+/**
+ * Referrals with the most events, with their brand, code and link attached
+ * @param {Object} match - Filter on event meta fields
+ * @param {number} limit - Number of referrals to return
+ * @returns {Promise<Array>}
+ */
+const topReferrals = async (match, limit) => {
+  const top = await ReferralEvent.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$meta.referral',
+        clicks: { $sum: { $cond: [{ $eq: ['$meta.type', 'click'] }, 1, 0] } },
+        copies: { $sum: { $cond: [{ $eq: ['$meta.type', 'copy'] }, 1, 0] } },
+        total: { $sum: 1 }
+      }
+    },
+    { $sort: { total: -1 } },
+    { $limit: limit }
+  ]);
+
+  const referrals = await Referral.find({ _id: { $in: top.map(entry => entry._id) } })
+    .select('brand code link')
+    .lean();
+  const byId = new Map(referrals.map(referral => [referral._id.toString(), referral]));
+
+  return top.map(({ _id, clicks, copies, total }) => ({
+    referral: byId.get(_id.toString()) || { _id },
+    clicks,
+    copies,
+    total
+  }));
+};
+
+const parseLimit = (query) => Math.min(Math.max(parseInt(query.limit, 10) || 10, 1), 100);
+
+// Stats for a single referral
+router.get('/referrals/:id', async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Referral not found' });
+    }
+
+    const referral = await Referral.findById(req.params.id).select('brand code link').lean();
+    if (!referral) {
+      return res.status(404).json({ message: 'Referral not found' });
+    }
+
+    const { days, since } = windowStart(req.query);
+    const summary = await summarizeEvents({ 'meta.referral': referral._id, timestamp: { $gte: since } });
+
+    res.json({ referral, days, ...summary });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Stats for every referral of a brand
+router.get('/brands/:brand', async (req, res, next) => {
+  try {
+    const brand = await Brand.findByNameOrAlias(req.params.brand);
+    const brandName = brand ? brand.name : req.params.brand;
+
+    const { days, since } = windowStart(req.query);
+    const match = { 'meta.brand': brandName, timestamp: { $gte: since } };
+    const [summary, top] = await Promise.all([
+      summarizeEvents(match),
+      topReferrals(match, parseLimit(req.query))
+    ]);
+
+    res.json({ brand: brandName, days, ...summary, topReferrals: top });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Most used referrals across all brands
+router.get('/top', async (req, res, next) => {
+  try {
+    const { days, since } = windowStart(req.query);
+    const match = { timestamp: { $gte: since } };
+    if (ReferralEvent.EVENT_TYPES.includes(req.query.type)) {
+      match['meta.type'] = req.query.type;
+    }
+
+    res.json({ days, topReferrals: await topReferrals(match, parseLimit(req.query)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,84 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Subscription = require('../models/Subscription');
+const Referral = require('../models/Referral');
+const Brand = require('../models/Brand');
+const { requireAuth } = require('../middleware/auth');
+const { rateLimit } = require('../rateLimit');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+const validateSubscription = [
+  body('referral').optional().custom(value => mongoose.isValidObjectId(value)).withMessage('Invalid referral id'),
+  body('brand').optional().isString().trim().notEmpty().withMessage('Brand cannot be empty'),
+  body().custom(value => {
+    if (!!value.referral === !!value.brand) {
+      throw new Error('Provide either a referral or a brand');
+    }
+    return true;
+  })
+];
+
+// List the current user's subscriptions
+router.get('/', async (req, res, next) => {
+  try {
+    const subscriptions = await Subscription.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .populate('referral', 'brand code link expirationDate')
+      .lean();
+    res.json(subscriptions);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Subscribe to a referral or a brand
+router.post('/', rateLimit('subscriptions'), validateSubscription, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let subscription;
+    if (req.body.referral) {
+      const exists = await Referral.exists({ _id: req.body.referral, deletedAt: null });
+      if (!exists) {
+        return res.status(404).json({ message: 'Referral not found' });
+      }
+      subscription = { user: req.user._id, type: 'referral', referral: req.body.referral };
+    } else {
+      const brand = await Brand.canonicalize(req.body.brand);
+      subscription = { user: req.user._id, type: 'brand', brand };
+    }
+
+    res.status(201).json(await Subscription.create(subscription));
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'You are already subscribed' });
+    }
+    next(error);
+  }
+});
+
+// Unsubscribe
+router.delete('/:id', async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Subscription not found' });
+    }
+
+    const result = await Subscription.deleteOne({ _id: req.params.id, user: req.user._id });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Subscription not found' });
+    }
+    res.json({ message: 'Unsubscribed successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
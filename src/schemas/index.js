@@ -0,0 +1,78 @@
+const Ajv = require('ajv');
+
+// ISO 8601 date ("2025-12-31") or date-time, the same inputs isISO8601 accepted
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const ajv = new Ajv({ allErrors: true });
+
+ajv.addFormat('date-time', (value) => ISO_DATE.test(value) && !isNaN(new Date(value).getTime()));
+ajv.addFormat('uri', (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+});
+
+// Friendly error text, kept in the schema so the OpenAPI document carries it too
+ajv.addKeyword({ keyword: 'x-errorMessage', schemaType: 'string' });
+// Field an anyOf failure is reported against
+ajv.addKeyword({ keyword: 'x-anyOfParam', schemaType: 'string' });
+
+const compiled = new WeakMap();
+
+const getValidator = (schema) => {
+  if (!compiled.has(schema)) {
+    compiled.set(schema, ajv.compile(schema));
+  }
+  return compiled.get(schema);
+};
+
+// Turn Ajv errors into the { msg, param } objects the API already returns.
+// Only top-level fields are reported, one error per field.
+const formatErrors = (schema, ajvErrors) => {
+  const properties = schema.properties || {};
+  const messageFor = (param, fallback) =>
+    (properties[param] && properties[param]['x-errorMessage']) || fallback;
+
+  const errors = [];
+  for (const error of ajvErrors) {
+    // Branches of a failed anyOf are summed up by the anyOf error itself
+    if (error.schemaPath.startsWith('#/anyOf/')) continue;
+
+    let param;
+    let msg;
+    if (error.keyword === 'additionalProperties') {
+      param = error.params.additionalProperty;
+      msg = `Unknown field "${param}"`;
+    } else if (error.keyword === 'required' && error.instancePath === '') {
+      param = error.params.missingProperty;
+      msg = messageFor(param, `${param} is required`);
+    } else if (error.instancePath === '') {
+      // Rules on the object as a whole, like anyOf or minProperties
+      param = (error.keyword === 'anyOf' && schema['x-anyOfParam']) || '';
+      msg = schema['x-errorMessage'] || error.message;
+    } else {
+      param = error.instancePath.split('/')[1] || '';
+      msg = messageFor(param, `${param} ${error.message}`);
+    }
+
+    if (!errors.some(existing => existing.param === param)) {
+      errors.push({ msg, param });
+    }
+  }
+  return errors;
+};
+
+/**
+ * Validate a value against a JSON schema
+ * @param {Object} schema - JSON schema (also used in the OpenAPI document)
+ * @param {*} value - Value to check
+ * @returns {Array<Object>} - Errors as { msg, param }; empty when valid
+ */
+const validateSchema = (schema, value) => {
+  const validate = getValidator(schema);
+  return validate(value) ? [] : formatErrors(schema, validate.errors);
+};
+
+module.exports = { validateSchema };
@@ -0,0 +1,246 @@
+const { version } = require('../../package.json');
+const { referralInput, referralPatch, referral, revision } = require('./referral');
+const { SORT_FIELDS, PROJECTABLE_FIELDS } = require('../utils/referralQuery');
+const { ROTATION_STRATEGIES } = require('../utils/rotation');
+const { REWARD_TYPES } = require('../models/offerTerms');
+
+// Strip the keywords that only drive error messages
+const forDocs = (schema) => JSON.parse(JSON.stringify(schema, (key, value) =>
+  (key === 'x-errorMessage' || key === 'x-anyOfParam' ? undefined : value)));
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema) => ({ 'application/json': { schema } });
+
+const query = (name, schema, description) => ({ name, in: 'query', schema, description });
+const idParam = { name: 'id', in: 'path', required: true, schema: { type: 'string' } };
+const ifMatch = {
+  name: 'If-Match',
+  in: 'header',
+  schema: { type: 'string' },
+  description: 'ETag from an earlier response; the request fails with 412 if the referral changed since'
+};
+const etagHeader = { ETag: { schema: { type: 'string' }, description: 'Version of the referral' } };
+
+const errorResponses = {
+  ValidationError: {
+    description: 'The request failed validation',
+    content: json(ref('ValidationErrors'))
+  },
+  Unauthorized: { description: 'Missing or invalid token', content: json(ref('Message')) },
+  Forbidden: { description: 'Not the owner or an admin', content: json(ref('Message')) },
+  PreconditionFailed: { description: 'If-Match did not match the current ETag', content: json(ref('Message')) },
+  NotFound: { description: 'Not found', content: json(ref('Message')) },
+  TooManyRequests: {
+    description: 'Rate limit exceeded',
+    headers: { 'Retry-After': { schema: { type: 'integer' }, description: 'Seconds to wait' } },
+    content: json(ref('Message'))
+  }
+};
+
+const errors = (...names) => names.reduce((responses, name) => ({
+  ...responses,
+  [{ ValidationError: 400, Unauthorized: 401, Forbidden: 403, NotFound: 404, PreconditionFailed: 412, TooManyRequests: 429 }[name]]:
+    { $ref: `#/components/responses/${name}` }
+}), {});
+
+const listParameters = [
+  query('page', { type: 'integer', minimum: 1, default: 1 }),
+  query('limit', { type: 'integer', minimum: 1, maximum: 100, default: 20 }),
+  query('search', { type: 'string' }, 'Full-text search over brand, tags and description'),
+  query('brand', { type: 'string' }),
+  query('tags', { type: 'string' }, 'Comma-separated tags'),
+  query('tagsMode', { type: 'string', enum: ['any', 'all'], default: 'any' }),
+  query('category', { type: 'string' }, 'Category slug; includes its subcategories'),
+  query('rewardType', { type: 'string' }, `Comma-separated reward types for the referee: ${REWARD_TYPES.join(', ')}`),
+  query('currency', { type: 'string' }, 'Currency of the referee reward'),
+  query('minReward', { type: 'number', minimum: 0 }, 'Smallest referee reward amount'),
+  query('maxReward', { type: 'number', minimum: 0 }, 'Largest referee reward amount'),
+  query('country', { type: 'string' }, 'Offers open to this country, including those without a country limit'),
+  query('newCustomersOnly', { type: 'boolean' }, 'false leaves out offers for new customers only'),
+  query('includeExpired', { type: 'boolean', default: false }),
+  query('postedAfter', { type: 'string', format: 'date-time' }),
+  query('postedBefore', { type: 'string', format: 'date-time' }),
+  query('expiresAfter', { type: 'string', format: 'date-time' }),
+  query('expiresBefore', { type: 'string', format: 'date-time' }),
+  query('sort', { type: 'string', enum: Object.keys(SORT_FIELDS) }, 'reward sorts on the referee reward amount and needs one rewardType, plus currency for money rewards'),
+  query('order', { type: 'string', enum: ['asc', 'desc'] }),
+  query('fields', { type: 'string' }, `Comma-separated subset of: ${PROJECTABLE_FIELDS.join(', ')}`)
+];
+
+/**
+ * Build the OpenAPI 3 document for the referral API. Request bodies use the
+ * same schemas the API validates against.
+ * @returns {Object}
+ */
+const buildOpenApiDocument = () => ({
+  openapi: '3.0.3',
+  info: {
+    title: 'ReferMii API',
+    version,
+    description: 'Find, share and manage referral codes.'
+  },
+  servers: [{ url: '/' }],
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+    },
+    schemas: {
+      ReferralInput: forDocs(referralInput),
+      ReferralPatch: forDocs(referralPatch),
+      Referral: forDocs(referral),
+      Revision: forDocs(revision),
+      Message: { type: 'object', properties: { message: { type: 'string' } } },
+      ValidationErrors: {
+        type: 'object',
+        properties: {
+          errors: {
+            type: 'array',
+            items: { type: 'object', properties: { msg: { type: 'string' }, param: { type: 'string' } } }
+          }
+        }
+      }
+    },
+    responses: errorResponses
+  },
+  paths: {
+    '/api/referrals': {
+      get: {
+        summary: 'List referrals',
+        parameters: listParameters,
+        responses: {
+          200: {
+            description: 'A page of referrals',
+            content: json({
+              type: 'object',
+              properties: {
+                data: { type: 'array', items: ref('Referral') },
+                meta: {
+                  type: 'object',
+                  properties: {
+                    total: { type: 'integer' },
+                    page: { type: 'integer' },
+                    limit: { type: 'integer' },
+                    totalPages: { type: 'integer' },
+                    hasNextPage: { type: 'boolean' }
+                  }
+                }
+              }
+            })
+          },
+          ...errors('ValidationError')
+        }
+      },
+      post: {
+        summary: 'Add a referral',
+        security: [{ bearerAuth: [] }],
+        requestBody: { required: true, content: json(ref('ReferralInput')) },
+        responses: {
+          201: { description: 'Created', headers: etagHeader, content: json(ref('Referral')) },
+          ...errors('ValidationError', 'Unauthorized', 'TooManyRequests'),
+          422: { description: 'Rejected as likely spam', content: json(ref('Message')) }
+        }
+      }
+    },
+    '/api/referrals/{id}': {
+      parameters: [idParam],
+      get: {
+        summary: 'Get a referral',
+        responses: {
+          200: { description: 'The referral', headers: etagHeader, content: json(ref('Referral')) },
+          ...errors('NotFound')
+        }
+      },
+      put: {
+        summary: 'Replace a referral (owner or admin)',
+        security: [{ bearerAuth: [] }],
+        parameters: [ifMatch],
+        requestBody: { required: true, content: json(ref('ReferralInput')) },
+        responses: {
+          200: { description: 'The updated referral', headers: etagHeader, content: json(ref('Referral')) },
+          ...errors('ValidationError', 'Unauthorized', 'Forbidden', 'NotFound', 'PreconditionFailed', 'TooManyRequests')
+        }
+      },
+      patch: {
+        summary: 'Update some fields of a referral (owner or admin); null clears code, link, tags or description',
+        security: [{ bearerAuth: [] }],
+        parameters: [ifMatch],
+        requestBody: { required: true, content: json(ref('ReferralPatch')) },
+        responses: {
+          200: { description: 'The updated referral', headers: etagHeader, content: json(ref('Referral')) },
+          ...errors('ValidationError', 'Unauthorized', 'Forbidden', 'NotFound', 'PreconditionFailed', 'TooManyRequests')
+        }
+      },
+      delete: {
+        summary: 'Delete a referral (owner or admin); it can be restored later',
+        security: [{ bearerAuth: [] }],
+        parameters: [ifMatch],
+        responses: {
+          200: { description: 'Deleted', content: json(ref('Message')) },
+          ...errors('Unauthorized', 'Forbidden', 'NotFound', 'PreconditionFailed', 'TooManyRequests')
+        }
+      }
+    },
+    '/api/referrals/{id}/restore': {
+      parameters: [idParam],
+      post: {
+        summary: 'Restore a deleted referral (owner or admin)',
+        security: [{ bearerAuth: [] }],
+        parameters: [ifMatch],
+        responses: {
+          200: { description: 'The restored referral', headers: etagHeader, content: json(ref('Referral')) },
+          409: { description: 'The referral is not deleted', content: json(ref('Message')) },
+          ...errors('ValidationError', 'Unauthorized', 'Forbidden', 'NotFound', 'PreconditionFailed', 'TooManyRequests')
+        }
+      }
+    },
+    '/api/referrals/{id}/revisions': {
+      parameters: [idParam],
+      get: {
+        summary: 'List revisions, newest first (owner or admin)',
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: {
+            description: 'The referral and its revisions',
+            content: json({
+              type: 'object',
+              properties: { referral: ref('Referral'), revisions: { type: 'array', items: ref('Revision') } }
+            })
+          },
+          ...errors('Unauthorized', 'Forbidden', 'NotFound')
+        }
+      }
+    },
+    '/api/referrals/{id}/revisions/{revisionId}/restore': {
+      parameters: [idParam, { name: 'revisionId', in: 'path', required: true, schema: { type: 'string' } }],
+      post: {
+        summary: 'Revert a referral to an earlier revision (owner or admin)',
+        security: [{ bearerAuth: [] }],
+        parameters: [ifMatch],
+        responses: {
+          200: { description: 'The reverted referral', headers: etagHeader, content: json(ref('Referral')) },
+          409: { description: 'The referral is deleted, or the revision clashes with another referral', content: json(ref('Message')) },
+          ...errors('ValidationError', 'Unauthorized', 'Forbidden', 'NotFound', 'PreconditionFailed', 'TooManyRequests')
+        }
+      }
+    },
+    '/api/brands/{brand}/referral': {
+      parameters: [{ name: 'brand', in: 'path', required: true, schema: { type: 'string' } }],
+      get: {
+        summary: 'Serve one active referral for a brand, rotating between contributors',
+        parameters: [query('strategy', { type: 'string', enum: ROTATION_STRATEGIES })],
+        responses: {
+          200: {
+            description: 'The served referral',
+            content: json({
+              type: 'object',
+              properties: { brand: { type: 'string' }, strategy: { type: 'string' }, referral: ref('Referral') }
+            })
+          },
+          ...errors('ValidationError', 'NotFound')
+        }
+      }
+    }
+  }
+});
+
+module.exports = { buildOpenApiDocument };
@@ -0,0 +1,166 @@
+const { REVISION_ACTIONS } = require('../models/ReferralRevision');
+const { REWARD_TYPES, MONEY_REWARD_TYPES } = require('../models/offerTerms');
+
+// Request and response shapes for referrals. These drive request validation
+// (see utils/referralValidation) and the OpenAPI document at /api/docs.
+
+const currency = { type: 'string', pattern: '^[A-Za-z]{3}$', description: 'ISO 4217 code, e.g. USD' };
+
+// Percent and points rewards need no currency; money rewards do
+const reward = (description) => ({
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: REWARD_TYPES },
+    amount: { type: 'number', minimum: 0, maximum: 1000000 },
+    currency
+  },
+  required: ['type', 'amount'],
+  additionalProperties: false,
+  anyOf: [
+    { properties: { type: { enum: REWARD_TYPES.filter(type => !MONEY_REWARD_TYPES.includes(type)) } } },
+    { required: ['currency'] }
+  ],
+  description,
+  'x-errorMessage': 'Rewards need a type (cash, credit, discount, percent or points), an amount of 0 or more, and a currency for cash, credit and discount'
+});
+
+const referralFields = {
+  brand: {
+    type: 'string',
+    minLength: 1,
+    maxLength: 100,
+    pattern: '\\S',
+    description: 'Brand name; stored under its canonical catalog name',
+    'x-errorMessage': 'Brand name is required'
+  },
+  code: {
+    type: 'string',
+    maxLength: 100,
+    description: 'Referral or promo code',
+    'x-errorMessage': 'Code must be a string of at most 100 characters'
+  },
+  link: {
+    type: 'string',
+    format: 'uri',
+    maxLength: 2048,
+    description: 'Referral link; stored in canonical form',
+    'x-errorMessage': 'Link must be an http(s) URL of at most 2048 characters'
+  },
+  tags: {
+    type: 'array',
+    maxItems: 20,
+    items: { type: 'string', minLength: 1, maxLength: 50 },
+    'x-errorMessage': 'Tags must be a list of at most 20 strings of up to 50 characters'
+  },
+  description: {
+    type: 'string',
+    maxLength: 500,
+    'x-errorMessage': 'Description must be at most 500 characters'
+  },
+  referrerReward: reward('What the person sharing the referral gets'),
+  refereeReward: reward('What the person using the referral gets; the reward filters and sort=reward use this one'),
+  minimumSpend: {
+    type: 'object',
+    properties: {
+      amount: { type: 'number', minimum: 0, maximum: 1000000 },
+      currency
+    },
+    required: ['amount', 'currency'],
+    additionalProperties: false,
+    description: 'Spend needed to qualify for the reward',
+    'x-errorMessage': 'Minimum spend needs an amount of 0 or more and a currency'
+  },
+  eligibleCountries: {
+    type: 'array',
+    maxItems: 50,
+    items: { type: 'string', pattern: '^[A-Za-z]{2}$' },
+    description: 'ISO 3166-1 alpha-2 codes; empty means any country',
+    'x-errorMessage': 'Eligible countries must be a list of at most 50 two-letter country codes'
+  },
+  newCustomersOnly: {
+    type: 'boolean',
+    'x-errorMessage': 'newCustomersOnly must be true or false'
+  },
+  expirationDate: {
+    type: 'string',
+    format: 'date-time',
+    description: 'ISO 8601 date or date-time',
+    'x-errorMessage': 'Valid expiration date is required'
+  }
+};
+
+// Fields clients may set on a referral
+const REFERRAL_INPUT_FIELDS = Object.keys(referralFields);
+
+const referralInput = {
+  type: 'object',
+  properties: referralFields,
+  required: ['brand', 'expirationDate'],
+  additionalProperties: false,
+  anyOf: [{ required: ['code'] }, { required: ['link'] }],
+  'x-anyOfParam': 'code',
+  'x-errorMessage': 'Either code or link must be provided'
+};
+
+// PATCH body: any subset of the input fields. null clears an optional field.
+// The merged result is then checked against referralInput.
+const CLEARABLE_FIELDS = ['code', 'link', 'tags', 'description', 'referrerReward', 'refereeReward', 'minimumSpend', 'eligibleCountries'];
+const referralPatch = {
+  type: 'object',
+  properties: Object.keys(referralFields).reduce((fields, field) => ({
+    ...fields,
+    [field]: CLEARABLE_FIELDS.includes(field) ? { ...referralFields[field], nullable: true } : referralFields[field]
+  }), {}),
+  additionalProperties: false,
+  minProperties: 1,
+  'x-errorMessage': 'Provide at least one field to update'
+};
+
+const objectId = { type: 'string', pattern: '^[a-f0-9]{24}$' };
+const dateTime = { type: 'string', format: 'date-time' };
+
+// A referral as returned by the API
+const referral = {
+  type: 'object',
+  properties: {
+    _id: objectId,
+    ...referralFields,
+    expirationDate: dateTime,
+    categories: { type: 'array', items: objectId, description: 'Categories the tags map onto' },
+    postDate: dateTime,
+    isValid: { type: 'boolean' },
+    lastValidated: dateTime,
+    source: { type: 'string', description: '"user" for the API, otherwise the scraper source' },
+    sourceId: { type: 'string' },
+    sourceUrl: { type: 'string' },
+    sourceChannel: { type: 'string' },
+    owner: { ...objectId, nullable: true },
+    upvotes: { type: 'integer' },
+    downvotes: { type: 'integer' },
+    score: { type: 'integer' },
+    workedCount: { type: 'integer' },
+    failedCount: { type: 'integer' },
+    exposureCount: { type: 'integer' },
+    lastServedAt: { ...dateTime, nullable: true }
+  }
+};
+
+const revision = {
+  type: 'object',
+  properties: {
+    _id: objectId,
+    referral: objectId,
+    action: { type: 'string', enum: REVISION_ACTIONS },
+    snapshot: {
+      type: 'object',
+      properties: REFERRAL_INPUT_FIELDS.reduce((fields, field) => ({ ...fields, [field]: referral.properties[field] }), {})
+    },
+    changes: { type: 'array', items: { type: 'string' } },
+    actor: { nullable: true },
+    revertedFrom: { ...objectId, nullable: true },
+    mergedInto: { ...objectId, nullable: true },
+    createdAt: dateTime
+  }
+};
+
+module.exports = { REFERRAL_INPUT_FIELDS, referralInput, referralPatch, referral, revision };
@@ -0,0 +1,562 @@
+const path = require('path');
+const { createSource, fetchPosts } = require('../sources');
+const { parseSubredditUrl } = require('../sources/reddit');
+const { createExtractor } = require('../extractors');
+const { scoreExtraction } = require('../extractors/confidence');
+const { validateReferralData, isDuplicateError } = require('../utils/referralValidation');
+const Referral = require('../models/Referral');
+const Brand = require('../models/Brand');
+const ScrapeState = require('../models/ScrapeState');
+const PendingReferral = require('../models/PendingReferral');
+const Category = require('../models/Category');
+const { OFFER_FIELDS, pickOfferTerms } = require('../models/offerTerms');
+const { logger } = require('../utils/logger');
+const { metrics } = require('../utils/metrics');
+const { matchTagIndex } = require('../utils/categories');
+
+// Configuration
+const MAX_PAGES = parseInt(process.env.MAX_PAGES || 5);
+const GEMINI_BATCH_SIZE = parseInt(process.env.GEMINI_BATCH_SIZE || 10); // Number of posts to process per batch
+const GEMINI_RATE_LIMIT = parseInt(process.env.GEMINI_RATE_LIMIT || 15); // Requests per minute (rate-limited extractors only)
+const BATCH_DELAY = Math.ceil(60000 / GEMINI_RATE_LIMIT); // Milliseconds between requests to stay under rate limit
+
+const SCRAPER_MODES = ['live', 'stage', 'dry-run'];
+
+// What a handled referral counts as in the scraper_referrals_total metric
+const SAVED_OUTCOMES = { live: 'saved', stage: 'staged', 'dry-run': 'previewed' };
+
+const sleep = (ms) => (ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve());
+
+// Human-readable name for log lines
+const describeSource = (source) => (source.name === 'reddit' ? `r/${source.channel}` : `${source.name}:${source.channel}`);
+
+/**
+ * Drop posts that an earlier run already handled, either because they are
+ * older than the last-seen marker or because a referral was saved or staged from them
+ * @param {Object} state - ScrapeState document
+ * @param {Array} posts - Normalized posts
+ * @returns {Promise<Array>} - Posts still to be processed, in the same order
+ */
+async function filterUnseenPosts(state, posts) {
+    const newer = posts.filter(post => state.isUnseen(post.createdUtc));
+    if (newer.length === 0) return newer;
+
+    const query = { source: state.source, sourceId: { $in: newer.map(post => post.id) } };
+    const [saved, staged] = await Promise.all([
+        Referral.find(query).distinct('sourceId'),
+        PendingReferral.find(query).distinct('sourceId')
+    ]);
+
+    return newer.filter(post => !saved.includes(post.id) && !staged.includes(post.id));
+}
+
+/**
+ * Save referral data to MongoDB
+ * @param {Object} referralData - Extracted referral data
+ * @returns {Promise<boolean>} - Success status
+ */
+async function saveReferralToDb(referralData) {
+    if (!referralData || !referralData.brand || (!referralData.code && !referralData.link)) {
+        return false;
+    }
+
+    try {
+        // Map the extracted brand onto its canonical catalog name
+        referralData.brand = await Brand.resolveName(referralData.brand);
+
+        // Validate the referral data using the same logic as the API
+        const validationErrors = await validateReferralData(referralData);
+
+        if (validationErrors.length > 0) {
+            logger.info('Referral failed validation', { brand: referralData.brand, errors: validationErrors.map(error => error.msg) });
+            return false;
+        }
+
+        // Create and save new referral
+        const referral = new Referral({
+            brand: referralData.brand,
+            code: referralData.code,
+            link: referralData.link,
+            tags: referralData.tags || [],
+            description: referralData.description || '',
+            ...pickOfferTerms(referralData),
+            postDate: referralData.postDate,
+            expirationDate: new Date(referralData.expirationDate),
+            source: referralData.source,
+            sourceId: referralData.sourceId,
+            sourceUrl: referralData.sourceUrl,
+            sourceChannel: referralData.sourceChannel,
+            isValid: true,
+            lastValidated: new Date()
+        });
+
+        await referral.save();
+        await Brand.canonicalize(referral.brand);
+        logger.info('Saved referral', { brand: referralData.brand, referralId: referral._id.toString() });
+        return true;
+    } catch (error) {
+        metrics.scraperErrors.inc({ stage: 'save' });
+        logger.error('Error saving referral to database', { err: error, brand: referralData.brand });
+        return false;
+    }
+}
+
+/**
+ * Stage referral data in the review queue instead of publishing it
+ * @param {Object} referralData - Extracted referral data
+ * @returns {Promise<boolean>} - True if the referral was queued
+ */
+async function stageReferral(referralData) {
+    if (!referralData || !referralData.brand || (!referralData.code && !referralData.link)) {
+        return false;
+    }
+
+    try {
+        referralData.brand = await Brand.resolveName(referralData.brand);
+
+        // Live duplicates aren't worth reviewing; other problems are left for the reviewer
+        const validationErrors = await validateReferralData(referralData);
+        if (isDuplicateError(validationErrors)) {
+            logger.info('Skipping duplicate referral', { brand: referralData.brand });
+            return false;
+        }
+
+        const result = await PendingReferral.updateOne(
+            { source: referralData.source, sourceId: referralData.sourceId },
+            {
+                $setOnInsert: {
+                    brand: referralData.brand,
+                    code: referralData.code,
+                    link: referralData.link,
+                    tags: referralData.tags || [],
+                    description: referralData.description || '',
+                    ...pickOfferTerms(referralData),
+                    postDate: referralData.postDate,
+                    expirationDate: new Date(referralData.expirationDate),
+                    source: referralData.source,
+                    sourceId: referralData.sourceId,
+                    sourceUrl: referralData.sourceUrl,
+                    sourceChannel: referralData.sourceChannel,
+                    extractor: referralData.extractor,
+                    confidence: referralData.confidence,
+                    validationErrors: validationErrors.map(error => error.msg)
+                }
+            },
+            { upsert: true }
+        );
+
+        if (result.upsertedCount === 0) return false;
+        logger.info('Staged referral', { brand: referralData.brand, confidence: referralData.confidence });
+        return true;
+    } catch (error) {
+        metrics.scraperErrors.inc({ stage: 'stage' });
+        logger.error('Error staging referral', { err: error, brand: referralData.brand });
+        return false;
+    }
+}
+
+const DIFF_FIELDS = ['brand', 'code', 'link', 'tags', 'description', 'expirationDate', ...OFFER_FIELDS];
+
+// Comparable string form of a field value
+const formatValue = (value) => {
+    if (value instanceof Date) return value.toISOString().split('T')[0];
+    if (Array.isArray(value)) return JSON.stringify([...value].sort());
+    if (value && typeof value === 'object') return JSON.stringify(value);
+    return value === undefined || value === null || value === '' ? '(empty)' : String(value);
+};
+
+/**
+ * Print what saving referral data would do, without writing anything
+ * @param {Object} referralData - Extracted referral data
+ * @returns {Promise<boolean>} - True if the referral would be inserted
+ */
+async function previewReferral(referralData) {
+    if (!referralData || !referralData.brand || (!referralData.code && !referralData.link)) {
+        return false;
+    }
+
+    try {
+        // Resolve the brand without adding it to the catalog
+        const brand = await Brand.findByNameOrAlias(referralData.brand);
+        const data = {
+            ...referralData,
+            brand: brand ? brand.name : referralData.brand,
+            expirationDate: new Date(referralData.expirationDate)
+        };
+
+        const existing = await Referral.findOne({ source: data.source, sourceId: data.sourceId }) ||
+            await Referral.findDuplicate(data.brand, data.code, data.link);
+        const label = `${data.brand}: ${[data.code, data.link].filter(Boolean).join(' / ')} (confidence ${data.confidence})`;
+
+        if (existing) {
+            const changes = DIFF_FIELDS
+                .filter(field => formatValue(existing[field]) !== formatValue(data[field]))
+                .reduce((diff, field) => ({ ...diff, [field]: `${formatValue(existing[field])} -> ${formatValue(data[field])}` }), {});
+
+            logger.info('[dry-run] Matches existing referral', { referral: label, existingId: existing._id.toString(), changes });
+            return false;
+        }
+
+        const validationErrors = await validateReferralData(data);
+        if (validationErrors.length > 0) {
+            logger.info('[dry-run] Would be rejected', { referral: label, errors: validationErrors.map(error => error.msg) });
+            return false;
+        }
+
+        logger.info('[dry-run] Would insert', {
+            referral: label,
+            fields: DIFF_FIELDS.reduce((fields, field) => ({ ...fields, [field]: formatValue(data[field]) }), {})
+        });
+        return true;
+    } catch (error) {
+        metrics.scraperErrors.inc({ stage: 'preview' });
+        logger.error('Error previewing referral', { err: error, brand: referralData.brand });
+        return false;
+    }
+}
+
+/**
+ * Load a source's scrape state for a dry run. The saved cursor is honoured,
+ * but nothing about the run is written back.
+ * @param {Object} source - Source adapter
+ * @returns {Promise<Object>} - ScrapeState document whose save() is a no-op
+ */
+async function loadStateReadOnly(source) {
+    const state = await ScrapeState.findOne({ source: source.name, channel: source.channel }) ||
+        new ScrapeState({ source: source.name, channel: source.channel });
+    state.save = async () => state;
+    return state;
+}
+
+/**
+ * Parse a list of sources as given in SCRAPE_SOURCES: subreddit URLs, and
+ * rss:<feed URL> or file:<path> entries, separated by commas or whitespace.
+ * Reddit comment threads are read when SCRAPE_COMMENTS is "true".
+ * @param {string} value - Source list
+ * @returns {Array<Object>} - Source specs for run()
+ */
+function parseSourceList(value) {
+    return (value || '')
+        .split(/[\s,]+/)
+        .filter(Boolean)
+        .map(entry => {
+            if (entry.startsWith('rss:')) {
+                return { name: 'rss', options: { url: entry.slice('rss:'.length) } };
+            }
+            if (entry.startsWith('file:')) {
+                return { name: 'file', options: { path: path.resolve(entry.slice('file:'.length)) } };
+            }
+            return {
+                name: 'reddit',
+                options: { subreddit: parseSubredditUrl(entry), includeComments: process.env.SCRAPE_COMMENTS === 'true' }
+            };
+        });
+}
+
+/**
+ * Create a scraper that reads posts from source adapters, extracts referrals
+ * from them and saves, stages or previews the results depending on the mode.
+ * @param {Object} config - { extractor, extractorMode, mode, maxPages,
+ *   batchSize, requestDelayMs, batchDelayMs, pageDelayMs }: extractor is an
+ *   instance (see src/extractors), created from extractorMode if not given;
+ *   mode is "live" (default), "stage" or "dry-run"; the delays only apply to
+ *   rate-limited extractors, except pageDelayMs between pages of a source
+ * @returns {Object} - { extractor, mode, run, scrapeNewPosts, processPostsInBatches, extractPostDetails }
+ */
+function createScraper(config = {}) {
+    const options = {
+        mode: 'live',
+        maxPages: MAX_PAGES,
+        batchSize: GEMINI_BATCH_SIZE,
+        requestDelayMs: BATCH_DELAY,
+        batchDelayMs: 5000,
+        pageDelayMs: 1000,
+        ...config
+    };
+    if (!SCRAPER_MODES.includes(options.mode)) {
+        throw new Error(`Unknown scraper mode: ${options.mode}. Expected one of: ${SCRAPER_MODES.join(', ')}`);
+    }
+
+    // Initialize the extraction backend (Gemini, rule-based, or both)
+    const extractor = options.extractor || createExtractor(options.extractorMode);
+    const mode = options.mode;
+
+    // Where extracted referrals go in each run mode
+    const handleReferral = {
+        live: saveReferralToDb,
+        stage: stageReferral,
+        'dry-run': previewReferral
+    }[mode];
+
+    /**
+     * Scrape pages from a source, processing each page as it arrives.
+     * Only posts newer than the last completed run are processed. Progress is
+     * checkpointed after every batch, so an interrupted run resumes from the
+     * last checkpoint instead of starting over.
+     * @param {Object} source - Source adapter (see src/sources)
+     * @param {Object} state - ScrapeState document for this source and channel
+     * @param {number} maxPages - Maximum number of pages to scrape
+     * @returns {Promise<Object>} - { postsProcessed, totalSaved, error }, where
+     *   error is the fetch error that interrupted the run, if any
+     */
+    async function scrapeNewPosts(source, state, maxPages = options.maxPages) {
+        let cursor = state.resumeAfter;
+        let pageCount = 0;
+        let postsProcessed = 0;
+        let totalSaved = 0;
+
+        const log = logger.child({ source: describeSource(source) });
+        if (state.isInterrupted()) {
+            log.info('Resuming interrupted run', { cursor });
+        } else {
+            log.info('Starting to scrape');
+        }
+        await state.beginRun();
+
+        while (pageCount < maxPages) {
+            pageCount++;
+            log.info('Scraping page', { page: pageCount });
+
+            let page;
+            try {
+                page = await fetchPosts(source, cursor);
+            } catch (error) {
+                // Leave the run open so the next invocation resumes from the last checkpoint
+                metrics.scraperErrors.inc({ stage: 'fetch' });
+                log.error('Error fetching posts; the next run will resume from the last checkpoint', { err: error });
+                return { postsProcessed, totalSaved, error };
+            }
+
+            const { posts, nextCursor } = page;
+            if (posts.length === 0) {
+                log.info('No more posts to process');
+                break;
+            }
+
+            // The newest post of the run becomes the high-water mark once the run completes
+            const newest = posts.reduce((a, b) => ((b.createdUtc || 0) > (a.createdUtc || 0) ? b : a));
+            await state.recordNewest(newest.id, newest.createdUtc);
+
+            const unseenPosts = await filterUnseenPosts(state, posts);
+            log.info('Fetched page', { page: pageCount, posts: posts.length, unseen: unseenPosts.length });
+
+            totalSaved += await processPostsInBatches(unseenPosts, async (batch) => {
+                const resumable = batch.filter(post => post.cursor);
+                if (resumable.length > 0) {
+                    await state.checkpoint(resumable[resumable.length - 1].cursor);
+                }
+            });
+            postsProcessed += unseenPosts.length;
+
+            // Newest-first sources can stop at the first page that reaches seen posts
+            if (source.newestFirst && posts.some(post => !state.isUnseen(post.createdUtc))) {
+                log.info('Reached posts handled by a previous run');
+                break;
+            }
+
+            cursor = nextCursor;
+            if (!cursor) {
+                log.info('No more pages available');
+                break;
+            }
+            await state.checkpoint(cursor);
+
+            // Add delay between requests to avoid rate limiting
+            await sleep(options.pageDelayMs);
+        }
+
+        await state.completeRun();
+        log.info('Scraping complete', { postsProcessed, totalSaved });
+        return { postsProcessed, totalSaved };
+    }
+
+    // Known categories, loaded once per run. Extracted tags are mapped onto
+    // them, and tags that match none are dropped; without any categories
+    // defined, tags are kept as extracted.
+    let tagIndex = null;
+    async function loadTagIndex() {
+        if (!tagIndex) {
+            const index = await Category.loadTagIndex();
+            tagIndex = { index, names: [...new Set([...index.values()].map(category => category.name))] };
+        }
+        return tagIndex;
+    }
+
+    /**
+     * Extract post details with the configured extractor
+     * @param {Object} post - Normalized post (see src/sources)
+     * @returns {Promise<Object>} - Extracted referral data
+     */
+    async function extractPostDetails(post) {
+        try {
+            const { index, names } = await loadTagIndex();
+            const extractedData = await extractor.extract(post, { categories: names });
+            if (!extractedData) {
+                return null;
+            }
+
+            if (index.size > 0) {
+                extractedData.tags = matchTagIndex(extractedData.tags, index).map(category => category.name);
+            }
+
+            // Set default expiration date if not provided (30 days from now)
+            if (!extractedData.expirationDate) {
+                const defaultExpiry = new Date();
+                defaultExpiry.setDate(defaultExpiry.getDate() + 30);
+                extractedData.expirationDate = defaultExpiry.toISOString().split('T')[0];
+            }
+
+            // Trim all string fields
+            Object.keys(extractedData).forEach(key => {
+                if (typeof extractedData[key] === 'string') {
+                    extractedData[key] = extractedData[key].trim();
+                }
+            });
+
+            return {
+                ...extractedData,
+                extractor: extractor.name,
+                confidence: await scoreExtraction(post, extractedData),
+                postDate: post.createdUtc ? new Date(post.createdUtc * 1000) : new Date(),
+                source: post.source,
+                sourceId: post.id,
+                sourceUrl: post.permalink,
+                sourceChannel: post.channel
+            };
+        } catch (error) {
+            metrics.scraperErrors.inc({ stage: 'extract' });
+            logger.error('Error extracting post details', { err: error, extractor: extractor.name, postId: post.id });
+            return null;
+        }
+    }
+
+    /**
+     * Process a batch of posts with the extractor, rate limiting API-backed extractors
+     * @param {Array} posts - Array of normalized posts to process
+     * @returns {Promise<Array>} - Array of extracted referral data
+     */
+    async function processBatch(posts) {
+        const results = [];
+        let processedCount = 0;
+
+        logger.debug('Processing batch', { posts: posts.length, extractor: extractor.name });
+
+        for (const post of posts) {
+            processedCount++;
+            const referralData = await extractPostDetails(post);
+            metrics.scraperPosts.inc({ extractor: extractor.name });
+
+            if (referralData) {
+                results.push(referralData);
+                logger.debug('Extracted referral data', { postId: post.id, brand: referralData.brand || null });
+            } else {
+                metrics.scraperReferrals.inc({ outcome: 'not_found' });
+                logger.debug('No referral data in post', { postId: post.id });
+            }
+
+            // Add delay between requests to stay under rate limit
+            if (extractor.rateLimited && processedCount < posts.length) {
+                logger.debug('Waiting before next request', { delayMs: options.requestDelayMs });
+                await sleep(options.requestDelayMs);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Process posts in batches to respect extractor rate limits
+     * @param {Array} allPosts - Array of all scraped Reddit posts
+     * @param {Function} onBatchComplete - Called with each batch once its referrals are saved
+     * @returns {Promise<number>} - Number of referrals saved
+     */
+    async function processPostsInBatches(allPosts, onBatchComplete = async () => {}) {
+        let totalSaved = 0;
+        let processedCount = 0;
+
+        // Process posts in batches to respect rate limits
+        for (let i = 0; i < allPosts.length; i += options.batchSize) {
+            const batch = allPosts.slice(i, i + options.batchSize);
+            logger.info('Processing batch', { batch: Math.floor(i / options.batchSize) + 1, of: Math.ceil(allPosts.length / options.batchSize) });
+
+            // Process the current batch
+            const processedBatch = await processBatch(batch);
+
+            // Save, stage or preview valid referrals depending on the run mode
+            for (const referralData of processedBatch) {
+                const saved = await handleReferral(referralData);
+                metrics.scraperReferrals.inc({ outcome: saved ? SAVED_OUTCOMES[mode] : 'skipped' });
+                if (saved) totalSaved++;
+            }
+
+            await onBatchComplete(batch);
+
+            processedCount += batch.length;
+            logger.info('Progress', { processed: processedCount, total: allPosts.length, saved: totalSaved });
+
+            // Add delay between batches
+            if (extractor.rateLimited && i + options.batchSize < allPosts.length) {
+                logger.debug('Waiting before next batch', { delayMs: options.batchDelayMs });
+                await sleep(options.batchDelayMs);
+            }
+        }
+
+        return totalSaved;
+    }
+
+    /**
+     * Scrape every source in turn, resuming each from where its last run left
+     * off. If fetching from any source failed, the run rejects once every
+     * source has had its turn, with the totals attached as error.result, so
+     * callers such as the job scheduler can retry it.
+     * @param {Array<Object>} sourceSpecs - { name, options } passed to createSource
+     * @returns {Promise<Object>} - { postsProcessed, totalSaved }
+     */
+    async function run(sourceSpecs) {
+        let postsProcessed = 0;
+        let totalSaved = 0;
+        const failures = [];
+        tagIndex = null;
+
+        for (const spec of sourceSpecs) {
+            // Load where the last run for this source left off
+            const source = createSource(spec.name, spec.options);
+            const state = mode === 'dry-run'
+                ? await loadStateReadOnly(source)
+                : await ScrapeState.load(source.name, source.channel);
+
+            // Scrape new posts and process them in batches with the extractor
+            const result = await scrapeNewPosts(source, state);
+            postsProcessed += result.postsProcessed;
+            totalSaved += result.totalSaved;
+            if (result.error) {
+                failures.push(`${describeSource(source)}: ${result.error.message}`);
+            }
+        }
+
+        if (failures.length > 0) {
+            const error = new Error(`Could not fetch posts from ${failures.join('; ')}`);
+            error.result = { postsProcessed, totalSaved };
+            throw error;
+        }
+        return { postsProcessed, totalSaved };
+    }
+
+    return {
+        extractor,
+        mode,
+        run,
+        scrapeNewPosts,
+        processPostsInBatches,
+        extractPostDetails
+    };
+}
+
+module.exports = {
+    createScraper,
+    parseSourceList,
+    saveReferralToDb,
+    stageReferral,
+    previewReferral,
+    SCRAPER_MODES
+};
@@ -0,0 +1,118 @@
+// Find and merge duplicate referrals, and bring stored links and code keys
+// up to date with the current canonicalization rules
+require('dotenv').config();
+// Readable log lines in a terminal; set LOG_FORMAT=json to collect them instead
+process.env.LOG_FORMAT = process.env.LOG_FORMAT || 'pretty';
+const mongoose = require('mongoose');
+const Referral = require('../models/Referral');
+const { normalizeCodeKey, canonicalizeLink } = require('../utils/referralKeys');
+const { findDuplicateGroups, pickKeeper, mergeReferrals } = require('../utils/dedupe');
+const { logger } = require('../utils/logger');
+
+const USAGE = [
+  'Usage: node dedupe-referrals.js [options]',
+  '',
+  '  --brand <name>   Only check one brand (repeatable)',
+  '  --dry-run        Print the duplicates that would be merged, without writing anything'
+].join('\n');
+
+const parseArgs = () => {
+  const args = process.argv.slice(2);
+  const brands = [];
+  let dryRun = false;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--dry-run') {
+      dryRun = true;
+    } else if (args[i] === '--brand' && args[i + 1]) {
+      brands.push(args[++i]);
+    } else {
+      logger.error(`Unknown argument: ${args[i]}`);
+      process.stderr.write(`${USAGE}\n`);
+      process.exit(1);
+    }
+  }
+
+  return { brands, dryRun };
+};
+
+const describe = (referral) => {
+  const what = [referral.code && `code ${referral.code}`, referral.link].filter(Boolean).join(' / ');
+  return `${referral._id} ${what}${referral.deletedAt ? ' (deleted)' : ''}`;
+};
+
+// Rewrite referrals whose stored link or code key predates canonicalization
+const backfillKeys = async (brand, dryRun) => {
+  let updated = 0;
+  const referrals = await Referral.find({ brand }).select('code codeKey link').lean();
+
+  for (const referral of referrals) {
+    const update = {};
+    const codeKey = normalizeCodeKey(referral.code);
+    if (referral.codeKey !== codeKey) update.codeKey = codeKey;
+    if (referral.link && canonicalizeLink(referral.link) !== referral.link) {
+      update.link = canonicalizeLink(referral.link);
+    }
+    if (Object.keys(update).length === 0) continue;
+
+    updated++;
+    if (dryRun) continue;
+
+    try {
+      await Referral.updateOne({ _id: referral._id }, update);
+    } catch (error) {
+      // Reported, and the run exits with status 1 once the rest is done
+      logger.error('Could not update referral', { err: error, referralId: referral._id.toString() });
+      process.exitCode = 1;
+      updated--;
+    }
+  }
+
+  return updated;
+};
+
+const main = async () => {
+  const { brands, dryRun } = parseArgs();
+  if (dryRun) {
+    logger.info('Dry run: nothing will be written');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const summary = { groups: 0, merged: 0, keysUpdated: 0 };
+  const targets = brands.length > 0 ? brands : await Referral.distinct('brand');
+
+  for (const brand of targets) {
+    const referrals = await Referral.find({ brand }).sort({ postDate: 1 });
+
+    for (const group of findDuplicateGroups(referrals)) {
+      // Deleted copies, including ones merged by earlier runs, stay deleted
+      const live = group.filter(referral => !referral.deletedAt);
+      if (live.length < 2) continue;
+
+      const keeper = pickKeeper(live);
+      const duplicates = live.filter(referral => referral !== keeper);
+
+      logger.info(`${brand}: keeping ${describe(keeper)}`, { merging: duplicates.map(describe) });
+
+      summary.groups++;
+      summary.merged += duplicates.length;
+      if (!dryRun) {
+        await mergeReferrals(keeper, duplicates);
+      }
+    }
+
+    summary.keysUpdated += await backfillKeys(brand, dryRun);
+  }
+
+  logger.info(`Duplicate groups: ${summary.groups}`);
+  logger.info(`Referrals ${dryRun ? 'that would be ' : ''}merged away: ${summary.merged}`);
+  logger.info(`Referrals ${dryRun ? 'that would get' : 'given'} canonical links or code keys: ${summary.keysUpdated}`);
+};
+
+main()
+  .catch(error => {
+    logger.error('Dedupe failed', { err: error });
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { parseCsv } = require('../utils/csv');
+
+// Accept the column names spreadsheets and exports commonly use
+const pick = (record, ...keys) => {
+  const key = keys.find(k => record[k] !== undefined && record[k] !== null && record[k] !== '');
+  return key ? String(record[key]) : '';
+};
+
+const toUtcSeconds = (value) => {
+  if (!value) return null;
+  const numeric = Number(value);
+  const time = isNaN(numeric) ? new Date(value).getTime() : numeric * 1000;
+  return isNaN(time) ? null : Math.floor(time / 1000);
+};
+
+/**
+ * Parse file content as JSON (an array, or an object with a "posts" array) or CSV
+ * @param {string} content - File content
+ * @param {string} format - "json" or "csv"
+ * @returns {Array<Object>} - Records
+ */
+const parseRecords = (content, format) => {
+  if (format === 'csv') {
+    return parseCsv(content);
+  }
+
+  const data = JSON.parse(content);
+  if (Array.isArray(data)) return data;
+  if (data && Array.isArray(data.posts)) return data.posts;
+  throw new Error('JSON file must contain an array or an object with a "posts" array');
+};
+
+/**
+ * Local JSON/CSV file source. Files are read in a single page.
+ * Records may use id, title, body|text|content|selftext, url|link, author and
+ * created|createdAt|date|created_utc columns.
+ * @param {Object} options - { path, format, readFile }
+ * @returns {Object} - Source adapter
+ */
+const createFileSource = ({ path: filePath, format, readFile = fs.readFile } = {}) => {
+  if (!filePath) {
+    throw new Error('File source requires a path');
+  }
+
+  const fileFormat = format || (path.extname(filePath).toLowerCase() === '.csv' ? 'csv' : 'json');
+  const channel = path.basename(filePath);
+
+  return {
+    name: 'file',
+    channel,
+    newestFirst: false,
+
+    async fetchPage() {
+      const content = await readFile(filePath, 'utf8');
+      return { items: parseRecords(content, fileFormat), nextCursor: null };
+    },
+
+    normalize(record) {
+      const title = pick(record, 'title', 'subject');
+      const body = pick(record, 'body', 'text', 'content', 'selftext');
+      const url = pick(record, 'url', 'link');
+
+      if (!title && !body && !url) return null;
+
+      // Without an id, identify the record by its content so re-imports are recognized
+      const id = pick(record, 'id') || crypto.createHash('sha1')
+        .update(`${title}|${body}|${url}`)
+        .digest('hex');
+
+      return {
+        id,
+        source: 'file',
+        channel,
+        kind: 'post',
+        title,
+        body,
+        url,
+        author: pick(record, 'author', 'user') || null,
+        permalink: null,
+        createdUtc: toUtcSeconds(pick(record, 'created_utc', 'createdAt', 'created', 'date')),
+        cursor: null
+      };
+    }
+  };
+};
+
+module.exports = createFileSource;
+module.exports.parseRecords = parseRecords;
@@ -0,0 +1,70 @@
+// Source adapters for referral ingestion.
+//
+// An adapter is an object with:
+// - name: source name stored on referrals (e.g. "reddit")
+// - channel: what is being read within the source (subreddit, feed URL, file path)
+// - newestFirst: true if pages are ordered newest first, so a run can stop
+//   as soon as it reaches posts a previous run has seen
+// - fetchPage(cursor): Promise<{ items, nextCursor }> with raw source items
+// - normalize(item): Post or Array<Post>
+//
+// Adapters take their HTTP client and file reader as options, so they can
+// be exercised against recorded fixtures without network access.
+//
+// Post shape:
+// {
+//   id,          // unique within the source
+//   source,      // adapter name
+//   channel,     // adapter channel
+//   kind,        // "post" or "comment"
+//   title, body, url, author,
+//   permalink,   // absolute URL of the item
+//   createdUtc,  // seconds since the epoch, or null if unknown
+//   cursor       // optional: pagination cursor that resumes after this item
+// }
+
+const createRedditSource = require('./reddit');
+const createRssSource = require('./rss');
+const createFileSource = require('./file');
+
+const factories = {
+  reddit: createRedditSource,
+  rss: createRssSource,
+  file: createFileSource
+};
+
+const registerSource = (name, factory) => {
+  factories[name] = factory;
+};
+
+/**
+ * Create a source adapter by name
+ * @param {string} name - Registered adapter name
+ * @param {Object} options - Passed to the adapter factory
+ * @returns {Object} - Source adapter
+ */
+const createSource = (name, options = {}) => {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown ingestion source: ${name}`);
+  }
+  return factory(options);
+};
+
+/**
+ * Fetch one page from an adapter and normalize its items
+ * @param {Object} source - Source adapter
+ * @param {string|null} cursor - Cursor returned by the previous page
+ * @returns {Promise<Object>} - { posts, nextCursor }
+ */
+const fetchPosts = async (source, cursor = null) => {
+  const { items, nextCursor } = await source.fetchPage(cursor);
+  const posts = items.flatMap(item => source.normalize(item)).filter(Boolean);
+  return { posts, nextCursor };
+};
+
+module.exports = {
+  createSource,
+  registerSource,
+  fetchPosts
+};
@@ -0,0 +1,120 @@
+const axios = require('axios');
+
+const REDDIT_API_BASE_URL = 'https://www.reddit.com';
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36';
+
+/**
+ * Extract the subreddit name from a URL like https://www.reddit.com/r/referralcodes/
+ * @param {string} subredditUrl - Subreddit URL
+ * @returns {string} - Subreddit name
+ */
+const parseSubredditUrl = (subredditUrl) => {
+  const parsedUrl = new URL(subredditUrl);
+  const pathParts = parsedUrl.pathname.split('/').filter(Boolean);
+
+  if (pathParts.length < 2 || pathParts[0] !== 'r') {
+    throw new Error('Invalid subreddit URL');
+  }
+  return pathParts[1];
+};
+
+// Flatten a comment tree into a list, skipping "load more" stubs
+const flattenComments = (children = []) => children.flatMap(child => {
+  if (child.kind !== 't1') return [];
+  const replies = child.data.replies && child.data.replies.data
+    ? child.data.replies.data.children
+    : [];
+  return [child.data, ...flattenComments(replies)];
+});
+
+/**
+ * Reddit source: newest posts of a subreddit, optionally with their comment threads
+ * @param {Object} options - { subreddit, includeComments, pageSize, baseUrl, http }
+ * @returns {Object} - Source adapter
+ */
+const createRedditSource = ({
+  subreddit,
+  includeComments = false,
+  pageSize = parseInt(process.env.POSTS_PER_PAGE || 25),
+  baseUrl = REDDIT_API_BASE_URL,
+  http = axios
+} = {}) => {
+  if (!subreddit) {
+    throw new Error('Reddit source requires a subreddit');
+  }
+
+  const get = (url) => http.get(url, { headers: { 'User-Agent': USER_AGENT } });
+
+  const fetchComments = async (post) => {
+    const response = await get(`${baseUrl}${post.permalink}.json`);
+    const [, commentListing] = response.data || [];
+    if (!commentListing || !commentListing.data) return [];
+    return flattenComments(commentListing.data.children);
+  };
+
+  return {
+    name: 'reddit',
+    channel: subreddit,
+    newestFirst: true,
+
+    async fetchPage(after = null) {
+      let url = `${baseUrl}/r/${subreddit}/new.json?limit=${pageSize}`;
+      if (after) {
+        url += `&after=${after}`;
+      }
+
+      const response = await get(url);
+      if (!response.data || !response.data.data || !response.data.data.children) {
+        throw new Error('Unexpected response structure from Reddit');
+      }
+
+      const posts = response.data.data.children.map(child => child.data);
+      const items = [];
+      for (const post of posts) {
+        const comments = includeComments && post.num_comments > 0
+          ? await fetchComments(post)
+          : [];
+        items.push({ post, comments });
+      }
+
+      return { items, nextCursor: response.data.data.after };
+    },
+
+    normalize({ post, comments }) {
+      const normalizedPost = {
+        id: post.id,
+        source: 'reddit',
+        channel: subreddit,
+        kind: 'post',
+        title: post.title,
+        body: post.selftext || '',
+        url: post.url || '',
+        author: post.author || null,
+        permalink: `${baseUrl}${post.permalink}`,
+        createdUtc: post.created_utc,
+        cursor: `t3_${post.id}`
+      };
+
+      // Comment ids use the t1_ fullname so they never collide with post ids
+      const normalizedComments = comments.map(comment => ({
+        id: `t1_${comment.id}`,
+        source: 'reddit',
+        channel: subreddit,
+        kind: 'comment',
+        title: `Comment on: ${post.title}`,
+        body: comment.body || '',
+        url: '',
+        author: comment.author || null,
+        permalink: `${baseUrl}${comment.permalink}`,
+        // Comments are only read alongside their post, so they share its age
+        createdUtc: post.created_utc,
+        cursor: `t3_${post.id}`
+      }));
+
+      return [normalizedPost, ...normalizedComments];
+    }
+  };
+};
+
+module.exports = createRedditSource;
+module.exports.parseSubredditUrl = parseSubredditUrl;
@@ -0,0 +1,5 @@
+// Lowercase and strip everything but letters and digits so "Uber Eats",
+// "UberEats" and "uber-eats" share one key
+const normalizeBrandKey = (brand) => (brand || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+module.exports = { normalizeBrandKey };
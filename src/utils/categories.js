@@ -0,0 +1,88 @@
+// Helpers for the category tree: tag matching keys, slugs and walking the
+// parent links.
+
+// Lowercase and strip everything but letters and digits so "Food Delivery",
+// "food-delivery" and "fooddelivery" share one key
+const normalizeTagKey = (tag) => (tag || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// URL-safe slug for a category name: "Food & Drink" -> "food-drink"
+const slugify = (name) => (name || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Categories the tags map onto, using an index from Category.loadTagIndex()
+ * @param {Array<string>} tags - Tags as entered or extracted
+ * @param {Map} index - Tag key -> category
+ * @returns {Array<Object>} - Matching categories, each once, in tag order
+ */
+const matchTagIndex = (tags, index) => {
+  const matches = new Map();
+  for (const tag of tags || []) {
+    const category = index.get(normalizeTagKey(tag));
+    if (category) matches.set(String(category._id), category);
+  }
+  return [...matches.values()];
+};
+
+/**
+ * IDs of every category below a category, at any depth
+ * @param {Array<Object>} categories - Every category, with _id and parent
+ * @param {*} rootId - Category to start from
+ * @returns {Array<string>} - Descendant IDs as strings, not including rootId
+ */
+const descendantIds = (categories, rootId) => {
+  const found = [];
+  const queue = [String(rootId)];
+  while (queue.length > 0) {
+    const parentId = queue.shift();
+    for (const category of categories) {
+      if (category.parent && String(category.parent) === parentId) {
+        const id = String(category._id);
+        found.push(id);
+        queue.push(id);
+      }
+    }
+  }
+  return found;
+};
+
+/**
+ * Nest categories under their parents, siblings sorted by order then name.
+ * Each node gets count (referrals filed directly under it), total (referrals
+ * anywhere in its subtree, each counted once) and children.
+ * @param {Array<Object>} categories - Every category
+ * @param {Array<Object>} groups - { categories, count }: how many referrals
+ *   share each distinct set of category IDs
+ * @returns {Array<Object>} - Top-level nodes
+ */
+const buildCategoryTree = (categories, groups = []) => {
+  const nodes = new Map(categories.map(category => [String(category._id), { ...category, count: 0, total: 0, children: [] }]));
+  const sets = groups.map(group => ({ ids: new Set(group.categories.map(String)), count: group.count }));
+
+  for (const [id, node] of nodes) {
+    const subtree = [id, ...descendantIds(categories, id)];
+    for (const { ids, count } of sets) {
+      if (ids.has(id)) node.count += count;
+      if (subtree.some(member => ids.has(member))) node.total += count;
+    }
+  }
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(String(node.parent));
+    (parent ? parent.children : roots).push(node);
+  }
+
+  const sortNodes = (list) => {
+    list.sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+    list.forEach(node => sortNodes(node.children));
+    return list;
+  };
+  return sortNodes(roots);
+};
+
+module.exports = { normalizeTagKey, slugify, SLUG_PATTERN, matchTagIndex, descendantIds, buildCategoryTree };
@@ -0,0 +1,85 @@
+// Minimal RFC 4180 CSV parsing and writing: quoted fields, escaped quotes ("")
+// and commas or newlines inside quotes.
+
+/**
+ * Parse CSV text into rows of string values
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} - Rows, each an array of field values
+ */
+const parseRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Ignore blank lines
+  return rows.filter(r => r.length > 1 || r[0] !== '');
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by column name
+ * @param {string} text - CSV content
+ * @returns {Array<Object>} - One object per data row
+ */
+const parseCsv = (text) => {
+  const [header, ...rows] = parseRows(text);
+  if (!header) return [];
+
+  const columns = header.map(column => column.trim());
+  return rows.map(values => columns.reduce((record, column, index) => {
+    record[column] = values[index] !== undefined ? values[index] : '';
+    return record;
+  }, {}));
+};
+
+// Quote a value if it contains a delimiter, quote or line break
+const formatField = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format one CSV line, including the trailing line break
+ * @param {Array} values - Field values
+ * @returns {string}
+ */
+const formatRow = (values) => `${values.map(formatField).join(',')}\r\n`;
+
+module.exports = { parseRows, parseCsv, formatRow };
@@ -0,0 +1,167 @@
+const Referral = require('../models/Referral');
+const ReferralRevision = require('../models/ReferralRevision');
+const ReferralEvent = require('../models/ReferralEvent');
+const Vote = require('../models/Vote');
+const Report = require('../models/Report');
+const Subscription = require('../models/Subscription');
+const PendingReferral = require('../models/PendingReferral');
+const { normalizeCodeKey, canonicalizeLink } = require('./referralKeys');
+const { logger } = require('./logger');
+
+const { MAX_TAGS } = Referral;
+
+/**
+ * Group referrals of one brand that duplicate each other: the same code
+ * (ignoring case and whitespace) or the same canonical link. Matches chain,
+ * so if A shares a code with B and B shares a link with C, all three are
+ * one group.
+ * @param {Array<Object>} referrals - Referrals of a single brand
+ * @returns {Array<Array<Object>>} - Groups of two or more referrals
+ */
+const findDuplicateGroups = (referrals) => {
+  const parent = referrals.map((referral, index) => index);
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+
+  const firstByKey = new Map();
+  referrals.forEach((referral, index) => {
+    const keys = [
+      normalizeCodeKey(referral.code) && `code|${normalizeCodeKey(referral.code)}`,
+      referral.link && `link|${canonicalizeLink(referral.link)}`
+    ].filter(Boolean);
+
+    keys.forEach(key => {
+      if (firstByKey.has(key)) {
+        parent[find(index)] = find(firstByKey.get(key));
+      } else {
+        firstByKey.set(key, index);
+      }
+    });
+  });
+
+  const groups = new Map();
+  referrals.forEach((referral, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(referral);
+  });
+
+  return [...groups.values()].filter(group => group.length > 1);
+};
+
+// The referral a group is merged into: live before deleted, then the best
+// score, then the oldest post
+const pickKeeper = (group) => [...group].sort((a, b) =>
+  (a.deletedAt ? 1 : 0) - (b.deletedAt ? 1 : 0) ||
+  b.score - a.score ||
+  a.postDate - b.postDate)[0];
+
+// Move documents keyed by referral + another field to the keeper, dropping
+// any whose key the keeper already has
+const moveKeyed = async (Model, keyField, keeperId, duplicateId, filter = {}) => {
+  const taken = await Model.distinct(keyField, { ...filter, referral: keeperId });
+  await Model.deleteMany({ ...filter, referral: duplicateId, [keyField]: { $in: taken } });
+  await Model.updateMany({ ...filter, referral: duplicateId }, { referral: keeperId });
+};
+
+// Copy what the duplicates have and the keeper lacks onto the keeper
+const absorb = (keeper, duplicates) => {
+  keeper.tags = [...new Set([...keeper.tags, ...duplicates.flatMap(duplicate => duplicate.tags)])].slice(0, MAX_TAGS);
+  keeper.exposureCount += duplicates.reduce((sum, duplicate) => sum + (duplicate.exposureCount || 0), 0);
+  for (const duplicate of duplicates) {
+    if (!keeper.code && duplicate.code) keeper.code = duplicate.code;
+    if (!keeper.link && duplicate.link) keeper.link = duplicate.link;
+    if (!keeper.description && duplicate.description) keeper.description = duplicate.description;
+    for (const field of ['referrerReward', 'refereeReward', 'minimumSpend']) {
+      if (!keeper[field] && duplicate[field]) keeper[field] = duplicate[field].toObject();
+    }
+    if (duplicate.expirationDate > keeper.expirationDate) keeper.expirationDate = duplicate.expirationDate;
+  }
+  if (keeper.link) keeper.link = canonicalizeLink(keeper.link);
+  keeper.codeKey = normalizeCodeKey(keeper.code);
+};
+
+/**
+ * Fold duplicates into one referral. The keeper gains their tags (up to the
+ * referral limit) and any code, link, description or reward it lacks, and is
+ * validated before anything else changes. Their votes, reports,
+ * subscriptions, usage events and review-queue links then move to the
+ * keeper, which is saved, and the duplicates are soft-deleted with a
+ * revision pointing at the keeper. A duplicate holding the exact code and
+ * link the keeper ends up with is removed outright (its revisions are kept).
+ * @param {Object} keeper - Referral document that survives
+ * @param {Array<Object>} duplicates - Referral documents to merge into it
+ * @returns {Promise<Object>} - The updated keeper
+ */
+const mergeReferrals = async (keeper, duplicates) => {
+  const before = ReferralRevision.takeSnapshot(keeper);
+  const duplicateIds = duplicates.map(duplicate => duplicate._id);
+
+  absorb(keeper, duplicates);
+  await keeper.validate();
+
+  for (const duplicate of duplicates) {
+    await moveKeyed(Vote, 'voterKey', keeper._id, duplicate._id);
+    await moveKeyed(Subscription, 'user', keeper._id, duplicate._id, { type: 'referral' });
+
+    // Only one open report per reporter is allowed, so close the extras first
+    const openReporters = await Report.distinct('reporterKey', { referral: keeper._id, status: 'open' });
+    await Report.updateMany(
+      { referral: duplicate._id, status: 'open', reporterKey: { $in: openReporters } },
+      { status: 'resolved', resolution: { action: 'none', note: `Merged into ${keeper._id}` }, resolvedAt: new Date() }
+    );
+    await Report.updateMany({ referral: duplicate._id }, { referral: keeper._id });
+  }
+
+  await PendingReferral.updateMany({ referral: { $in: duplicateIds } }, { referral: keeper._id });
+
+  try {
+    await ReferralEvent.updateMany(
+      { 'meta.referral': { $in: duplicateIds } },
+      { $set: { 'meta.referral': keeper._id } }
+    );
+  } catch (error) {
+    // Older MongoDB versions can't update time-series documents
+    logger.warn('Could not move usage events', { err: error, keeperId: keeper._id.toString() });
+  }
+
+  let purged = null;
+  try {
+    await keeper.save();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    // Taking over a code or link gave the keeper the exact key of a
+    // duplicate, or of a deleted copy; the keeper wins
+    const blocker = await Referral.findOne({
+      brand: keeper.brand, code: keeper.code ?? null, link: keeper.link ?? null, _id: { $ne: keeper._id }
+    });
+    purged = blocker && duplicates.find(duplicate => duplicate._id.equals(blocker._id));
+    if (!blocker || !(purged || blocker.deletedAt)) throw error;
+    await Referral.deleteOne({ _id: blocker._id });
+    await keeper.save();
+  }
+
+  for (const duplicate of duplicates) {
+    const duplicateBefore = ReferralRevision.takeSnapshot(duplicate);
+    if (duplicate !== purged) {
+      duplicate.deletedAt = new Date();
+      await duplicate.save();
+    }
+    await ReferralRevision.record(duplicate, 'delete', null, { before: duplicateBefore, mergedInto: keeper._id });
+  }
+
+  const changes = ReferralRevision.changedFields(before, ReferralRevision.takeSnapshot(keeper));
+  if (changes.length > 0) {
+    await ReferralRevision.record(keeper, 'update', null, { before, changes });
+  }
+
+  return Referral.recalculateFeedback(keeper._id);
+};
+
+module.exports = { findDuplicateGroups, pickKeeper, mergeReferrals };
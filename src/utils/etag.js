@@ -0,0 +1,24 @@
+// ETag for a referral: its document version, bumped on every save
+const referralETag = (referral) => `"${referral.__v || 0}"`;
+
+/**
+ * Check an If-Match header against the current ETag. A missing header
+ * always passes, so clients can opt in to optimistic concurrency.
+ * @param {string} header - If-Match header value
+ * @param {string} etag - Current ETag
+ * @returns {boolean}
+ */
+const ifMatchPasses = (header, etag) => {
+  if (!header) return true;
+  return header
+    .split(',')
+    .map(tag => tag.trim())
+    .some(tag => tag === '*' || tag === etag);
+};
+
+// Response for a write whose If-Match no longer matches the referral
+const preconditionFailed = (res) => res.status(412).json({
+  message: 'The referral has changed since you loaded it; fetch it again and retry'
+});
+
+module.exports = { referralETag, ifMatchPasses, preconditionFailed };
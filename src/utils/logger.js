@@ -0,0 +1,74 @@
+// Structured logging: one JSON object per line, so log collectors can index
+// the fields. LOG_FORMAT=pretty prints readable lines for a terminal instead.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// Errors don't survive JSON.stringify, so keep the useful parts
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined && { code: error.code }),
+  stack: error.stack
+});
+
+const serializeFields = (fields) => {
+  const serialized = {};
+  for (const [key, value] of Object.entries(fields)) {
+    serialized[key] = value instanceof Error ? serializeError(value) : value;
+  }
+  return serialized;
+};
+
+const formatPretty = ({ time, level, msg, ...fields }) => {
+  const details = Object.entries(fields)
+    .map(([key, value]) => {
+      if (value && value.stack) return `\n${value.stack}`;
+      return ` ${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`;
+    })
+    .join('');
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${details}`;
+};
+
+// Warnings and errors go to stderr, everything else to stdout
+const writeLine = (level, line) => {
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+};
+
+/**
+ * Create a logger
+ * @param {Object} options - { level, format, bindings, write }: level is the
+ *   least severe level written (LOG_LEVEL, default info; silent turns logging
+ *   off), format is json or pretty (LOG_FORMAT), bindings are fields added to
+ *   every entry and write(level, line) replaces the output stream
+ * @returns {Object} - { debug, info, warn, error, child }; each level takes a
+ *   message and optional fields, e.g. logger.error('Save failed', { err })
+ */
+const createLogger = (options = {}) => {
+  const level = options.level || process.env.LOG_LEVEL || 'info';
+  const format = options.format || process.env.LOG_FORMAT || 'json';
+  const bindings = options.bindings || {};
+  const write = options.write || writeLine;
+  const threshold = LEVELS[level] !== undefined ? LEVELS[level] : LEVELS.info;
+
+  const log = (entryLevel) => (msg, fields = {}) => {
+    if (LEVELS[entryLevel] < threshold) return;
+
+    const entry = { time: new Date().toISOString(), level: entryLevel, msg, ...bindings, ...serializeFields(fields) };
+    write(entryLevel, format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry));
+  };
+
+  return {
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+    // A logger that adds these fields to every entry, e.g. a request ID
+    child: (fields) => createLogger({ level, format, write, bindings: { ...bindings, ...fields } })
+  };
+};
+
+// Shared logger for the app, the scraper and the jobs
+const logger = createLogger();
+
+module.exports = { LEVELS, createLogger, logger };
@@ -0,0 +1,138 @@
+// In-process metrics in the Prometheus text format, served at /metrics.
+// Counts are per process; Prometheus adds them up across instances.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Metrics by name, in the order they were created
+const registry = new Map();
+
+const escapeLabel = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+// Series are keyed by their label values in labelNames order
+const seriesKey = (labelNames, labels) => JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+const seriesLabels = (labelNames, key) => JSON.parse(key).reduce((labels, value, i) => ({ ...labels, [labelNames[i]]: value }), {});
+
+const register = (name, metric) => {
+  if (registry.has(name)) {
+    throw new Error(`Metric ${name} is already defined`);
+  }
+  registry.set(name, metric);
+  return metric;
+};
+
+/**
+ * Define a counter
+ * @param {string} name - Metric name, ending in _total by convention
+ * @param {string} help - Description
+ * @param {Array<string>} labelNames - Label names
+ * @returns {Object} - { inc(labels, amount = 1) }
+ */
+const createCounter = (name, help, labelNames = []) => {
+  const values = new Map();
+
+  return register(name, {
+    inc: (labels = {}, amount = 1) => {
+      const key = seriesKey(labelNames, labels);
+      values.set(key, (values.get(key) || 0) + amount);
+    },
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} counter`,
+      ...[...values].map(([key, value]) => `${name}${formatLabels(seriesLabels(labelNames, key))} ${value}`)
+    ],
+    reset: () => values.clear()
+  });
+};
+
+/**
+ * Define a gauge whose value is read when metrics are collected
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Function} collect - Returns the current value
+ */
+const createGauge = (name, help, collect) => register(name, {
+  render: () => [
+    `# HELP ${name} ${help}`,
+    `# TYPE ${name} gauge`,
+    `${name} ${collect()}`
+  ],
+  reset: () => {}
+});
+
+/**
+ * Define a histogram
+ * @param {string} name - Metric name, with its unit as a suffix
+ * @param {string} help - Description
+ * @param {Array<string>} labelNames - Label names
+ * @param {Array<number>} buckets - Upper bounds, ascending
+ * @returns {Object} - { observe(labels, value) }
+ */
+const createHistogram = (name, help, labelNames = [], buckets = DEFAULT_BUCKETS) => {
+  const series = new Map();
+
+  return register(name, {
+    observe: (labels, value) => {
+      const key = seriesKey(labelNames, labels);
+      if (!series.has(key)) {
+        series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+      const entry = series.get(key);
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+    render: () => {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const [key, { counts, sum, count }] of series) {
+        const labels = seriesLabels(labelNames, key);
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    },
+    reset: () => series.clear()
+  });
+};
+
+// Every metric in the Prometheus text exposition format
+const renderMetrics = () => `${[...registry.values()].flatMap(metric => metric.render()).join('\n')}\n`;
+
+// Zero every metric; for tests
+const resetMetrics = () => registry.forEach(metric => metric.reset());
+
+// Metrics recorded across the app
+const metrics = {
+  httpRequests: createCounter('http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']),
+  httpDuration: createHistogram('http_request_duration_seconds', 'HTTP request latency by route', ['method', 'route', 'status']),
+  scraperPosts: createCounter('scraper_posts_processed_total', 'Posts the scraper has processed', ['extractor']),
+  scraperReferrals: createCounter('scraper_referrals_total', 'Referrals found by the scraper, by what happened to them', ['outcome']),
+  scraperErrors: createCounter('scraper_errors_total', 'Scraper errors by stage', ['stage']),
+  jobRuns: createCounter('job_runs_total', 'Background job runs by outcome', ['job', 'status']),
+  jobDuration: createHistogram('job_run_duration_seconds', 'Background job run time', ['job'], [1, 5, 15, 60, 300, 900, 1800])
+};
+
+createGauge('process_uptime_seconds', 'Seconds since the process started', () => process.uptime());
+createGauge('process_resident_memory_bytes', 'Resident memory size', () => process.memoryUsage().rss);
+
+module.exports = {
+  createCounter,
+  createGauge,
+  createHistogram,
+  renderMetrics,
+  resetMetrics,
+  metrics
+};
@@ -0,0 +1,18 @@
+// Page and limit query parameters for admin listings
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Read page and limit from a query string, falling back to the first page
+ * and the default limit, and capping the limit at MAX_LIMIT
+ * @param {Object} query - req.query
+ * @returns {Object} - { page, limit, skip }
+ */
+const parsePaging = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+module.exports = { parsePaging };
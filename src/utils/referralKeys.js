@@ -0,0 +1,95 @@
+// Codes are compared ignoring case and whitespace, so "ABC 123" and "abc123" match
+const normalizeCodeKey = (code) => (typeof code === 'string' ? code.replace(/\s+/g, '').toLowerCase() : '');
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAM_PREFIXES = ['utm_', 'pk_', 'mtm_'];
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'gbraid', 'wbraid', 'dclid', 'msclkid', 'yclid', 'twclid', 'ttclid',
+  'igshid', 'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi', 'mkt_tok',
+  'ref_src', 'ref_url', 'spm', 'sc_cid', 'vero_id', 'oly_anon_id', 'oly_enc_id'
+]);
+
+const isTrackingParam = (name) => {
+  const lower = name.toLowerCase();
+  return TRACKING_PARAMS.has(lower) || TRACKING_PARAM_PREFIXES.some(prefix => lower.startsWith(prefix));
+};
+
+// Redirect wrappers that carry the real destination in a query parameter,
+// so they can be unwrapped without a network request
+const REDIRECTORS = [
+  { hosts: ['l.facebook.com', 'lm.facebook.com'], path: '/l.php', param: 'u' },
+  { hosts: ['l.instagram.com'], param: 'u' },
+  { hosts: ['google.com', 'www.google.com'], path: '/url', param: ['q', 'url'] },
+  { hosts: ['youtube.com', 'www.youtube.com'], path: '/redirect', param: 'q' },
+  { hosts: ['out.reddit.com'], param: 'url' },
+  { hosts: ['t.umblr.com'], path: '/redirect', param: 'z' },
+  { hosts: ['slack-redir.net'], path: '/link', param: 'url' },
+  { hostSuffix: '.safelinks.protection.outlook.com', param: 'url' }
+];
+
+// Wrappers that put the destination straight after the "?", e.g. href.li/?https://...
+const BARE_QUERY_REDIRECTORS = ['href.li', 'anon.to'];
+
+const MAX_UNWRAP_DEPTH = 3;
+
+const parseUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// The destination of a known redirect wrapper, or null
+const unwrapRedirect = (url) => {
+  if (BARE_QUERY_REDIRECTORS.includes(url.hostname) && url.search.length > 1) {
+    return parseUrl(decodeURIComponent(url.search.slice(1)));
+  }
+
+  const redirector = REDIRECTORS.find(entry =>
+    (entry.hosts ? entry.hosts.includes(url.hostname) : url.hostname.endsWith(entry.hostSuffix)) &&
+    (!entry.path || url.pathname === entry.path));
+  if (!redirector) return null;
+
+  const params = [].concat(redirector.param);
+  const target = params.map(param => url.searchParams.get(param)).find(Boolean);
+  return target ? parseUrl(target) : null;
+};
+
+/**
+ * Canonical form of a referral link, used for storage and duplicate checks:
+ * redirect wrappers unwrapped, host lowercased, tracking parameters removed,
+ * the remaining parameters sorted and any trailing slash dropped. Values
+ * that aren't http(s) URLs are only trimmed.
+ * @param {string} link - Link as entered or extracted
+ * @returns {string}
+ */
+const canonicalizeLink = (link) => {
+  if (typeof link !== 'string') return link;
+  const trimmed = link.trim();
+
+  let url = parseUrl(trimmed);
+  if (!url) return trimmed;
+
+  for (let depth = 0; depth < MAX_UNWRAP_DEPTH; depth++) {
+    const target = unwrapRedirect(url);
+    if (!target) break;
+    url = target;
+  }
+
+  // URL already lowercases the scheme and host and drops default ports
+  [...url.searchParams.keys()]
+    .filter(isTrackingParam)
+    .forEach(name => url.searchParams.delete(name));
+  url.searchParams.sort();
+
+  if (url.pathname.length > 1 && url.pathname.endsWith('/')) {
+    url.pathname = url.pathname.replace(/\/+$/, '');
+  }
+
+  // Avoid a dangling "?" or "#" once everything has been stripped
+  return url.toString().replace(/\?(?=#|$)/, '').replace(/#$/, '');
+};
+
+module.exports = { normalizeCodeKey, canonicalizeLink, isTrackingParam };
@@ -0,0 +1,258 @@
+// Builds the Mongo filter, sort, projection and paging options for
+// GET /api/referrals from its query string.
+
+const Referral = require('../models/Referral');
+const Category = require('../models/Category');
+const { REWARD_TYPES, MONEY_REWARD_TYPES } = require('../models/offerTerms');
+const { escapeRegExp, sanitizeSearch, buildSearchCondition } = require('./search');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Sortable fields and the direction each one sorts in by default
+const SORT_FIELDS = {
+  relevance: -1,
+  postDate: -1,
+  expirationDate: 1,
+  brand: 1,
+  score: -1,
+  reward: -1
+};
+
+// Sort names that differ from the field they sort on
+const SORT_PATHS = {
+  reward: 'refereeReward.amount'
+};
+
+// Fields clients may request through ?fields=
+const PROJECTABLE_FIELDS = [
+  'brand', 'code', 'link', 'tags', 'categories', 'postDate', 'expirationDate', 'isValid',
+  'description', 'lastValidated', 'owner', 'upvotes', 'downvotes', 'score', 'workedCount', 'failedCount',
+  'referrerReward', 'refereeReward', 'minimumSpend', 'eligibleCountries', 'newCustomersOnly'
+];
+
+// Split a comma-separated query value (or repeated params) into trimmed values
+const toList = (value) => {
+  if (value === undefined) return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(v => String(v).trim()).filter(Boolean);
+};
+
+const parseDate = (value, param, errors) => {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    errors.push({ msg: 'Invalid date format', param });
+    return undefined;
+  }
+  return date;
+};
+
+const parsePositiveInt = (value, fallback, param, errors) => {
+  if (value === undefined) return fallback;
+  const number = parseInt(value, 10);
+  if (isNaN(number) || number < 1) {
+    errors.push({ msg: 'Must be a positive integer', param });
+    return fallback;
+  }
+  return number;
+};
+
+const parseAmount = (value, param, errors) => {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (value === '' || !isFinite(number) || number < 0) {
+    errors.push({ msg: 'Must be a number of 0 or more', param });
+    return undefined;
+  }
+  return number;
+};
+
+// Add a $gte/$lte range condition on a date or number field
+const addRange = (conditions, field, from, to) => {
+  if (from === undefined && to === undefined) return;
+  const range = {};
+  if (from !== undefined) range.$gte = from;
+  if (to !== undefined) range.$lte = to;
+  conditions.push({ [field]: range });
+};
+
+// Conditions on the offer terms. Reward filters look at what the person
+// using the referral gets.
+const addOfferConditions = (conditions, params, errors) => {
+  const rewardTypes = toList(params.rewardType);
+  const unknownTypes = rewardTypes.filter(type => !REWARD_TYPES.includes(type));
+  if (unknownTypes.length > 0) {
+    errors.push({ msg: `rewardType must be one of: ${REWARD_TYPES.join(', ')}`, param: 'rewardType' });
+  } else if (rewardTypes.length > 0) {
+    conditions.push({ 'refereeReward.type': { $in: rewardTypes } });
+  }
+
+  if (params.currency !== undefined) {
+    const currency = String(params.currency).trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency)) {
+      errors.push({ msg: 'currency must be a 3-letter currency code', param: 'currency' });
+    } else {
+      conditions.push({ 'refereeReward.currency': currency });
+    }
+  }
+
+  addRange(conditions, 'refereeReward.amount',
+    parseAmount(params.minReward, 'minReward', errors),
+    parseAmount(params.maxReward, 'maxReward', errors));
+
+  // Offers open to the country, including those without a country limit
+  if (params.country !== undefined) {
+    const country = String(params.country).trim().toUpperCase();
+    if (!/^[A-Z]{2}$/.test(country)) {
+      errors.push({ msg: 'country must be a 2-letter country code', param: 'country' });
+    } else {
+      conditions.push({ $or: [{ eligibleCountries: country }, { 'eligibleCountries.0': { $exists: false } }] });
+    }
+  }
+
+  if (params.newCustomersOnly === 'true') {
+    conditions.push({ newCustomersOnly: true });
+  } else if (params.newCustomersOnly === 'false') {
+    conditions.push({ newCustomersOnly: { $ne: true } });
+  } else if (params.newCustomersOnly !== undefined) {
+    errors.push({ msg: 'newCustomersOnly must be "true" or "false"', param: 'newCustomersOnly' });
+  }
+};
+
+const buildFilter = (params, errors) => {
+  const now = new Date();
+  const conditions = [{ deletedAt: null }];
+
+  if (params.includeExpired === 'true') {
+    // Expired referrals are flagged invalid by the expiry job, so let those
+    // through while still hiding referrals invalidated for other reasons
+    conditions.push({ $or: [{ isValid: true }, { expirationDate: { $lte: now } }] });
+  } else {
+    conditions.push({ isValid: true, expirationDate: { $gt: now } });
+  }
+
+  const brand = sanitizeSearch(params.brand);
+  if (brand) {
+    conditions.push({ brand: new RegExp(escapeRegExp(brand), 'i') });
+  }
+
+  const tags = toList(params.tags);
+  if (tags.length > 0) {
+    const mode = params.tagsMode || 'any';
+    if (mode !== 'any' && mode !== 'all') {
+      errors.push({ msg: 'tagsMode must be "any" or "all"', param: 'tagsMode' });
+    }
+    conditions.push({ tags: mode === 'all' ? { $all: tags } : { $in: tags } });
+  }
+
+  addRange(conditions, 'postDate',
+    parseDate(params.postedAfter, 'postedAfter', errors),
+    parseDate(params.postedBefore, 'postedBefore', errors));
+  addRange(conditions, 'expirationDate',
+    parseDate(params.expiresAfter, 'expiresAfter', errors),
+    parseDate(params.expiresBefore, 'expiresBefore', errors));
+  addOfferConditions(conditions, params, errors);
+
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+};
+
+const buildSort = (params, usesTextScore, errors) => {
+  const field = params.sort || (usesTextScore ? 'relevance' : 'postDate');
+  if (!SORT_FIELDS[field]) {
+    errors.push({ msg: `sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`, param: 'sort' });
+    return { postDate: -1, _id: -1 };
+  }
+
+  // Relevance only exists for text searches; otherwise fall back to newest first
+  if (field === 'relevance') {
+    return usesTextScore
+      ? { relevance: { $meta: 'textScore' }, postDate: -1, _id: -1 }
+      : { postDate: -1, _id: -1 };
+  }
+
+  // Amounts only compare within one reward type, and one currency for money
+  if (field === 'reward') {
+    const rewardTypes = toList(params.rewardType);
+    if (rewardTypes.length !== 1) {
+      errors.push({ msg: 'sort=reward needs exactly one rewardType', param: 'rewardType' });
+    } else if (MONEY_REWARD_TYPES.includes(rewardTypes[0]) && params.currency === undefined) {
+      errors.push({ msg: `sort=reward needs a currency for ${rewardTypes[0]} rewards`, param: 'currency' });
+    }
+  }
+
+  let direction = SORT_FIELDS[field];
+  if (params.order === 'asc') direction = 1;
+  else if (params.order === 'desc') direction = -1;
+  else if (params.order !== undefined) {
+    errors.push({ msg: 'order must be "asc" or "desc"', param: 'order' });
+  }
+
+  // _id keeps the order stable between pages when the sort field ties
+  const sort = { [SORT_PATHS[field] || field]: direction };
+  if (field !== 'postDate') sort.postDate = -1;
+  sort._id = direction;
+  return sort;
+};
+
+const buildProjection = (params, usesTextScore, errors) => {
+  const fields = toList(params.fields);
+  const relevance = usesTextScore ? { relevance: { $meta: 'textScore' } } : {};
+  if (fields.length === 0) return usesTextScore ? relevance : null;
+
+  const unknown = fields.filter(field => !PROJECTABLE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    errors.push({ msg: `Unknown fields: ${unknown.join(', ')}`, param: 'fields' });
+  }
+
+  return fields
+    .filter(field => PROJECTABLE_FIELDS.includes(field))
+    .reduce((projection, field) => ({ ...projection, [field]: 1 }), relevance);
+};
+
+/**
+ * Parse the list query string
+ * @param {Object} params - req.query
+ * @returns {Promise<Object>} - { filter, sort, projection, page, limit, skip, errors }
+ */
+const buildReferralListQuery = async (params) => {
+  const errors = [];
+
+  const page = parsePositiveInt(params.page, 1, 'page', errors);
+  const limit = Math.min(parsePositiveInt(params.limit, DEFAULT_LIMIT, 'limit', errors), MAX_LIMIT);
+
+  let filter = buildFilter(params, errors);
+  let usesTextScore = false;
+
+  // A category includes everything filed under its subcategories
+  const category = sanitizeSearch(params.category);
+  if (errors.length === 0 && category) {
+    const ids = await Category.subtreeIds(category.toLowerCase());
+    if (ids) {
+      filter = { $and: [filter, { categories: { $in: ids } }] };
+    } else {
+      errors.push({ msg: 'Unknown category', param: 'category' });
+    }
+  }
+
+  // Only hit the database for search once the rest of the query is valid
+  if (errors.length === 0 && params.search) {
+    const search = await buildSearchCondition(Referral, params.search, filter);
+    if (search.condition) {
+      filter = { $and: [filter, search.condition] };
+      usesTextScore = search.usesTextScore;
+    }
+  }
+
+  return {
+    filter,
+    sort: buildSort(params, usesTextScore, errors),
+    projection: buildProjection(params, usesTextScore, errors),
+    page,
+    limit,
+    skip: (page - 1) * limit,
+    errors
+  };
+};
+
+module.exports = { buildReferralListQuery, SORT_FIELDS, PROJECTABLE_FIELDS };
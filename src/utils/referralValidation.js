@@ -0,0 +1,48 @@
+const Referral = require('../models/Referral');
+const { validateSchema } = require('../schemas');
+const { REFERRAL_INPUT_FIELDS, referralInput } = require('../schemas/referral');
+const { checkReferralFormat } = require('../validators');
+
+// Optional fields sent as null or blank count as not provided, and dates are
+// checked in their ISO form
+const toSchemaInput = (data, strict) => Object.keys(data)
+  .filter(key => strict || REFERRAL_INPUT_FIELDS.includes(key))
+  .reduce((input, key) => {
+    const value = data[key];
+    if (value === null || value === undefined) return input;
+    if (key !== 'brand' && typeof value === 'string' && value.trim() === '') return input;
+    return { ...input, [key]: value instanceof Date ? value.toISOString() : value };
+  }, {});
+
+/**
+ * Validate referral data against the referral schema and the brand's code
+ * and link format rules, then check that the brand doesn't already have the
+ * same code or link. Used by the API and by
+ * everything that creates referrals outside it (scraper, imports, review queue).
+ * @param {Object} data - Referral fields
+ * @param {Object} options - { strict, excludeId }: strict rejects fields the
+ *   schema doesn't know, as the API does (otherwise they are ignored);
+ *   excludeId leaves the referral being edited out of the duplicate check
+ * @returns {Promise<Array<Object>>} - Errors as { msg, param }; format
+ *   errors add the rule set that failed as rule, and a failed duplicate
+ *   check is flagged with duplicate: true
+ */
+const validateReferralData = async (data, options = {}) => {
+  const errors = validateSchema(referralInput, toSchemaInput(data || {}, options.strict));
+  if (errors.length > 0) return errors;
+
+  const formatErrors = checkReferralFormat(data);
+  if (formatErrors.length > 0) return formatErrors;
+
+  const isDuplicate = await Referral.checkDuplicate(data.brand, data.code, data.link, options.excludeId);
+  if (isDuplicate) {
+    return [{ msg: 'This referral already exists for this brand', param: 'code', duplicate: true }];
+  }
+
+  return [];
+};
+
+// True if the errors include the duplicate check failing
+const isDuplicateError = (errors) => errors.some(error => error.duplicate);
+
+module.exports = { validateReferralData, isDuplicateError };
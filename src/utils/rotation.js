@@ -0,0 +1,93 @@
+const Referral = require('../models/Referral');
+const Brand = require('../models/Brand');
+
+const ROTATION_STRATEGIES = ['round-robin', 'weighted', 'least-recently-served'];
+const DEFAULT_STRATEGY = ROTATION_STRATEGIES.includes(process.env.ROTATION_STRATEGY)
+  ? process.env.ROTATION_STRATEGY
+  : 'least-recently-served';
+
+// Referrals that can be served right now
+const eligibleFilter = (brandName, now) => ({
+  brand: brandName,
+  isValid: true,
+  expirationDate: { $gt: now },
+  deletedAt: null
+});
+
+const recordExposure = (referralId, now) => Referral.findByIdAndUpdate(
+  referralId,
+  { $inc: { exposureCount: 1 }, lastServedAt: now },
+  { new: true }
+);
+
+// Step through the referrals in posting order, one per request
+const pickRoundRobin = async (brand, filter, now) => {
+  const count = await Referral.countDocuments(filter);
+  if (count === 0) return null;
+
+  // The counter is shared across servers, so concurrent requests get different slots
+  const { rotationIndex } = await Brand.findByIdAndUpdate(
+    brand._id,
+    { $inc: { rotationIndex: 1 } },
+    { new: true, projection: { rotationIndex: 1 } }
+  );
+
+  const [referral] = await Referral.find(filter)
+    .sort({ postDate: 1, _id: 1 })
+    .skip((rotationIndex - 1) % count)
+    .limit(1)
+    .select('_id');
+
+  return referral ? recordExposure(referral._id, now) : null;
+};
+
+// Random pick where better-scored referrals are more likely. Every referral
+// keeps a weight of at least 1, so new and downvoted codes still get traffic.
+const pickWeighted = async (brand, filter, now) => {
+  const candidates = await Referral.find(filter).select('score').lean();
+  if (candidates.length === 0) return null;
+
+  const weights = candidates.map(candidate => Math.max(candidate.score, 0) + 1);
+  let target = Math.random() * weights.reduce((sum, weight) => sum + weight, 0);
+
+  const picked = candidates.find((candidate, index) => {
+    target -= weights[index];
+    return target < 0;
+  }) || candidates[candidates.length - 1];
+
+  return recordExposure(picked._id, now);
+};
+
+// The referral served longest ago (never-served ones first), claimed atomically
+const pickLeastRecentlyServed = (brand, filter, now) => Referral.findOneAndUpdate(
+  filter,
+  { $inc: { exposureCount: 1 }, lastServedAt: now },
+  { sort: { lastServedAt: 1, postDate: 1 }, new: true }
+);
+
+const PICKERS = {
+  'round-robin': pickRoundRobin,
+  weighted: pickWeighted,
+  'least-recently-served': pickLeastRecentlyServed
+};
+
+/**
+ * Choose one referral for a brand and count the exposure
+ * @param {Object} brand - Brand document
+ * @param {string} strategy - One of ROTATION_STRATEGIES
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object|null>} - The served referral, or null if the brand has none
+ */
+const pickReferral = (brand, strategy = DEFAULT_STRATEGY, now = new Date()) => {
+  const pick = PICKERS[strategy];
+  if (!pick) {
+    throw new Error(`Unknown rotation strategy "${strategy}"`);
+  }
+  return pick(brand, eligibleFilter(brand.name, now), now);
+};
+
+module.exports = {
+  ROTATION_STRATEGIES,
+  DEFAULT_STRATEGY,
+  pickReferral
+};
@@ -0,0 +1,144 @@
+// Safe search helpers for referrals. User input is never compiled into a
+// RegExp without escaping, and is length-limited before it reaches Mongo.
+
+const MAX_SEARCH_LENGTH = 100;
+const MAX_FUZZY_DISTANCE = 2;
+
+// Escape every character that has special meaning in a regular expression
+const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Trim, collapse whitespace and cap the length of a search string
+const sanitizeSearch = (value) => {
+  if (typeof value !== 'string') return '';
+  return value.trim().replace(/\s+/g, ' ').slice(0, MAX_SEARCH_LENGTH);
+};
+
+/**
+ * Levenshtein edit distance between two strings
+ * @returns {number}
+ */
+const editDistance = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(current[j - 1] + 1, previous[j] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Allow one typo for short terms and two for longer ones
+const allowedDistance = (term) => Math.min(MAX_FUZZY_DISTANCE, term.length > 5 ? 2 : 1);
+
+/**
+ * Find candidates that are a close (typo-tolerant) match for the term.
+ * Compares against the whole candidate and against its prefix of the same
+ * length, so "ubr" matches "Uber Eats".
+ * @param {string} term - Search term
+ * @param {Array<string>} candidates - Values to compare against
+ * @returns {Array<string>} - Matching candidates, closest first
+ */
+const fuzzyMatch = (term, candidates) => {
+  const needle = term.toLowerCase();
+  if (needle.length < 3) return [];
+
+  const maxDistance = allowedDistance(needle);
+  return candidates
+    .map(candidate => {
+      const value = candidate.toLowerCase();
+      const distance = Math.min(
+        editDistance(needle, value),
+        editDistance(needle, value.slice(0, needle.length))
+      );
+      return { candidate, distance };
+    })
+    .filter(match => match.distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance)
+    .map(match => match.candidate);
+};
+
+/**
+ * Build the Mongo condition for a search string. Uses the text index when it
+ * has hits; otherwise falls back to escaped prefix matching on brand and tags
+ * plus typo-tolerant matching against known brand names.
+ * @param {Object} Referral - Referral model
+ * @param {string} search - Raw search string
+ * @param {Object} baseFilter - Filter the search is combined with
+ * @returns {Promise<Object>} - { condition, usesTextScore }
+ */
+const buildSearchCondition = async (Referral, search, baseFilter = {}) => {
+  const text = sanitizeSearch(search);
+  if (!text) return { condition: null, usesTextScore: false };
+
+  const textCondition = { $text: { $search: text } };
+  if (await Referral.exists({ $and: [baseFilter, textCondition] })) {
+    return { condition: textCondition, usesTextScore: true };
+  }
+
+  const prefix = new RegExp(`^${escapeRegExp(text)}`, 'i');
+  const brands = await Referral.distinct('brand', baseFilter);
+  const fuzzyBrands = fuzzyMatch(text, brands);
+
+  return {
+    condition: {
+      $or: [
+        { brand: prefix },
+        { tags: prefix },
+        { brand: { $in: fuzzyBrands } }
+      ]
+    },
+    usesTextScore: false
+  };
+};
+
+/**
+ * Autocomplete brand names for a partial query. Prefix matches come first,
+ * ordered by how many active referrals the brand has, followed by
+ * typo-tolerant matches.
+ * @param {Object} Referral - Referral model
+ * @param {string} query - Partial brand name
+ * @param {number} limit - Maximum number of suggestions
+ * @returns {Promise<Array<Object>>} - [{ brand, count }]
+ */
+const suggestBrands = async (Referral, query, limit = 10) => {
+  const text = sanitizeSearch(query);
+  if (!text) return [];
+
+  const active = { isValid: true, expirationDate: { $gt: new Date() }, deletedAt: null };
+  const counts = await Referral.aggregate([
+    { $match: active },
+    { $group: { _id: '$brand', count: { $sum: 1 } } }
+  ]);
+
+  const countByBrand = new Map(counts.map(({ _id, count }) => [_id, count]));
+  const needle = text.toLowerCase();
+
+  const prefixMatches = counts
+    .filter(({ _id }) => _id.toLowerCase().startsWith(needle))
+    .sort((a, b) => b.count - a.count)
+    .map(({ _id }) => _id);
+
+  const fuzzyMatches = fuzzyMatch(text, counts.map(({ _id }) => _id))
+    .filter(brand => !prefixMatches.includes(brand));
+
+  return [...prefixMatches, ...fuzzyMatches]
+    .slice(0, limit)
+    .map(brand => ({ brand, count: countByBrand.get(brand) }));
+};
+
+module.exports = {
+  MAX_SEARCH_LENGTH,
+  escapeRegExp,
+  sanitizeSearch,
+  editDistance,
+  fuzzyMatch,
+  buildSearchCondition,
+  suggestBrands
+};
@@ -0,0 +1,65 @@
+// Brand-specific referral validation rules.
+// - codePattern / minLength / maxLength: format rules for the code
+// - domains: hosts (and their subdomains) a referral link may point to
+// - checkLiveness: whether the link should be probed over HTTP during re-validation
+module.exports = [
+  {
+    brand: 'Uber Eats',
+    aliases: ['ubereats', 'uber'],
+    codePattern: /^[a-z0-9-]+$/i,
+    minLength: 5,
+    maxLength: 20,
+    domains: ['ubereats.com', 'uber.com'],
+    checkLiveness: true
+  },
+  {
+    brand: 'DoorDash',
+    aliases: ['door dash'],
+    codePattern: /^[a-z0-9]+$/i,
+    minLength: 4,
+    maxLength: 20,
+    domains: ['doordash.com', 'drd.sh'],
+    checkLiveness: true
+  },
+  {
+    brand: 'Robinhood',
+    codePattern: /^[a-z0-9]+$/i,
+    minLength: 4,
+    maxLength: 24,
+    domains: ['robinhood.com'],
+    checkLiveness: true
+  },
+  {
+    brand: 'Coinbase',
+    codePattern: /^[a-z0-9_-]+$/i,
+    minLength: 6,
+    maxLength: 32,
+    domains: ['coinbase.com'],
+    checkLiveness: true
+  },
+  {
+    brand: 'Airbnb',
+    codePattern: /^[a-z0-9]+$/i,
+    minLength: 4,
+    maxLength: 20,
+    domains: ['airbnb.com'],
+    checkLiveness: true
+  },
+  {
+    brand: 'Cash App',
+    aliases: ['cashapp', 'square cash'],
+    codePattern: /^[a-z0-9]+$/i,
+    minLength: 5,
+    maxLength: 12,
+    domains: ['cash.app', 'cash.me'],
+    checkLiveness: false
+  },
+  {
+    brand: 'Rakuten',
+    codePattern: /^[a-z0-9]+$/i,
+    minLength: 4,
+    maxLength: 24,
+    domains: ['rakuten.com'],
+    checkLiveness: true
+  }
+];
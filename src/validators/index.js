@@ -0,0 +1,206 @@
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const defaultBrands = require('./brands');
+const { normalizeBrandKey } = require('../utils/brandKey');
+
+const LIVENESS_TIMEOUT = parseInt(process.env.VALIDATOR_LIVENESS_TIMEOUT || 5000);
+
+// Networks a liveness probe must never reach: loopback, private, link-local
+// (where cloud metadata services live) and other non-public ranges
+const PRIVATE_NETWORKS = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]
+].forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]
+].forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv6'));
+
+// Fallback rules for brands without a registered validator
+const DEFAULT_RULES = {
+  codePattern: /^[a-z0-9._-]+$/i,
+  minLength: 3,
+  maxLength: 64,
+  domains: [],
+  checkLiveness: false
+};
+
+const registry = new Map();
+
+/**
+ * Register (or replace) the validation rules for a brand
+ * @param {Object} rules - Rules object, see brands.js for the shape
+ */
+const registerValidator = (rules) => {
+  const entry = { ...DEFAULT_RULES, ...rules };
+  registry.set(normalizeBrandKey(rules.brand), entry);
+  (rules.aliases || []).forEach(alias => registry.set(normalizeBrandKey(alias), entry));
+};
+
+/**
+ * Remove a brand's rules (and its aliases) from the registry
+ * @param {string} brand - Brand name or alias
+ */
+const unregisterValidator = (brand) => {
+  const entry = registry.get(normalizeBrandKey(brand));
+  if (!entry) return;
+
+  for (const [key, value] of registry) {
+    if (value === entry) registry.delete(key);
+  }
+};
+
+const getValidator = (brand) => registry.get(normalizeBrandKey(brand)) || DEFAULT_RULES;
+
+/**
+ * Check the code against the format rules
+ * @returns {string|null} - Error message, or null if the code is acceptable
+ */
+const checkCodeFormat = (code, rules) => {
+  if (!code) return null;
+
+  if (code.length < rules.minLength || code.length > rules.maxLength) {
+    return `Code must be between ${rules.minLength} and ${rules.maxLength} characters`;
+  }
+  if (rules.codePattern && !rules.codePattern.test(code)) {
+    return 'Code format is not valid for this brand';
+  }
+  return null;
+};
+
+/**
+ * Check that the link is an http(s) URL on one of the brand's domains
+ * @returns {string|null} - Error message, or null if the link is acceptable
+ */
+const checkLinkDomain = (link, rules) => {
+  if (!link) return null;
+
+  let url;
+  try {
+    url = new URL(link);
+  } catch (error) {
+    return 'Link is not a valid URL';
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return 'Link must use http or https';
+  }
+
+  if (rules.domains.length === 0) return null;
+
+  const host = url.hostname.toLowerCase();
+  const matches = rules.domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+  return matches ? null : 'Link does not belong to this brand\'s domain';
+};
+
+/**
+ * Check a referral's code and link against its brand's format rules. Each
+ * error names the rule set that rejected it: the brand's, or "default" for
+ * brands without registered rules.
+ * @param {Object} referral - Object with brand, code and link
+ * @returns {Array<Object>} - Errors as { msg, param, rule }
+ */
+const checkReferralFormat = (referral) => {
+  const rules = getValidator(referral.brand);
+  const rule = rules.brand || 'default';
+
+  return [
+    ['code', checkCodeFormat(referral.code, rules)],
+    ['link', checkLinkDomain(referral.link, rules)]
+  ]
+    .filter(([, msg]) => msg)
+    .map(([param, msg]) => ({ msg: `${msg} (${rule} rules)`, param, rule }));
+};
+
+const isPrivateAddress = (address) => {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return PRIVATE_NETWORKS.check(mapped[1], 'ipv4');
+  return PRIVATE_NETWORKS.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+// dns.lookup that fails for hosts resolving to a private address. Used as
+// the socket's lookup, so the address checked is the one connected to.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(new Error(`${hostname} resolves to a private address`));
+    }
+    callback(null, addresses);
+  });
+};
+
+/**
+ * Probe the link over HTTP. HEAD first, falling back to GET for servers
+ * that don't support HEAD. Redirects aren't followed (a redirect counts as
+ * a response), and links to loopback or private addresses are refused, so
+ * a submitted link can't make the server probe its own network.
+ * @param {string} link - URL to probe
+ * @param {Object} options - { timeout, allowPrivateHosts: skip the address check }
+ * @returns {Promise<string|null>} - Error message, or null if the link responds
+ */
+const checkLiveness = async (link, { timeout = LIVENESS_TIMEOUT, allowPrivateHosts = false } = {}) => {
+  const request = { timeout, maxRedirects: 0, validateStatus: () => true };
+
+  if (!allowPrivateHosts) {
+    let host;
+    try {
+      host = new URL(link).hostname.replace(/^\[|\]$/g, '');
+    } catch (error) {
+      return 'Link is not a valid URL';
+    }
+    if (net.isIP(host) && isPrivateAddress(host)) {
+      return 'Link points to a private address';
+    }
+    request.lookup = publicLookup;
+  }
+
+  try {
+    let response = await axios.head(link, request);
+    if (response.status === 405 || response.status === 501) {
+      response = await axios.get(link, request);
+    }
+
+    if (response.status >= 400) {
+      return `Link responded with HTTP ${response.status}`;
+    }
+    return null;
+  } catch (error) {
+    return `Link is unreachable: ${error.message}`;
+  }
+};
+
+/**
+ * Validate a referral against its brand's rules
+ * @param {Object} referral - Object with brand, code and link
+ * @param {Object} options - { checkLiveness: probe the link if the brand allows it, timeout }
+ * @returns {Promise<Object>} - { valid, errors }
+ */
+const validateReferralCode = async (referral, options = {}) => {
+  const rules = getValidator(referral.brand);
+  const formatErrors = checkReferralFormat(referral);
+  const errors = formatErrors.map(error => error.msg);
+  const linkError = formatErrors.some(error => error.param === 'link');
+
+  if (options.checkLiveness && rules.checkLiveness && referral.link && !linkError) {
+    const livenessError = await checkLiveness(referral.link, options);
+    if (livenessError) errors.push(livenessError);
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+defaultBrands.forEach(registerValidator);
+
+module.exports = {
+  registerValidator,
+  unregisterValidator,
+  getValidator,
+  normalizeBrandKey,
+  checkCodeFormat,
+  checkLinkDomain,
+  checkReferralFormat,
+  checkLiveness,
+  validateReferralCode
+};
@@ -0,0 +1,69 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, resetData, request, createUser } = require('./helpers');
+
+describe('/api/auth', () => {
+  before(() => startServer());
+  after(() => stopServer());
+  beforeEach(() => resetData());
+
+  it('registers a user and returns a token without the password hash', async () => {
+    const res = await request('POST', '/api/auth/register', {
+      body: { username: 'alice', email: 'Alice@Example.com', password: 'password123', role: 'admin' }
+    });
+
+    assert.strictEqual(res.status, 201);
+    assert.ok(res.body.token);
+    assert.strictEqual(res.body.user.email, 'alice@example.com');
+    assert.strictEqual(res.body.user.role, 'user');
+    assert.strictEqual(res.body.user.passwordHash, undefined);
+  });
+
+  it('rejects invalid registrations and taken emails', async () => {
+    const invalid = await request('POST', '/api/auth/register', {
+      body: { username: 'al', email: 'not-an-email', password: 'short' }
+    });
+    assert.strictEqual(invalid.status, 400);
+    assert.deepStrictEqual(invalid.body.errors.map(error => error.path).sort(), ['email', 'password', 'username']);
+
+    await createUser({ username: 'bob', email: 'bob@example.com' });
+    const taken = await request('POST', '/api/auth/register', {
+      body: { username: 'bobby', email: 'bob@example.com', password: 'password123' }
+    });
+    assert.strictEqual(taken.status, 409);
+  });
+
+  it('logs in with the right password only', async () => {
+    await createUser({ username: 'carol', email: 'carol@example.com' });
+
+    const wrong = await request('POST', '/api/auth/login', {
+      body: { email: 'carol@example.com', password: 'wrong-password' }
+    });
+    assert.strictEqual(wrong.status, 401);
+
+    const right = await request('POST', '/api/auth/login', {
+      body: { email: 'CAROL@example.com', password: 'password123' }
+    });
+    assert.strictEqual(right.status, 200);
+    assert.strictEqual(right.body.user.username, 'carol');
+
+    const me = await request('GET', '/api/auth/me', { token: right.body.token });
+    assert.strictEqual(me.status, 200);
+    assert.strictEqual(me.body.username, 'carol');
+  });
+
+  it('requires a valid token for /me', async () => {
+    assert.strictEqual((await request('GET', '/api/auth/me')).status, 401);
+    assert.strictEqual((await request('GET', '/api/auth/me', { token: 'garbage' })).status, 401);
+  });
+
+  it('rate limits login attempts per IP', async () => {
+    let res;
+    for (let i = 0; i < 21; i++) {
+      res = await request('POST', '/api/auth/login', { body: { email: 'x@example.com', password: 'nope' } });
+    }
+
+    assert.strictEqual(res.status, 429);
+    assert.ok(Number(res.headers.get('retry-after')) > 0);
+  });
+});
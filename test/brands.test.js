@@ -0,0 +1,163 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, resetData, request, createUser, createReferral } = require('./helpers');
+const Brand = require('../src/models/Brand');
+const Referral = require('../src/models/Referral');
+const ReferralRevision = require('../src/models/ReferralRevision');
+const AuditLog = require('../src/models/AuditLog');
+
+describe('/api/brands', () => {
+  let admin;
+  let user;
+
+  before(() => startServer());
+  after(() => stopServer());
+  beforeEach(async () => {
+    await resetData();
+    admin = await createUser({ role: 'admin' });
+    user = await createUser();
+  });
+
+  it('lets admins create brands and audits it', async () => {
+    const forbidden = await request('POST', '/api/brands', { token: user.token, body: { name: 'Acme' } });
+    assert.strictEqual(forbidden.status, 403);
+
+    const res = await request('POST', '/api/brands', {
+      token: admin.token,
+      body: { name: 'Acme', aliases: ['ACME Corp'], category: 'shopping' }
+    });
+    assert.strictEqual(res.status, 201);
+    assert.strictEqual(await AuditLog.countDocuments({ action: 'brand.create' }), 1);
+
+    const duplicate = await request('POST', '/api/brands', { token: admin.token, body: { name: 'acme corp' } });
+    assert.strictEqual(duplicate.status, 409);
+  });
+
+  it('lists brands with their active referral counts', async () => {
+    await Brand.create({ name: 'Acme', category: 'shopping' });
+    await Brand.create({ name: 'Zeta', category: 'finance' });
+    await createReferral({ brand: 'Acme' });
+    await createReferral({ brand: 'Acme', deletedAt: new Date() });
+
+    const res = await request('GET', '/api/brands?category=shopping');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.length, 1);
+    assert.strictEqual(res.body[0].referralCount, 1);
+
+    const single = await request('GET', `/api/brands/${res.body[0]._id}`);
+    assert.strictEqual(single.body.name, 'Acme');
+  });
+
+  it('renames a brand, keeping the old name as an alias and moving referrals', async () => {
+    const brand = await Brand.create({ name: 'Acme' });
+    const referral = await createReferral({ brand: 'Acme' });
+
+    const res = await request('PUT', `/api/brands/${brand._id}`, { token: admin.token, body: { name: 'Acme Inc' } });
+    assert.strictEqual(res.status, 200);
+    assert.ok(res.body.brand.aliases.includes('Acme'));
+    assert.strictEqual(res.body.referrals.moved, 1);
+
+    const moved = await Referral.findById(referral._id);
+    assert.strictEqual(moved.brand, 'Acme Inc');
+    assert.strictEqual(moved.__v, referral.__v + 1);
+    const revision = await ReferralRevision.findOne({ referral: referral._id, action: 'update' });
+    assert.deepStrictEqual(revision.changes, ['brand']);
+    assert.ok(revision.actor.equals(admin.user._id));
+  });
+
+  it('adds and removes aliases', async () => {
+    const brand = await Brand.create({ name: 'Acme' });
+
+    const added = await request('POST', `/api/brands/${brand._id}/aliases`, { token: admin.token, body: { alias: 'Acme Co' } });
+    assert.strictEqual(added.status, 200);
+    assert.deepStrictEqual(added.body.brand.aliases, ['Acme Co']);
+
+    const removed = await request('DELETE', `/api/brands/${brand._id}/aliases/acme%20co`, { token: admin.token });
+    assert.strictEqual(removed.status, 200);
+    assert.deepStrictEqual(removed.body.aliases, []);
+
+    const missing = await request('DELETE', `/api/brands/${brand._id}/aliases/nope`, { token: admin.token });
+    assert.strictEqual(missing.status, 404);
+  });
+
+  it('merges brands, soft-deleting referrals that would duplicate', async () => {
+    const target = await Brand.create({ name: 'Acme' });
+    const source = await Brand.create({ name: 'Acme Old' });
+    await createReferral({ brand: 'Acme', code: 'SAME' });
+    const duplicate = await createReferral({ brand: 'Acme Old', code: 'SAME' });
+    await createReferral({ brand: 'Acme Old', code: 'UNIQUE' });
+
+    const res = await request('POST', `/api/brands/${target._id}/merge`, {
+      token: admin.token,
+      body: { sourceId: source._id.toString() }
+    });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.referrals, {
+      moved: 1,
+      duplicatesRemoved: 1,
+      removedIds: [duplicate._id.toString()],
+      purgedIds: []
+    });
+    assert.ok(res.body.brand.aliases.includes('Acme Old'));
+    assert.strictEqual(await Brand.exists({ _id: source._id }), null);
+
+    assert.ok((await Referral.findById(duplicate._id)).deletedAt);
+    assert.strictEqual(await ReferralRevision.countDocuments({ referral: duplicate._id, action: 'delete' }), 1);
+  });
+
+  it('does not treat deleted referrals as duplicates when moving', async () => {
+    const target = await Brand.create({ name: 'Acme' });
+    const deleted = await createReferral({ brand: 'Acme', code: 'SAME', deletedAt: new Date() });
+    const live = await createReferral({ brand: 'Acme Old', code: 'SAME', link: deleted.link });
+
+    const res = await request('POST', `/api/brands/${target._id}/aliases`, { token: admin.token, body: { alias: 'Acme Old' } });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.referrals.moved, 1);
+    assert.deepStrictEqual(res.body.referrals.purgedIds, [deleted._id.toString()]);
+
+    const moved = await Referral.findById(live._id);
+    assert.strictEqual(moved.brand, 'Acme');
+    assert.strictEqual(moved.deletedAt, null);
+  });
+
+  it('only deletes brands without referrals', async () => {
+    const used = await Brand.create({ name: 'Acme' });
+    const unused = await Brand.create({ name: 'Zeta' });
+    await createReferral({ brand: 'Acme' });
+
+    assert.strictEqual((await request('DELETE', `/api/brands/${used._id}`, { token: admin.token })).status, 409);
+    assert.strictEqual((await request('DELETE', `/api/brands/${unused._id}`, { token: admin.token })).status, 200);
+  });
+
+  describe('GET /:brand/referral', () => {
+    it('rotates between active referrals round-robin', async () => {
+      await Brand.create({ name: 'Acme', aliases: ['acme-co'] });
+      const first = await createReferral({ brand: 'Acme', postDate: new Date('2024-01-01') });
+      const second = await createReferral({ brand: 'Acme', postDate: new Date('2024-02-01') });
+
+      const served = [];
+      for (let i = 0; i < 3; i++) {
+        const res = await request('GET', '/api/brands/acme-co/referral?strategy=round-robin');
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.brand, 'Acme');
+        served.push(res.body.referral._id);
+      }
+
+      assert.deepStrictEqual(served, [first, second, first].map(referral => referral._id.toString()));
+      assert.strictEqual((await Referral.findById(first._id)).exposureCount, 2);
+    });
+
+    it('rejects unknown strategies and brands without referrals', async () => {
+      await Brand.create({ name: 'Acme' });
+
+      const strategy = await request('GET', '/api/brands/Acme/referral?strategy=random');
+      assert.strictEqual(strategy.status, 400);
+
+      const empty = await request('GET', '/api/brands/Acme/referral');
+      assert.strictEqual(empty.status, 404);
+
+      const unknown = await request('GET', '/api/brands/Nobody/referral');
+      assert.strictEqual(unknown.status, 404);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const {
+  startServer, stopServer, resetData, request, createUser, createReferral, daysFromNow
+} = require('./helpers');
+const Referral = require('../src/models/Referral');
+
+describe('/api/referrals import and export', () => {
+  let user;
+  const expires = daysFromNow(30).toISOString().split('T')[0];
+
+  before(() => startServer());
+  after(() => stopServer());
+  beforeEach(async () => {
+    await resetData();
+    user = await createUser();
+  });
+
+  const importFile = (body, type, query = '') => request('POST', `/api/referrals/import${query}`, {
+    token: user.token,
+    body,
+    headers: { 'Content-Type': type }
+  });
+
+  it('imports CSV rows and reports duplicates and invalid rows', async () => {
+    await createReferral({ brand: 'Acme', code: 'TAKEN' });
+    const csv = [
+      'brand,code,link,tags,expirationDate',
+      `Acme,NEW1,,food;deals,${expires}`,
+      `Acme,taken,,,${expires}`,
+      `Acme,NEW1,,,${expires}`,
+      'Acme,,,,not-a-date'
+    ].join('\n');
+
+    const res = await importFile(csv, 'text/csv');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.inserted, 1);
+    assert.strictEqual(res.body.duplicates, 2);
+    assert.strictEqual(res.body.invalid, 1);
+    assert.deepStrictEqual(res.body.rows.map(row => row.status), ['inserted', 'duplicate', 'duplicate', 'invalid']);
+
+    const inserted = await Referral.findOne({ code: 'NEW1' });
+    assert.deepStrictEqual(inserted.tags, ['food', 'deals']);
+    assert.ok(inserted.owner.equals(user.user._id));
+  });
+
+  it('imports nothing in atomic mode if any row is rejected', async () => {
+    const ndjson = [
+      JSON.stringify({ brand: 'Acme', code: 'OK1', expirationDate: expires }),
+      '{not json'
+    ].join('\n');
+
+    const res = await importFile(ndjson, 'application/x-ndjson', '?atomic=true');
+    assert.strictEqual(res.status, 422);
+    assert.strictEqual(await Referral.countDocuments(), 0);
+  });
+
+  it('rejects uploads it cannot read', async () => {
+    const res = await importFile('{}', 'application/json');
+    assert.strictEqual(res.status, 415);
+  });
+
+  it('exports the filtered referrals as JSON or CSV', async () => {
+    await createReferral({ brand: 'Acme', code: 'ONE', tags: ['a', 'b'] });
+    await createReferral({ brand: 'Zeta', code: 'TWO' });
+
+    const json = await request('GET', '/api/referrals/export?brand=Acme');
+    assert.strictEqual(json.status, 200);
+    assert.deepStrictEqual(json.body.map(referral => referral.code), ['ONE']);
+
+    const csv = await request('GET', '/api/referrals/export?format=csv&fields=brand,code,tags&sort=brand&order=asc');
+    assert.strictEqual(csv.status, 200);
+    assert.match(csv.headers.get('content-type'), /text\/csv/);
+    const lines = csv.text.trim().split(/\r?\n/);
+    assert.strictEqual(lines.length, 3);
+    assert.match(lines[1], /,Acme,ONE,a;b$/);
+
+    const invalid = await request('GET', '/api/referrals/export?format=xml');
+    assert.strictEqual(invalid.status, 400);
+  });
+
+  it('keeps spreadsheets from running exported text as formulas', async () => {
+    await createReferral({ code: 'SAFE', description: '=HYPERLINK("https://evil.example")', tags: ['@home', '-5%'] });
+
+    const csv = await request('GET', '/api/referrals/export?format=csv&fields=code,description,tags');
+    const [, row] = csv.text.trim().split(/\r?\n/);
+    assert.match(row, /,SAFE,"'=HYPERLINK\(""https:\/\/evil\.example""\)",'@home;-5%$/);
+  });
+
+  it('exports offer terms as one CSV column per property', async () => {
+    await createReferral({
+      code: 'CASH',
+      refereeReward: { type: 'cash', amount: 25, currency: 'USD' },
+      minimumSpend: { amount: 50, currency: 'USD' },
+      eligibleCountries: ['US', 'CA'],
+      newCustomersOnly: true
+    });
+
+    const csv = await request('GET', '/api/referrals/export?format=csv&fields=code,refereeReward,minimumSpend,eligibleCountries,newCustomersOnly');
+    const [header, row] = csv.text.trim().split(/\r?\n/);
+    assert.strictEqual(header, [
+      '_id', 'code', 'refereeReward.type', 'refereeReward.amount', 'refereeReward.currency',
+      'minimumSpend.amount', 'minimumSpend.currency', 'eligibleCountries', 'newCustomersOnly'
+    ].join(','));
+    assert.match(row, /,CASH,cash,25,USD,50,USD,US;CA,true$/);
+  });
+});
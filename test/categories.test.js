@@ -0,0 +1,196 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, resetData, request, createUser, createReferral } = require('./helpers');
+const { matchTagIndex, buildCategoryTree } = require('../src/utils/categories');
+const { recategorizeReferrals } = require('../src/jobs');
+const { buildPrompt } = require('../src/extractors/llm');
+const Category = require('../src/models/Category');
+const Referral = require('../src/models/Referral');
+
+describe('category helpers', () => {
+  const categories = [
+    { _id: 'food', name: 'Food', parent: null, order: 0 },
+    { _id: 'delivery', name: 'Delivery', parent: 'food', order: 0 },
+    { _id: 'groceries', name: 'Groceries', parent: 'food', order: 0 },
+    { _id: 'finance', name: 'Finance', parent: null, order: -1 }
+  ];
+
+  it('nests categories and counts each referral once per subtree', () => {
+    const tree = buildCategoryTree(categories, [
+      { categories: ['delivery'], count: 2 },
+      { categories: ['delivery', 'groceries'], count: 1 },
+      { categories: ['food'], count: 4 }
+    ]);
+
+    assert.deepStrictEqual(tree.map(node => node.name), ['Finance', 'Food']);
+    const food = tree[1];
+    assert.strictEqual(food.count, 4);
+    assert.strictEqual(food.total, 7);
+    assert.deepStrictEqual(food.children.map(node => [node.name, node.count, node.total]), [
+      ['Delivery', 3, 3],
+      ['Groceries', 1, 1]
+    ]);
+  });
+
+  it('matches tags by their normalized key', () => {
+    const index = new Map([
+      ['fooddelivery', { _id: 'delivery', name: 'Delivery' }],
+      ['delivery', { _id: 'delivery', name: 'Delivery' }]
+    ]);
+    assert.deepStrictEqual(matchTagIndex(['Food Delivery', 'delivery', 'travel'], index), [{ _id: 'delivery', name: 'Delivery' }]);
+  });
+
+  it('limits extracted tags to known categories in the prompt', () => {
+    const post = { title: 'Acme code', body: '' };
+    assert.match(buildPrompt(post, ['Food', 'Finance']), /chosen only from: "Food", "Finance"/);
+    assert.doesNotMatch(buildPrompt(post), /chosen only from/);
+  });
+});
+
+describe('categories API', () => {
+  let editor;
+
+  before(() => startServer());
+  after(() => stopServer());
+  beforeEach(async () => {
+    await resetData();
+    editor = await createUser({ role: 'editor' });
+  });
+
+  const createCategory = (body) => request('POST', '/api/categories', { token: editor.token, body });
+
+  it('is managed by editors only', async () => {
+    const { token } = await createUser();
+    assert.strictEqual((await request('POST', '/api/categories', { token, body: { name: 'Food' } })).status, 403);
+
+    const res = await createCategory({ name: 'Food & Drink', synonyms: ['restaurants'] });
+    assert.strictEqual(res.status, 201);
+    assert.strictEqual(res.body.slug, 'food-drink');
+  });
+
+  it('rejects duplicate synonyms and unknown parents', async () => {
+    await createCategory({ name: 'Food', synonyms: ['restaurants'] });
+
+    assert.strictEqual((await createCategory({ name: 'Dining', synonyms: ['Restaurants'] })).status, 409);
+    const orphan = await createCategory({ name: 'Delivery', parent: 'nope' });
+    assert.strictEqual(orphan.status, 400);
+    assert.strictEqual(orphan.body.errors[0].path, 'parent');
+  });
+
+  it('files referrals under categories by tag and synonym', async () => {
+    await createCategory({ name: 'Food' });
+    await createCategory({ name: 'Delivery', parent: 'food', synonyms: ['takeout'] });
+    await createReferral({ tags: ['Takeout'] });
+    await createReferral({ tags: ['food'] });
+    await createReferral({ tags: ['travel'] });
+
+    const tree = await request('GET', '/api/categories');
+    assert.strictEqual(tree.body.length, 1);
+    assert.strictEqual(tree.body[0].total, 2);
+    assert.strictEqual(tree.body[0].children[0].count, 1);
+
+    const node = await request('GET', '/api/categories/delivery');
+    assert.deepStrictEqual(node.body.ancestors.map(category => category.slug), ['food']);
+  });
+
+  it('filters referrals by a category and its subcategories', async () => {
+    await createCategory({ name: 'Food' });
+    await createCategory({ name: 'Delivery', parent: 'food' });
+    await createReferral({ brand: 'Dash', tags: ['delivery'] });
+    await createReferral({ brand: 'Bistro', tags: ['food'] });
+    await createReferral({ brand: 'Air', tags: ['travel'] });
+
+    const food = await request('GET', '/api/referrals?category=food');
+    assert.deepStrictEqual(food.body.data.map(referral => referral.brand).sort(), ['Bistro', 'Dash']);
+
+    const delivery = await request('GET', '/api/referrals?category=delivery');
+    assert.deepStrictEqual(delivery.body.data.map(referral => referral.brand), ['Dash']);
+
+    assert.strictEqual((await request('GET', '/api/referrals?category=nope')).status, 400);
+  });
+
+  it('will not move a category under itself', async () => {
+    await createCategory({ name: 'Food' });
+    await createCategory({ name: 'Delivery', parent: 'food' });
+
+    const res = await request('PUT', '/api/categories/food', { token: editor.token, body: { parent: 'delivery' } });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.errors[0].msg, 'A category cannot be moved under itself');
+  });
+
+  it('refiles existing referrals when categories change', async () => {
+    const referral = await createReferral({ tags: ['takeout'] });
+    const created = await createCategory({ name: 'Delivery', synonyms: ['takeout'] });
+
+    assert.deepStrictEqual(await recategorizeReferrals(), { checked: 1, updated: 1 });
+    const updated = await Referral.findById(referral._id);
+    assert.deepStrictEqual(updated.categories.map(String), [created.body._id]);
+    assert.deepStrictEqual(await recategorizeReferrals(), { checked: 1, updated: 0 });
+  });
+
+  it('deletes only categories without subcategories', async () => {
+    await createCategory({ name: 'Food' });
+    await createCategory({ name: 'Delivery', parent: 'food' });
+    await createReferral({ tags: ['delivery'] });
+
+    assert.strictEqual((await request('DELETE', '/api/categories/food', { token: editor.token })).status, 409);
+    const res = await request('DELETE', '/api/categories/delivery', { token: editor.token });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.referralsUpdated, 1);
+    assert.strictEqual(await Category.countDocuments(), 1);
+  });
+});
+
+describe('collections API', () => {
+  let editor;
+
+  before(() => startServer());
+  after(() => stopServer());
+  beforeEach(async () => {
+    await resetData();
+    editor = await createUser({ role: 'editor' });
+  });
+
+  it('hides drafts until they are published', async () => {
+    const created = await request('POST', '/api/collections', { token: editor.token, body: { title: 'Best Finance Signups' } });
+    assert.strictEqual(created.status, 201);
+    assert.strictEqual(created.body.slug, 'best-finance-signups');
+
+    assert.strictEqual((await request('GET', '/api/collections')).body.length, 0);
+    assert.strictEqual((await request('GET', '/api/collections/best-finance-signups')).status, 404);
+    assert.strictEqual((await request('GET', '/api/collections?status=draft', { token: editor.token })).body.length, 1);
+
+    const published = await request('PUT', '/api/collections/best-finance-signups', { token: editor.token, body: { published: true } });
+    assert.ok(published.body.publishedAt);
+    assert.strictEqual((await request('GET', '/api/collections')).body[0].itemCount, 0);
+  });
+
+  it('keeps referrals in the order editors give', async () => {
+    const first = await createReferral({ brand: 'Zeta' });
+    const second = await createReferral({ brand: 'Acme' });
+    const gone = await createReferral({ brand: 'Gone' });
+    await request('POST', '/api/collections', { token: editor.token, body: { title: 'Picks', published: true } });
+
+    const items = [
+      { referral: String(first._id), note: 'Best bonus' },
+      { referral: String(second._id) },
+      { referral: String(gone._id) }
+    ];
+    assert.strictEqual((await request('PUT', '/api/collections/picks/items', { token: editor.token, body: { items } })).status, 200);
+    await Referral.updateOne({ _id: gone._id }, { isValid: false });
+
+    const res = await request('GET', '/api/collections/picks');
+    assert.deepStrictEqual(res.body.items.map(item => [item.referral.brand, item.note]), [['Zeta', 'Best bonus'], ['Acme', '']]);
+  });
+
+  it('rejects repeated or unknown referrals', async () => {
+    const referral = await createReferral();
+    await request('POST', '/api/collections', { token: editor.token, body: { title: 'Picks' } });
+    const put = (items) => request('PUT', '/api/collections/picks/items', { token: editor.token, body: { items } });
+
+    assert.strictEqual((await put([{ referral: String(referral._id) }, { referral: String(referral._id) }])).status, 400);
+    const missing = await put([{ referral: '0123456789abcdef01234567' }]);
+    assert.strictEqual(missing.status, 400);
+    assert.match(missing.body.errors[0].msg, /Referrals not found/);
+  });
+});
@@ -0,0 +1,51 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, resetData, createReferral } = require('./helpers');
+const { findDuplicateGroups, pickKeeper, mergeReferrals } = require('../src/utils/dedupe');
+const Referral = require('../src/models/Referral');
+const ReferralRevision = require('../src/models/ReferralRevision');
+
+describe('mergeReferrals', () => {
+  before(() => startServer());
+  after(() => stopServer());
+  beforeEach(() => resetData());
+
+  const mergeGroup = async () => {
+    const [group] = findDuplicateGroups(await Referral.find({ brand: 'Acme' }).sort({ postDate: 1 }));
+    const keeper = pickKeeper(group);
+    return mergeReferrals(keeper, group.filter(referral => referral !== keeper));
+  };
+
+  // Referrals stored before codes were compared loosely
+  const insertDuplicate = async (fields) => {
+    const { insertedId } = await Referral.collection.insertOne({
+      brand: 'Acme', tags: [], deletedAt: null, score: 0, postDate: new Date(), expirationDate: new Date(Date.now() + 864e5), ...fields
+    });
+    return insertedId;
+  };
+
+  it('soft-deletes the duplicates with a revision pointing at the keeper', async () => {
+    const keeper = await createReferral({ code: 'ACME10', score: 5, tags: ['food'] });
+    const duplicateId = await insertDuplicate({ code: 'acme 10', link: 'https://acme.example/invite', tags: ['delivery'] });
+
+    const merged = await mergeGroup();
+    assert.ok(merged._id.equals(keeper._id));
+    assert.deepStrictEqual(merged.tags, ['food', 'delivery']);
+    assert.strictEqual(merged.link, 'https://acme.example/invite');
+
+    const duplicate = await Referral.findById(duplicateId);
+    assert.ok(duplicate.deletedAt);
+    const revision = await ReferralRevision.findOne({ referral: duplicateId, action: 'delete' });
+    assert.ok(revision.mergedInto.equals(keeper._id));
+  });
+
+  it('keeps the merged tags within the limit', async () => {
+    const tags = (prefix) => Array.from({ length: 15 }, (_, index) => `${prefix}${index}`);
+    await createReferral({ code: 'ACME10', score: 5, tags: tags('a') });
+    const duplicateId = await insertDuplicate({ code: 'acme 10', tags: tags('b') });
+
+    const merged = await mergeGroup();
+    assert.strictEqual(merged.tags.length, Referral.MAX_TAGS);
+    assert.ok((await Referral.findById(duplicateId)).deletedAt);
+  });
+});
@@ -0,0 +1,109 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const createRulesExtractor = require('../src/extractors/rules');
+const createCombinedExtractor = require('../src/extractors/combined');
+const { appearsIn } = require('../src/extractors/text');
+
+const post = {
+  title: 'DoorDash: $10 off with code WELCOME 10',
+  body: 'Sign up at https://drd.sh/abc?ref=x\nNew customers only, expires 2026-12-31',
+  url: 'https://www.reddit.com/r/deals/comments/abc/'
+};
+
+// What the LLM would answer, with the fields the schema fills in by default
+const llmAnswer = (overrides = {}) => ({
+  brand: 'DoorDash',
+  code: 'WELCOME10',
+  link: 'https://drd.sh/abc?ref=x',
+  tags: [],
+  description: '',
+  expirationDate: null,
+  referrerReward: null,
+  refereeReward: null,
+  minimumSpend: null,
+  eligibleCountries: [],
+  newCustomersOnly: false,
+  ...overrides
+});
+
+const combinedWith = (extract) => {
+  const extractor = createCombinedExtractor({ llm: { extract }, rules: createRulesExtractor() });
+  return (input) => extractor.extract(input);
+};
+
+describe('appearsIn', () => {
+  it('ignores case and whitespace', () => {
+    assert.strictEqual(appearsIn('welcome10', 'Use WELCOME 10 today'), true);
+    assert.strictEqual(appearsIn('WELCOME 10', 'use welcome10'), true);
+    assert.strictEqual(appearsIn('OTHER10', 'Use WELCOME 10 today'), false);
+    assert.strictEqual(appearsIn('  ', 'anything'), false);
+    assert.strictEqual(appearsIn(null, 'anything'), false);
+  });
+});
+
+describe('rules extractor', () => {
+  it('extracts a referral without an LLM', async () => {
+    const result = await createRulesExtractor().extract({
+      title: 'Robinhood: code ROBIN42 gets you 500 points',
+      body: 'Join at https://join.robinhood.com/invite/robin42 (valid until June 30, 2027)'
+    });
+
+    assert.deepStrictEqual(result, {
+      brand: 'Robinhood',
+      code: 'ROBIN42',
+      link: 'https://join.robinhood.com/invite/robin42',
+      tags: result.tags,
+      description: 'Robinhood: code ROBIN42 gets you 500 points',
+      expirationDate: '2027-06-30',
+      referrerReward: null,
+      refereeReward: { type: 'points', amount: 500 },
+      minimumSpend: null,
+      eligibleCountries: [],
+      newCustomersOnly: false
+    });
+  });
+
+  it('finds the brand from a link to a known domain', async () => {
+    const result = await createRulesExtractor().extract(post);
+    assert.strictEqual(result.brand, 'DoorDash');
+    assert.strictEqual(result.link, 'https://drd.sh/abc?ref=x');
+    assert.deepStrictEqual(result.refereeReward, { type: 'discount', amount: 10, currency: 'USD' });
+    assert.strictEqual(result.newCustomersOnly, true);
+  });
+
+  it('returns nothing for posts without a referral', async () => {
+    assert.strictEqual(await createRulesExtractor().extract({ title: 'What is your favourite bank?', body: '' }), null);
+  });
+});
+
+describe('combined extractor', () => {
+  it('keeps the LLM\'s values when they appear in the post', async () => {
+    const result = await combinedWith(async () => llmAnswer())(post);
+    assert.strictEqual(result.code, 'WELCOME10');
+    assert.strictEqual(result.brand, 'DoorDash');
+  });
+
+  it('prefers the rules when the LLM made a value up', async () => {
+    const result = await combinedWith(async () => llmAnswer({ brand: 'Uber Eats', code: 'FAKE99', link: 'https://ubereats.com/invite/x' }))(post);
+    assert.strictEqual(result.brand, 'DoorDash');
+    assert.strictEqual(result.code, 'WELCOME');
+    assert.strictEqual(result.link, 'https://drd.sh/abc?ref=x');
+  });
+
+  it('lets the rules fill fields the LLM left empty', async () => {
+    const result = await combinedWith(async () => llmAnswer({ link: null, refereeReward: null }))(post);
+    assert.strictEqual(result.link, 'https://drd.sh/abc?ref=x');
+    assert.strictEqual(result.expirationDate, '2026-12-31');
+    assert.deepStrictEqual(result.refereeReward, { type: 'discount', amount: 10, currency: 'USD' });
+  });
+
+  it('falls back to the rules when the LLM fails or finds nothing', async () => {
+    const rulesOnly = await createRulesExtractor().extract(post);
+
+    const failed = await combinedWith(async () => { throw new Error('quota exceeded'); })(post);
+    assert.deepStrictEqual(failed, rulesOnly);
+
+    const empty = await combinedWith(async () => null)(post);
+    assert.deepStrictEqual(empty, rulesOnly);
+  });
+});
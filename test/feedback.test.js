@@ -0,0 +1,100 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, resetData, request, createUser, createReferral } = require('./helpers');
+const ReferralEvent = require('../src/models/ReferralEvent');
+
+describe('/api/referrals/:id feedback', () => {
+  let referral;
+
+  before(() => startServer());
+  after(() => stopServer());
+  beforeEach(async () => {
+    await resetData();
+    referral = await createReferral();
+  });
+
+  // Anonymous visitors are told apart by IP and user agent
+  const asVisitor = (agent) => ({ 'User-Agent': `visitor-${agent}` });
+
+  it('counts one vote per voter and lets them change it', async () => {
+    await request('POST', `/api/referrals/${referral._id}/vote`, { body: { value: 1 }, headers: asVisitor('a') });
+    await request('POST', `/api/referrals/${referral._id}/vote`, { body: { value: 1 }, headers: asVisitor('b') });
+    const res = await request('POST', `/api/referrals/${referral._id}/vote`, {
+      body: { value: -1 },
+      headers: asVisitor('a')
+    });
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.upvotes, 1);
+    assert.strictEqual(res.body.downvotes, 1);
+    assert.strictEqual(res.body.score, 0);
+  });
+
+  it('uses the signed-in user as the voter', async () => {
+    const { token } = await createUser();
+    await request('POST', `/api/referrals/${referral._id}/vote`, { body: { value: 1 }, token, headers: asVisitor('a') });
+    const res = await request('POST', `/api/referrals/${referral._id}/vote`, { body: { value: 1 }, token, headers: asVisitor('b') });
+
+    assert.strictEqual(res.body.upvotes, 1);
+  });
+
+  it('rejects invalid votes and unknown referrals', async () => {
+    const invalid = await request('POST', `/api/referrals/${referral._id}/vote`, { body: { value: 5 } });
+    assert.strictEqual(invalid.status, 400);
+
+    const missing = await request('POST', '/api/referrals/000000000000000000000000/vote', { body: { value: 1 } });
+    assert.strictEqual(missing.status, 404);
+  });
+
+  it('ignores client-sent fingerprints', async () => {
+    const headers = (fingerprint) => ({ ...asVisitor('a'), 'X-Client-Fingerprint': fingerprint });
+    await request('POST', `/api/referrals/${referral._id}/vote`, { body: { value: 1 }, headers: headers('one') });
+    const res = await request('POST', `/api/referrals/${referral._id}/vote`, { body: { value: 1 }, headers: headers('two') });
+
+    assert.strictEqual(res.body.upvotes, 1);
+  });
+
+  it('records whether the code worked', async () => {
+    const first = await createUser();
+    const second = await createUser();
+    await request('POST', `/api/referrals/${referral._id}/worked`, { token: first.token });
+    const res = await request('POST', `/api/referrals/${referral._id}/failed`, { token: second.token });
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.workedCount, 1);
+    assert.strictEqual(res.body.failedCount, 1);
+  });
+
+  it('needs an account to report whether the code worked', async () => {
+    const res = await request('POST', `/api/referrals/${referral._id}/failed`, { headers: asVisitor('a') });
+    assert.strictEqual(res.status, 401);
+  });
+
+  it('records copies as usage events', async () => {
+    const res = await request('POST', `/api/referrals/${referral._id}/copy`, { headers: asVisitor('a') });
+
+    assert.strictEqual(res.status, 204);
+    assert.strictEqual(await ReferralEvent.countDocuments({ 'meta.referral': referral._id, 'meta.type': 'copy' }), 1);
+  });
+
+  it('accepts one open report per reporter', async () => {
+    const first = await request('POST', `/api/referrals/${referral._id}/report`, {
+      body: { reason: 'expired', details: 'Code no longer accepted' },
+      headers: asVisitor('a')
+    });
+    assert.strictEqual(first.status, 201);
+    assert.strictEqual(first.body.status, 'open');
+
+    const second = await request('POST', `/api/referrals/${referral._id}/report`, {
+      body: { reason: 'spam' },
+      headers: asVisitor('a')
+    });
+    assert.strictEqual(second.status, 409);
+
+    const invalid = await request('POST', `/api/referrals/${referral._id}/report`, {
+      body: { reason: 'boring' },
+      headers: asVisitor('b')
+    });
+    assert.strictEqual(invalid.status, 400);
+  });
+});
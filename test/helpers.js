@@ -0,0 +1,209 @@
+// Shared setup for the integration tests: an in-process MongoDB, the app
+// listening on a random port, and shortcuts for requests and fixtures.
+//
+// Set MONGOMS_SYSTEM_BINARY to a local mongod to skip the binary download.
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+// Keep test output readable; set LOG_LEVEL to see the app's logs
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const net = require('net');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { createApp } = require('../src/app');
+const { signToken } = require('../src/middleware/auth');
+const { setStore } = require('../src/rateLimit');
+const { createStore } = require('../src/rateLimit/stores');
+const User = require('../src/models/User');
+const Referral = require('../src/models/Referral');
+
+// Load every model so resetData clears their collections too
+require('../src/jobs');
+require('../src/scraper');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let mongo = null;
+let server = null;
+let baseUrl = null;
+
+/**
+ * Start MongoDB, connect and listen. Call from before() in each test file.
+ * @param {Object} config - Passed to createApp
+ */
+const startServer = async (config = {}) => {
+  mongo = await MongoMemoryServer.create();
+  await mongoose.connect(mongo.getUri());
+  await Promise.all(mongoose.modelNames().map(name => mongoose.model(name).init()));
+
+  server = createApp(config).listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+};
+
+const stopServer = async () => {
+  if (server) await new Promise(resolve => server.close(resolve));
+  await mongoose.disconnect();
+  if (mongo) await mongo.stop();
+};
+
+// Empty every collection and forget rate limit counters. Call from beforeEach().
+const resetData = async () => {
+  await Promise.all(mongoose.modelNames().map(name => mongoose.model(name).deleteMany({})));
+  setStore(createStore('memory'));
+};
+
+/**
+ * Send a request to the app
+ * @param {string} method - HTTP method
+ * @param {string} path - Path with query string
+ * @param {Object} options - { body, token, headers }; object bodies are sent as JSON
+ * @returns {Promise<Object>} - { status, headers, body, text }
+ */
+const request = async (method, path, { body, token, headers = {} } = {}) => {
+  const sendHeaders = { ...headers };
+  if (token) sendHeaders.Authorization = `Bearer ${token}`;
+
+  let payload = body;
+  if (body !== undefined && typeof body !== 'string') {
+    sendHeaders['Content-Type'] = sendHeaders['Content-Type'] || 'application/json';
+    payload = JSON.stringify(body);
+  }
+
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: sendHeaders,
+    body: payload,
+    redirect: 'manual'
+  });
+  const text = await response.text();
+  let parsed = null;
+  try {
+    parsed = text ? JSON.parse(text) : null;
+  } catch (error) {
+    parsed = null;
+  }
+
+  return { status: response.status, headers: response.headers, body: parsed, text };
+};
+
+let userCount = 0;
+
+/**
+ * Create a user and a token for it
+ * @param {Object} overrides - User fields, e.g. { role: 'admin' }
+ * @returns {Promise<Object>} - { user, token }
+ */
+const createUser = async (overrides = {}) => {
+  userCount++;
+  const user = new User({
+    username: `user${userCount}`,
+    email: `user${userCount}@example.com`,
+    ...overrides
+  });
+  await user.setPassword('password123');
+  await user.save();
+  return { user, token: signToken(user) };
+};
+
+// A date the given number of days from now
+const daysFromNow = (days) => new Date(Date.now() + days * DAY_MS);
+
+/**
+ * Insert a referral directly, bypassing the API
+ * @param {Object} overrides - Referral fields
+ * @returns {Promise<Object>} - Referral document
+ */
+const createReferral = (overrides = {}) => Referral.create({
+  brand: 'Acme',
+  code: `CODE${Math.random().toString(36).slice(2, 8).toUpperCase()}`,
+  expirationDate: daysFromNow(30),
+  ...overrides
+});
+
+/**
+ * Start a local SMTP server that accepts every message and keeps it
+ * @returns {Promise<Object>} - { port, messages, stop }; each message is
+ *   { from, to, data } with the raw message as data
+ */
+const startSmtpSink = async () => {
+  const messages = [];
+  const sockets = new Set();
+
+  const sink = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.setEncoding('utf8');
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+    let buffer = '';
+    let envelope = null;
+    let readingData = false;
+
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      for (;;) {
+        if (readingData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) return;
+          messages.push({ ...envelope, data: buffer.slice(0, end).replace(/^\.\./gm, '.') });
+          buffer = buffer.slice(end + 5);
+          envelope = null;
+          readingData = false;
+          reply('250 Queued');
+          continue;
+        }
+
+        const end = buffer.indexOf('\r\n');
+        if (end === -1) return;
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const address = (line.match(/<([^>]*)>/) || [])[1];
+
+        switch (line.slice(0, 4).toUpperCase()) {
+          case 'MAIL':
+            envelope = { from: address, to: [] };
+            reply('250 OK');
+            break;
+          case 'RCPT':
+            envelope.to.push(address);
+            reply('250 OK');
+            break;
+          case 'DATA':
+            readingData = true;
+            reply('354 End data with <CR><LF>.<CR><LF>');
+            break;
+          case 'QUIT':
+            reply('221 Bye');
+            socket.end();
+            return;
+          default:
+            // EHLO, HELO, RSET, NOOP
+            reply('250 OK');
+        }
+      }
+    });
+
+    reply('220 sink ESMTP');
+  });
+
+  await new Promise(resolve => sink.listen(0, '127.0.0.1', resolve));
+
+  const stop = async () => {
+    sockets.forEach(socket => socket.destroy());
+    await new Promise(resolve => sink.close(resolve));
+  };
+
+  return { port: sink.address().port, messages, stop };
+};
+
+module.exports = {
+  startServer,
+  stopServer,
+  resetData,
+  request,
+  createUser,
+  createReferral,
+  daysFromNow,
+  startSmtpSink
+};
@@ -0,0 +1,246 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const {
+  startServer, stopServer, resetData, request, createUser, createReferral, daysFromNow
+} = require('./helpers');
+const { parseCron, nextCronTime } = require('../src/jobs/cron');
+const { createScheduler } = require('../src/jobs/scheduler');
+const { expireReferrals, revalidateReferrals } = require('../src/jobs');
+const Job = require('../src/models/Job');
+const JobRun = require('../src/models/JobRun');
+const Referral = require('../src/models/Referral');
+
+describe('cron', () => {
+  const from = new Date('2026-10-19T10:17:30Z');
+
+  it('finds the next matching minute in UTC', () => {
+    assert.strictEqual(nextCronTime('*/15 * * * *', from).toISOString(), '2026-10-19T10:30:00.000Z');
+    assert.strictEqual(nextCronTime('@daily', from).toISOString(), '2026-10-20T00:00:00.000Z');
+    assert.strictEqual(nextCronTime('30 2 * * 1', from).toISOString(), '2026-10-26T02:30:00.000Z');
+    assert.strictEqual(nextCronTime('0 0 29 2 *', from).toISOString(), '2028-02-29T00:00:00.000Z');
+  });
+
+  it('matches either day field when both are restricted', () => {
+    assert.strictEqual(nextCronTime('0 9 1 * 5', from).toISOString(), '2026-10-23T09:00:00.000Z');
+  });
+
+  it('rejects malformed expressions', () => {
+    assert.throws(() => parseCron('* * *'), /expected 5 fields/);
+    assert.throws(() => parseCron('60 * * * *'), /minute must be between 0 and 59/);
+    assert.throws(() => parseCron('5-1 * * * *'), /backwards/);
+  });
+});
+
+describe('job scheduler', () => {
+  let clock;
+  const now = () => new Date(clock);
+
+  before(() => startServer());
+  after(() => stopServer());
+  beforeEach(async () => {
+    await resetData();
+    clock = new Date('2026-10-19T10:00:30Z').getTime();
+  });
+
+  const define = (handler, overrides = {}) => new Map([
+    ['test-job', { schedule: '*/5 * * * *', maxAttempts: 3, backoffSeconds: 60, lockSeconds: 600, handler, ...overrides }]
+  ]);
+
+  it('stores jobs with their next run time', async () => {
+    await createScheduler({ jobs: define(async () => {}), now }).sync();
+
+    const job = await Job.findOne({ name: 'test-job' });
+    assert.strictEqual(job.nextRunAt.toISOString(), '2026-10-19T10:05:00.000Z');
+  });
+
+  it('stores jobs on its first poll once started', async () => {
+    let calls = 0;
+    const scheduler = createScheduler({ jobs: define(async () => { calls++; }), now, pollIntervalMs: 20 });
+    const waitFor = async (condition) => {
+      for (let i = 0; i < 50 && !(await condition()); i++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+    };
+
+    scheduler.start();
+    await waitFor(() => Job.exists({ name: 'test-job' }));
+    clock = new Date('2026-10-19T10:05:00Z').getTime();
+    await waitFor(() => calls > 0);
+    await scheduler.stop();
+
+    assert.strictEqual(calls, 1);
+  });
+
+  it('runs a due job once, records the run and schedules the next', async () => {
+    let calls = 0;
+    const scheduler = createScheduler({ jobs: define(async () => ({ calls: ++calls })), now });
+    await scheduler.sync();
+
+    assert.deepStrictEqual(await scheduler.tick(), []);
+
+    clock += 5 * 60 * 1000;
+    const runs = await scheduler.tick();
+    assert.deepStrictEqual(runs, [{ job: 'test-job', status: 'succeeded', attempt: 1, retry: false }]);
+    assert.deepStrictEqual(await scheduler.tick(), []);
+
+    const job = await Job.findOne({ name: 'test-job' });
+    assert.strictEqual(job.lastStatus, 'succeeded');
+    assert.strictEqual(job.lockedBy, null);
+    assert.strictEqual(job.nextRunAt.toISOString(), '2026-10-19T10:10:00.000Z');
+
+    const history = await JobRun.find({ job: 'test-job' }).lean();
+    assert.strictEqual(history.length, 1);
+    assert.deepStrictEqual(history[0].result, { calls: 1 });
+  });
+
+  it('lets only one instance run a job', async () => {
+    let release;
+    let calls = 0;
+    const jobs = define(() => {
+      calls++;
+      return new Promise(resolve => { release = resolve; });
+    });
+    const first = createScheduler({ jobs, instanceId: 'a', now });
+    const second = createScheduler({ jobs, instanceId: 'b', now });
+    await first.sync();
+    await second.sync();
+    clock += 5 * 60 * 1000;
+
+    const running = first.tick();
+    while (!release) await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepStrictEqual(await second.tick(), []);
+    assert.strictEqual((await Job.findOne({ name: 'test-job' })).lockedBy, 'a');
+
+    release();
+    await running;
+    assert.strictEqual(calls, 1);
+  });
+
+  it('takes over a job whose lock has expired', async () => {
+    const scheduler = createScheduler({ jobs: define(async () => {}), instanceId: 'b', now });
+    await scheduler.sync();
+    await Job.updateOne({ name: 'test-job' }, {
+      nextRunAt: now(),
+      lockedBy: 'a',
+      lockedUntil: new Date(clock - 1000)
+    });
+
+    const runs = await scheduler.tick();
+    assert.strictEqual(runs.length, 1);
+  });
+
+  it('retries failures with a doubling backoff, then waits for the schedule', async () => {
+    const scheduler = createScheduler({
+      jobs: define(async () => { throw new Error('boom'); }),
+      now
+    });
+    await scheduler.sync();
+    clock += 5 * 60 * 1000;
+
+    assert.deepStrictEqual(await scheduler.tick(), [{ job: 'test-job', status: 'failed', attempt: 1, retry: true }]);
+    let job = await Job.findOne({ name: 'test-job' });
+    assert.strictEqual(job.nextRunAt.getTime(), clock + 60 * 1000);
+    assert.strictEqual(job.lastError, 'boom');
+
+    clock += 60 * 1000;
+    assert.deepStrictEqual(await scheduler.tick(), [{ job: 'test-job', status: 'failed', attempt: 2, retry: true }]);
+    job = await Job.findOne({ name: 'test-job' });
+    assert.strictEqual(job.nextRunAt.getTime(), clock + 2 * 60 * 1000);
+
+    clock += 2 * 60 * 1000;
+    assert.deepStrictEqual(await scheduler.tick(), [{ job: 'test-job', status: 'failed', attempt: 3, retry: false }]);
+    job = await Job.findOne({ name: 'test-job' });
+    assert.strictEqual(job.attempts, 0);
+    assert.strictEqual(job.nextRunAt.toISOString(), '2026-10-19T10:10:00.000Z');
+    assert.strictEqual(await JobRun.countDocuments({ job: 'test-job', status: 'failed' }), 3);
+  });
+
+  it('skips disabled jobs', async () => {
+    const scheduler = createScheduler({ jobs: define(async () => {}), now });
+    await scheduler.sync();
+    await Job.updateOne({ name: 'test-job' }, { enabled: false });
+    clock += 5 * 60 * 1000;
+
+    assert.deepStrictEqual(await scheduler.tick(), []);
+  });
+});
+
+describe('expire-referrals job', () => {
+  before(() => startServer());
+  after(() => stopServer());
+  beforeEach(() => resetData());
+
+  it('invalidates every expired referral in one update', async () => {
+    const expired = await createReferral({ expirationDate: daysFromNow(-1) });
+    const active = await createReferral({ expirationDate: daysFromNow(1) });
+
+    assert.deepStrictEqual(await expireReferrals(), { expired: 1 });
+    assert.strictEqual((await Referral.findById(expired._id)).isValid, false);
+    assert.strictEqual((await Referral.findById(active._id)).isValid, true);
+  });
+});
+
+describe('revalidate-referrals job', () => {
+  before(() => startServer());
+  after(() => stopServer());
+  beforeEach(() => resetData());
+
+  it('checks validator failures again but leaves moderator and feedback invalidations alone', async () => {
+    const recovered = await createReferral();
+    const moderated = await createReferral();
+    await Referral.updateOne({ _id: recovered._id }, { isValid: false });
+    await Referral.updateOne({ _id: moderated._id }, { isValid: false, invalidatedBy: 'moderator' });
+    await Referral.updateMany({}, { lastValidated: daysFromNow(-2) });
+
+    assert.deepStrictEqual(await revalidateReferrals(), { checked: 1, invalidated: 0, restored: 1 });
+    assert.strictEqual((await Referral.findById(recovered._id)).isValid, true);
+    assert.strictEqual((await Referral.findById(moderated._id)).isValid, false);
+  });
+});
+
+describe('/api/jobs', () => {
+  let admin;
+
+  before(() => startServer());
+  after(() => stopServer());
+  beforeEach(async () => {
+    await resetData();
+    admin = await createUser({ role: 'admin' });
+    await createScheduler({ jobs: new Map([['test-job', { schedule: '@daily', handler: async () => {} }]]) }).sync();
+  });
+
+  it('is for admins only', async () => {
+    const { token } = await createUser();
+    assert.strictEqual((await request('GET', '/api/jobs', { token })).status, 403);
+  });
+
+  it('lists jobs and their run history', async () => {
+    await JobRun.create({ job: 'test-job', status: 'failed', instance: 'a', error: 'boom' });
+    await JobRun.create({ job: 'test-job', status: 'succeeded', instance: 'a' });
+
+    const jobs = await request('GET', '/api/jobs', { token: admin.token });
+    assert.deepStrictEqual(jobs.body.map(job => job.name), ['test-job']);
+
+    const runs = await request('GET', '/api/jobs/runs?job=test-job&status=failed', { token: admin.token });
+    assert.strictEqual(runs.body.meta.total, 1);
+    assert.strictEqual(runs.body.data[0].error, 'boom');
+  });
+
+  it('queues a job to run now', async () => {
+    const res = await request('POST', '/api/jobs/test-job/run', { token: admin.token });
+    assert.strictEqual(res.status, 202);
+    assert.ok(new Date(res.body.nextRunAt) <= new Date());
+
+    assert.strictEqual((await request('POST', '/api/jobs/nope/run', { token: admin.token })).status, 404);
+  });
+
+  it('pauses and resumes a job', async () => {
+    const paused = await request('PATCH', '/api/jobs/test-job', { token: admin.token, body: { enabled: false } });
+    assert.strictEqual(paused.status, 200);
+    assert.strictEqual(paused.body.enabled, false);
+
+    const invalid = await request('PATCH', '/api/jobs/test-job', { token: admin.token, body: { enabled: 'no' } });
+    assert.strictEqual(invalid.status, 400);
+  });
+});
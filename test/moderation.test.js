@@ -0,0 +1,162 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const {
+  startServer, stopServer, resetData, request, createUser, createReferral, daysFromNow
+} = require('./helpers');
+const Referral = require('../src/models/Referral');
+const Report = require('../src/models/Report');
+const PendingReferral = require('../src/models/PendingReferral');
+
+describe('/api/moderation', () => {
+  let admin;
+
+  before(() => startServer());
+  after(() => stopServer());
+  beforeEach(async () => {
+    await resetData();
+    admin = await createUser({ role: 'admin' });
+  });
+
+  const report = (referral, reporterKey, reason = 'expired') =>
+    Report.create({ referral: referral._id, reason, reporterKey });
+
+  const stage = (overrides = {}) => PendingReferral.create({
+    brand: 'Acme',
+    code: 'STAGED',
+    expirationDate: daysFromNow(30),
+    source: 'reddit',
+    sourceId: `post${Math.random().toString(36).slice(2, 8)}`,
+    confidence: 0.5,
+    ...overrides
+  });
+
+  it('is for admins only', async () => {
+    const { token } = await createUser();
+    assert.strictEqual((await request('GET', '/api/moderation/reports', { token })).status, 403);
+    assert.strictEqual((await request('GET', '/api/moderation/reports')).status, 401);
+  });
+
+  describe('reports', () => {
+    it('lists open reports with the referral attached', async () => {
+      const referral = await createReferral();
+      await report(referral, 'fp:a');
+
+      const res = await request('GET', '/api/moderation/reports', { token: admin.token });
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.body.meta.total, 1);
+      assert.strictEqual(res.body.data[0].referral.code, referral.code);
+    });
+
+    it('resolves every open report on the referral and applies the action', async () => {
+      const referral = await createReferral();
+      const first = await report(referral, 'fp:a');
+      await report(referral, 'fp:b', 'spam');
+
+      const res = await request('POST', `/api/moderation/reports/${first._id}/resolve`, {
+        token: admin.token,
+        body: { action: 'delete', note: 'Expired' }
+      });
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.body.reportsResolved, 2);
+      assert.ok((await Referral.findById(referral._id)).deletedAt);
+
+      const again = await request('POST', `/api/moderation/reports/${first._id}/resolve`, {
+        token: admin.token,
+        body: { action: 'none' }
+      });
+      assert.strictEqual(again.status, 409);
+    });
+
+    it('keeps an invalidated referral invalid when it is edited', async () => {
+      const referral = await createReferral();
+      const open = await report(referral, 'fp:a', 'malicious');
+
+      await request('POST', `/api/moderation/reports/${open._id}/resolve`, {
+        token: admin.token,
+        body: { action: 'invalidate' }
+      });
+      const edited = await request('PATCH', `/api/referrals/${referral._id}`, {
+        token: admin.token,
+        body: { code: 'FRESH10' }
+      });
+      assert.strictEqual(edited.status, 200);
+      assert.strictEqual(edited.body.isValid, false);
+      assert.strictEqual(edited.body.invalidatedBy, 'moderator');
+    });
+
+    it('dismisses a single report', async () => {
+      const referral = await createReferral();
+      const first = await report(referral, 'fp:a');
+      await report(referral, 'fp:b');
+
+      const res = await request('POST', `/api/moderation/reports/${first._id}/dismiss`, { token: admin.token, body: {} });
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.body.status, 'dismissed');
+      assert.strictEqual(await Report.countDocuments({ status: 'open' }), 1);
+    });
+  });
+
+  describe('pending referrals', () => {
+    it('lists staged referrals, least confident first', async () => {
+      await stage({ code: 'SURE', confidence: 0.9 });
+      await stage({ code: 'DOUBT', confidence: 0.2 });
+
+      const res = await request('GET', '/api/moderation/pending', { token: admin.token });
+      assert.deepStrictEqual(res.body.data.map(pending => pending.code), ['DOUBT', 'SURE']);
+    });
+
+    it('edits a staged referral and re-validates it', async () => {
+      const pending = await stage({ code: '' });
+
+      const res = await request('PUT', `/api/moderation/pending/${pending._id}`, {
+        token: admin.token,
+        body: { code: 'FIXED' }
+      });
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.body.code, 'FIXED');
+      assert.deepStrictEqual(res.body.validationErrors, []);
+    });
+
+    it('approves a staged referral into a live one', async () => {
+      const pending = await stage();
+
+      const res = await request('POST', `/api/moderation/pending/${pending._id}/approve`, { token: admin.token });
+      assert.strictEqual(res.status, 201);
+      assert.strictEqual(res.body.code, 'STAGED');
+      assert.strictEqual((await PendingReferral.findById(pending._id)).status, 'approved');
+
+      const again = await request('POST', `/api/moderation/pending/${pending._id}/approve`, { token: admin.token });
+      assert.strictEqual(again.status, 409);
+    });
+
+    it('refuses to approve a duplicate', async () => {
+      await createReferral({ code: 'STAGED' });
+      const pending = await stage();
+
+      const res = await request('POST', `/api/moderation/pending/${pending._id}/approve`, { token: admin.token });
+      assert.strictEqual(res.status, 400);
+    });
+
+    it('rejects a staged referral', async () => {
+      const pending = await stage();
+
+      const res = await request('POST', `/api/moderation/pending/${pending._id}/reject`, {
+        token: admin.token,
+        body: { reason: 'Not a referral' }
+      });
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.body.status, 'rejected');
+      assert.strictEqual(res.body.rejectionReason, 'Not a referral');
+    });
+  });
+
+  it('keeps an audit trail of moderation actions', async () => {
+    const pending = await stage();
+    await request('POST', `/api/moderation/pending/${pending._id}/reject`, { token: admin.token, body: {} });
+
+    const res = await request('GET', '/api/moderation/audit?action=pending.reject', { token: admin.token });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.meta.total, 1);
+    assert.strictEqual(res.body.data[0].actor.username, admin.user.username);
+  });
+});
@@ -0,0 +1,113 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const {
+  startServer, stopServer, resetData, createUser, createReferral, daysFromNow, startSmtpSink
+} = require('./helpers');
+const { queueExpiryNotifications, sendDigests, formatDigest } = require('../src/notifications');
+const { createTransport } = require('../src/notifications/transports');
+const Referral = require('../src/models/Referral');
+const Subscription = require('../src/models/Subscription');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const smtpTransport = (sink) => createTransport('smtp', {
+  host: '127.0.0.1',
+  port: sink.port,
+  secure: false,
+  from: 'ReferMii <no-reply@refermii.test>'
+});
+
+describe('SMTP transport', () => {
+  let sink;
+  let transport;
+
+  before(async () => {
+    sink = await startSmtpSink();
+    transport = smtpTransport(sink);
+  });
+  after(async () => {
+    transport.close();
+    await sink.stop();
+  });
+
+  it('delivers a digest to the SMTP server', async () => {
+    const user = { email: 'reader@example.com', username: 'reader' };
+    await transport.send(formatDigest(user, [
+      { kind: 'expiring', brand: 'Acme', code: 'SOON10', expirationDate: new Date('2026-10-21T00:00:00Z') },
+      { kind: 'expired', brand: 'Zeta', link: 'https://zeta.example/invite', expirationDate: new Date('2026-10-18T00:00:00Z') }
+    ]));
+
+    assert.strictEqual(sink.messages.length, 1);
+    const [message] = sink.messages;
+    assert.strictEqual(message.from, 'no-reply@refermii.test');
+    assert.deepStrictEqual(message.to, ['reader@example.com']);
+    assert.match(message.data, /Subject: ReferMii: 2 referral updates/);
+    assert.match(message.data, /Acme: code SOON10 \(2026-10-21\)/);
+    assert.match(message.data, /Expired:\r?\n- Zeta: https:\/\/zeta\.example\/invite \(2026-10-18\)/);
+  });
+});
+
+describe('expiry notifications', () => {
+  let sink;
+  let transport;
+  let user;
+
+  before(async () => {
+    await startServer();
+    sink = await startSmtpSink();
+    transport = smtpTransport(sink);
+  });
+  after(async () => {
+    transport.close();
+    await sink.stop();
+    await stopServer();
+  });
+  beforeEach(async () => {
+    await resetData();
+    sink.messages.length = 0;
+    ({ user } = await createUser());
+    await Subscription.create({ user: user._id, type: 'brand', brand: 'Acme' });
+  });
+
+  it('sends everything pending for a user in one digest', async () => {
+    await createReferral({ code: 'SOON1', expirationDate: daysFromNow(1) });
+    await createReferral({ code: 'SOON2', expirationDate: daysFromNow(2) });
+    await createReferral({ code: 'LATER', expirationDate: daysFromNow(30) });
+
+    assert.strictEqual(await queueExpiryNotifications(), 2);
+    assert.strictEqual(await queueExpiryNotifications(), 0);
+
+    assert.deepStrictEqual(await sendDigests(transport), { digestsSent: 1, notificationsSent: 2, failures: 0 });
+    assert.strictEqual(sink.messages.length, 1);
+    assert.deepStrictEqual(sink.messages[0].to, [user.email]);
+    assert.match(sink.messages[0].data, /SOON1[\s\S]*SOON2/);
+    assert.doesNotMatch(sink.messages[0].data, /LATER/);
+
+    assert.deepStrictEqual(await sendDigests(transport), { digestsSent: 0, notificationsSent: 0, failures: 0 });
+  });
+
+  it('holds new notifications until the digest interval has passed', async () => {
+    const now = new Date();
+    await createReferral({ code: 'FIRST', expirationDate: daysFromNow(1) });
+    await queueExpiryNotifications(now);
+    await sendDigests(transport, now);
+
+    await createReferral({ code: 'SECOND', expirationDate: daysFromNow(2) });
+    await queueExpiryNotifications(now);
+    assert.strictEqual((await sendDigests(transport, new Date(now.getTime() + HOUR_MS))).digestsSent, 0);
+
+    const later = await sendDigests(transport, new Date(now.getTime() + 25 * HOUR_MS));
+    assert.strictEqual(later.digestsSent, 1);
+    assert.strictEqual(sink.messages.length, 2);
+    assert.match(sink.messages[1].data, /SECOND/);
+  });
+
+  it('announces a referral again once its expiry is extended', async () => {
+    const referral = await createReferral({ code: 'SOON', expirationDate: daysFromNow(2) });
+    assert.strictEqual(await queueExpiryNotifications(), 1);
+
+    await Referral.updateOne({ _id: referral._id }, { expirationDate: daysFromNow(12) });
+    assert.strictEqual(await queueExpiryNotifications(daysFromNow(10)), 1);
+    assert.strictEqual(await queueExpiryNotifications(daysFromNow(10)), 0);
+  });
+});
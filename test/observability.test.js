@@ -0,0 +1,104 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, resetData, request, createReferral } = require('./helpers');
+const { createLogger } = require('../src/utils/logger');
+const { resetMetrics } = require('../src/utils/metrics');
+const { describeError } = require('../src/middleware/errors');
+const Referral = require('../src/models/Referral');
+
+describe('logger', () => {
+  const capture = (options) => {
+    const lines = [];
+    const logger = createLogger({ ...options, write: (level, line) => lines.push(line) });
+    return { logger, lines };
+  };
+
+  it('writes one JSON object per entry with bound fields and serialized errors', () => {
+    const { logger, lines } = capture({ level: 'info', format: 'json' });
+    logger.child({ requestId: 'abc' }).error('Save failed', { err: new Error('boom') });
+
+    const entry = JSON.parse(lines[0]);
+    assert.strictEqual(entry.level, 'error');
+    assert.strictEqual(entry.msg, 'Save failed');
+    assert.strictEqual(entry.requestId, 'abc');
+    assert.strictEqual(entry.err.message, 'boom');
+    assert.ok(entry.err.stack);
+  });
+
+  it('drops entries below the configured level', () => {
+    const { logger, lines } = capture({ level: 'warn', format: 'json' });
+    logger.info('Ignored');
+    logger.warn('Kept');
+
+    assert.deepStrictEqual(lines.map(line => JSON.parse(line).msg), ['Kept']);
+  });
+});
+
+describe('error responses', () => {
+  it('turns validation errors into field errors', () => {
+    const { status, body } = describeError(new Referral({}).validateSync());
+    assert.strictEqual(status, 400);
+    assert.ok(body.errors.some(error => error.path === 'brand' && error.msg === 'Brand name is required'));
+  });
+
+  it('hides the details of unexpected errors', () => {
+    assert.deepStrictEqual(describeError(new Error('connection string with password')), {
+      status: 500,
+      body: { message: 'Internal server error' }
+    });
+  });
+});
+
+describe('request context, health and metrics', () => {
+  before(() => startServer());
+  after(() => stopServer());
+  beforeEach(async () => {
+    await resetData();
+    resetMetrics();
+  });
+
+  it('gives every response a request ID, keeping one the client sent', async () => {
+    const generated = await request('GET', '/healthz');
+    assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+
+    const passed = await request('GET', '/healthz', { headers: { 'X-Request-Id': 'trace-42' } });
+    assert.strictEqual(passed.headers.get('x-request-id'), 'trace-42');
+  });
+
+  it('answers a malformed ID with 404 instead of a cast error', async () => {
+    const res = await request('GET', '/api/referrals/not-an-id');
+    assert.strictEqual(res.status, 404);
+    assert.strictEqual(res.body.message, 'Resource not found');
+    assert.strictEqual(res.body.requestId, res.headers.get('x-request-id'));
+  });
+
+  it('answers unknown routes with JSON', async () => {
+    const res = await request('GET', '/api/nothing-here');
+    assert.strictEqual(res.status, 404);
+    assert.strictEqual(res.body.message, 'Not found');
+  });
+
+  it('reports healthy and ready while MongoDB is connected', async () => {
+    const health = await request('GET', '/healthz');
+    assert.strictEqual(health.status, 200);
+    assert.strictEqual(health.body.mongo, 'connected');
+
+    const ready = await request('GET', '/readyz');
+    assert.strictEqual(ready.status, 200);
+    assert.strictEqual(ready.body.status, 'ok');
+  });
+
+  it('counts requests by route template', async () => {
+    const referral = await createReferral();
+    await request('GET', `/api/referrals/${referral._id}`);
+    await request('GET', `/api/referrals/${referral._id}/revisions`);
+
+    const res = await request('GET', '/metrics');
+    assert.strictEqual(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/plain/);
+    assert.match(res.text, /http_requests_total\{method="GET",route="\/api\/referrals\/:id",status="200"\} 1/);
+    assert.match(res.text, /http_requests_total\{method="GET",route="\/api\/referrals\/:id\/revisions",status="\d+"\} 1/);
+    assert.match(res.text, /http_request_duration_seconds_count\{method="GET",route="\/api\/referrals\/:id",status="200"\} 1/);
+    assert.ok(!res.text.includes(referral._id.toString()));
+  });
+});
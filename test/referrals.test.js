@@ -0,0 +1,375 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const {
+  startServer, stopServer, resetData, request, createUser, createReferral, daysFromNow
+} = require('./helpers');
+const Brand = require('../src/models/Brand');
+const Referral = require('../src/models/Referral');
+const ReferralRevision = require('../src/models/ReferralRevision');
+
+describe('/api/referrals', () => {
+  let owner;
+  let other;
+  let admin;
+
+  before(() => startServer());
+  after(() => stopServer());
+  beforeEach(async () => {
+    await resetData();
+    owner = await createUser();
+    other = await createUser();
+    admin = await createUser({ role: 'admin' });
+  });
+
+  const newReferral = (overrides = {}) => ({
+    brand: 'Acme',
+    code: 'WELCOME10',
+    expirationDate: daysFromNow(30).toISOString(),
+    ...overrides
+  });
+
+  describe('POST /', () => {
+    it('creates a referral owned by the caller with an ETag and a revision', async () => {
+      const res = await request('POST', '/api/referrals', {
+        token: owner.token,
+        body: newReferral({ link: 'https://acme.example/invite?utm_source=x&b=2&a=1', tags: ['shopping'] })
+      });
+
+      assert.strictEqual(res.status, 201);
+      assert.strictEqual(res.body.owner, owner.user._id.toString());
+      assert.strictEqual(res.body.link, 'https://acme.example/invite?a=1&b=2');
+      assert.strictEqual(res.headers.get('etag'), '"0"');
+      assert.strictEqual(await ReferralRevision.countDocuments({ referral: res.body._id, action: 'create' }), 1);
+    });
+
+    it('requires authentication', async () => {
+      const res = await request('POST', '/api/referrals', { body: newReferral() });
+      assert.strictEqual(res.status, 401);
+    });
+
+    it('rejects invalid bodies and unknown fields', async () => {
+      const missing = await request('POST', '/api/referrals', {
+        token: owner.token,
+        body: { brand: 'Acme', expirationDate: 'soon' }
+      });
+      assert.strictEqual(missing.status, 400);
+      assert.ok(missing.body.errors.some(error => error.param === 'expirationDate'));
+      assert.ok(missing.body.errors.some(error => error.param === 'code'));
+
+      const unknown = await request('POST', '/api/referrals', {
+        token: owner.token,
+        body: newReferral({ isValid: false })
+      });
+      assert.strictEqual(unknown.status, 400);
+    });
+
+    it('rejects codes and links that break the brand\'s format rules', async () => {
+      const generic = await request('POST', '/api/referrals', { token: owner.token, body: newReferral({ code: 'NO SPACES!' }) });
+      assert.strictEqual(generic.status, 400);
+      assert.deepStrictEqual(generic.body.errors.map(error => [error.param, error.rule]), [['code', 'default']]);
+
+      const branded = await request('POST', '/api/referrals', {
+        token: owner.token,
+        body: { brand: 'Uber Eats', link: 'https://example.com/invite', expirationDate: daysFromNow(30).toISOString() }
+      });
+      assert.strictEqual(branded.status, 400);
+      assert.strictEqual(branded.body.errors[0].param, 'link');
+      assert.strictEqual(branded.body.errors[0].rule, 'Uber Eats');
+      assert.strictEqual(await Referral.countDocuments(), 0);
+    });
+
+    it('adds new brands to the catalog only once the referral is saved', async () => {
+      const rejected = await request('POST', '/api/referrals', {
+        token: owner.token,
+        body: { brand: 'Zeta Bank', expirationDate: 'soon' }
+      });
+      assert.strictEqual(rejected.status, 400);
+      assert.strictEqual(await Brand.exists({ name: 'Zeta Bank' }), null);
+
+      await Brand.create({ name: 'Acme', aliases: ['Acme Co'] });
+      const saved = await request('POST', '/api/referrals', { token: owner.token, body: newReferral({ brand: ' acme co ' }) });
+      assert.strictEqual(saved.status, 201);
+      assert.strictEqual(saved.body.brand, 'Acme');
+
+      await request('POST', '/api/referrals', { token: owner.token, body: newReferral({ brand: ' Zeta Bank ' }) });
+      assert.ok(await Brand.exists({ name: 'Zeta Bank' }));
+    });
+
+    it('rejects a code already listed for the brand, ignoring case and spaces', async () => {
+      await createReferral({ code: 'WELCOME 10' });
+
+      const res = await request('POST', '/api/referrals', {
+        token: owner.token,
+        body: newReferral({ code: 'welcome10' })
+      });
+      assert.strictEqual(res.status, 400);
+      assert.strictEqual(res.body.errors[0].duplicate, true);
+    });
+
+    it('answers malformed JSON with a JSON error', async () => {
+      const res = await request('POST', '/api/referrals', {
+        token: owner.token,
+        body: '{"brand":',
+        headers: { 'Content-Type': 'application/json' }
+      });
+      assert.strictEqual(res.status, 400);
+      assert.strictEqual(res.body.message, 'Request body is not valid JSON');
+    });
+
+    it('stores offer terms and rejects malformed ones', async () => {
+      const res = await request('POST', '/api/referrals', {
+        token: owner.token,
+        body: newReferral({
+          refereeReward: { type: 'discount', amount: 10, currency: 'usd' },
+          referrerReward: { type: 'points', amount: 500 },
+          minimumSpend: { amount: 25, currency: 'USD' },
+          eligibleCountries: ['us', 'CA'],
+          newCustomersOnly: true
+        })
+      });
+      assert.strictEqual(res.status, 201);
+      assert.deepStrictEqual(res.body.refereeReward, { type: 'discount', amount: 10, currency: 'USD' });
+      assert.deepStrictEqual(res.body.eligibleCountries, ['US', 'CA']);
+
+      const noCurrency = await request('POST', '/api/referrals', {
+        token: owner.token,
+        body: newReferral({ code: 'CASH5', refereeReward: { type: 'cash', amount: 5 }, eligibleCountries: ['USA'] })
+      });
+      assert.strictEqual(noCurrency.status, 400);
+      assert.deepStrictEqual(noCurrency.body.errors.map(error => error.param), ['refereeReward', 'eligibleCountries']);
+    });
+
+    it('rejects link-stuffed descriptions as spam', async () => {
+      const res = await request('POST', '/api/referrals', {
+        token: owner.token,
+        body: newReferral({ description: 'http://a.example http://b.example http://c.example' })
+      });
+      assert.strictEqual(res.status, 422);
+      assert.ok(res.body.reasons.length > 0);
+    });
+  });
+
+  describe('GET /', () => {
+    it('lists active referrals with paging metadata', async () => {
+      await createReferral({ brand: 'Acme', code: 'A1' });
+      await createReferral({ brand: 'Acme', code: 'A2' });
+      await createReferral({ brand: 'Other', code: 'B1' });
+      await createReferral({ brand: 'Acme', code: 'OLD', deletedAt: new Date() });
+
+      const res = await request('GET', '/api/referrals?brand=Acme&limit=1');
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.body.data.length, 1);
+      assert.deepStrictEqual(res.body.meta, { total: 2, page: 1, limit: 1, totalPages: 2, hasNextPage: true });
+    });
+
+    it('filters and sorts by the referee reward', async () => {
+      await createReferral({ brand: 'Small', refereeReward: { type: 'cash', amount: 5, currency: 'USD' } });
+      await createReferral({ brand: 'Large', refereeReward: { type: 'cash', amount: 50, currency: 'USD' }, eligibleCountries: ['US'] });
+      await createReferral({ brand: 'Euro', refereeReward: { type: 'cash', amount: 20, currency: 'EUR' }, newCustomersOnly: true });
+      await createReferral({ brand: 'Points', refereeReward: { type: 'points', amount: 1000 } });
+      await createReferral({ brand: 'None' });
+
+      const brands = async (query) => (await request('GET', `/api/referrals?${query}`)).body.data.map(referral => referral.brand);
+
+      assert.deepStrictEqual(await brands('rewardType=cash&currency=usd&sort=reward'), ['Large', 'Small']);
+      assert.deepStrictEqual(await brands('rewardType=cash&currency=USD&minReward=1&sort=reward&order=asc'), ['Small', 'Large']);
+      assert.deepStrictEqual((await brands('rewardType=cash&minReward=10')).sort(), ['Euro', 'Large']);
+      assert.deepStrictEqual(await brands('rewardType=points&sort=reward'), ['Points']);
+      assert.deepStrictEqual((await brands('country=GB')).sort(), ['Euro', 'None', 'Points', 'Small']);
+      assert.deepStrictEqual((await brands('rewardType=cash&newCustomersOnly=false')).sort(), ['Large', 'Small']);
+    });
+
+    it('only sorts by reward within one reward type and currency', async () => {
+      const mixed = await request('GET', '/api/referrals?sort=reward');
+      assert.strictEqual(mixed.status, 400);
+      assert.strictEqual(mixed.body.errors[0].param, 'rewardType');
+
+      const noCurrency = await request('GET', '/api/referrals?sort=reward&rewardType=credit');
+      assert.strictEqual(noCurrency.status, 400);
+      assert.strictEqual(noCurrency.body.errors[0].param, 'currency');
+    });
+
+    it('rejects invalid query parameters', async () => {
+      const res = await request('GET', '/api/referrals?sort=nonsense');
+      assert.strictEqual(res.status, 400);
+      assert.ok(res.body.errors.length > 0);
+    });
+  });
+
+  describe('GET /suggest', () => {
+    it('suggests brand names by prefix', async () => {
+      await createReferral({ brand: 'Acme' });
+      await createReferral({ brand: 'Zeta' });
+
+      const res = await request('GET', '/api/referrals/suggest?q=acm');
+      assert.strictEqual(res.status, 200);
+      assert.deepStrictEqual(res.body[0], { brand: 'Acme', count: 1 });
+    });
+  });
+
+  describe('GET /:id', () => {
+    it('returns a referral with its ETag', async () => {
+      const referral = await createReferral();
+      const res = await request('GET', `/api/referrals/${referral._id}`);
+
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.body.code, referral.code);
+      assert.strictEqual(res.headers.get('etag'), '"0"');
+    });
+
+    it('hides deleted referrals', async () => {
+      const referral = await createReferral({ deletedAt: new Date() });
+      assert.strictEqual((await request('GET', `/api/referrals/${referral._id}`)).status, 404);
+    });
+  });
+
+  describe('PUT /:id', () => {
+    it('lets the owner replace a referral and records the change', async () => {
+      const referral = await createReferral({ owner: owner.user._id, code: 'BEFORE' });
+
+      const res = await request('PUT', `/api/referrals/${referral._id}`, {
+        token: owner.token,
+        headers: { 'If-Match': '"0"' },
+        body: newReferral({ code: 'AFTER' })
+      });
+
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.body.code, 'AFTER');
+      assert.strictEqual(res.headers.get('etag'), '"1"');
+      const revision = await ReferralRevision.findOne({ referral: referral._id, action: 'update' });
+      assert.ok(revision.changes.includes('code'));
+    });
+
+    it('only lets the owner or an admin edit', async () => {
+      const referral = await createReferral({ owner: owner.user._id });
+
+      const forbidden = await request('PUT', `/api/referrals/${referral._id}`, {
+        token: other.token,
+        body: newReferral()
+      });
+      assert.strictEqual(forbidden.status, 403);
+
+      const allowed = await request('PUT', `/api/referrals/${referral._id}`, {
+        token: admin.token,
+        body: newReferral()
+      });
+      assert.strictEqual(allowed.status, 200);
+    });
+
+    it('fails with 412 when If-Match is stale', async () => {
+      const referral = await createReferral({ owner: owner.user._id });
+
+      const res = await request('PUT', `/api/referrals/${referral._id}`, {
+        token: owner.token,
+        headers: { 'If-Match': '"7"' },
+        body: newReferral()
+      });
+      assert.strictEqual(res.status, 412);
+    });
+  });
+
+  describe('PATCH /:id', () => {
+    it('updates only the given fields and clears fields set to null', async () => {
+      const referral = await createReferral({
+        owner: owner.user._id,
+        code: 'KEEP',
+        link: 'https://acme.example/invite',
+        description: 'Ten off'
+      });
+
+      const res = await request('PATCH', `/api/referrals/${referral._id}`, {
+        token: owner.token,
+        body: { link: null, tags: ['food'] }
+      });
+
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.body.code, 'KEEP');
+      assert.strictEqual(res.body.link, undefined);
+      assert.strictEqual(res.body.description, 'Ten off');
+      assert.deepStrictEqual(res.body.tags, ['food']);
+    });
+
+    it('sets and clears offer terms', async () => {
+      const referral = await createReferral({
+        owner: owner.user._id,
+        refereeReward: { type: 'credit', amount: 15, currency: 'GBP' },
+        eligibleCountries: ['GB']
+      });
+
+      const res = await request('PATCH', `/api/referrals/${referral._id}`, {
+        token: owner.token,
+        body: { refereeReward: null, referrerReward: { type: 'percent', amount: 10 }, eligibleCountries: null }
+      });
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.body.refereeReward, undefined);
+      assert.deepStrictEqual(res.body.referrerReward, { type: 'percent', amount: 10 });
+      assert.deepStrictEqual(res.body.eligibleCountries, []);
+
+      const revision = await ReferralRevision.findOne({ referral: referral._id, action: 'update' });
+      assert.deepStrictEqual([...revision.changes].sort(), ['eligibleCountries', 'refereeReward', 'referrerReward']);
+    });
+
+    it('rejects a patch that would leave neither code nor link', async () => {
+      const referral = await createReferral({ owner: owner.user._id, code: 'ONLY' });
+
+      const res = await request('PATCH', `/api/referrals/${referral._id}`, {
+        token: owner.token,
+        body: { code: null }
+      });
+      assert.strictEqual(res.status, 400);
+    });
+
+    it('rejects empty and unknown patches', async () => {
+      const referral = await createReferral({ owner: owner.user._id });
+
+      const empty = await request('PATCH', `/api/referrals/${referral._id}`, { token: owner.token, body: {} });
+      assert.strictEqual(empty.status, 400);
+
+      const unknown = await request('PATCH', `/api/referrals/${referral._id}`, {
+        token: owner.token,
+        body: { score: 100 }
+      });
+      assert.strictEqual(unknown.status, 400);
+    });
+
+    it('fails with 412 when If-Match is stale', async () => {
+      const referral = await createReferral({ owner: owner.user._id });
+      await request('PATCH', `/api/referrals/${referral._id}`, { token: owner.token, body: { description: 'v1' } });
+
+      const res = await request('PATCH', `/api/referrals/${referral._id}`, {
+        token: owner.token,
+        headers: { 'If-Match': '"0"' },
+        body: { description: 'v2' }
+      });
+      assert.strictEqual(res.status, 412);
+    });
+  });
+
+  describe('DELETE /:id', () => {
+    it('soft-deletes the referral', async () => {
+      const referral = await createReferral({ owner: owner.user._id });
+
+      const res = await request('DELETE', `/api/referrals/${referral._id}`, { token: owner.token });
+      assert.strictEqual(res.status, 200);
+
+      const stored = await Referral.findById(referral._id);
+      assert.ok(stored.deletedAt);
+      assert.strictEqual(await ReferralRevision.countDocuments({ referral: referral._id, action: 'delete' }), 1);
+    });
+
+    it('only lets the owner or an admin delete', async () => {
+      const referral = await createReferral({ owner: owner.user._id });
+      const res = await request('DELETE', `/api/referrals/${referral._id}`, { token: other.token });
+      assert.strictEqual(res.status, 403);
+    });
+  });
+
+  describe('GET /api/docs', () => {
+    it('serves the OpenAPI document', async () => {
+      const res = await request('GET', '/api/docs');
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.body.openapi, '3.0.3');
+      assert.ok(res.body.paths['/api/referrals/{id}'].patch);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, resetData, request, createUser, daysFromNow } = require('./helpers');
+
+describe('/api/referrals/:id revisions', () => {
+  let owner;
+  let other;
+
+  before(() => startServer());
+  after(() => stopServer());
+  beforeEach(async () => {
+    await resetData();
+    owner = await createUser();
+    other = await createUser();
+  });
+
+  const create = async (body = {}) => {
+    const res = await request('POST', '/api/referrals', {
+      token: owner.token,
+      body: { brand: 'Acme', code: 'FIRST', expirationDate: daysFromNow(30).toISOString(), ...body }
+    });
+    assert.strictEqual(res.status, 201);
+    return res.body;
+  };
+
+  it('lists revisions newest first for the owner only', async () => {
+    const referral = await create();
+    await request('PATCH', `/api/referrals/${referral._id}`, { token: owner.token, body: { code: 'SECOND' } });
+
+    const res = await request('GET', `/api/referrals/${referral._id}/revisions`, { token: owner.token });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.revisions.map(revision => revision.action), ['update', 'create']);
+    assert.strictEqual(res.body.revisions[0].snapshot.code, 'SECOND');
+
+    const forbidden = await request('GET', `/api/referrals/${referral._id}/revisions`, { token: other.token });
+    assert.strictEqual(forbidden.status, 403);
+  });
+
+  it('restores a deleted referral', async () => {
+    const referral = await create();
+    await request('DELETE', `/api/referrals/${referral._id}`, { token: owner.token });
+    assert.strictEqual((await request('GET', `/api/referrals/${referral._id}`)).status, 404);
+
+    const res = await request('POST', `/api/referrals/${referral._id}/restore`, { token: owner.token });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual((await request('GET', `/api/referrals/${referral._id}`)).status, 200);
+
+    const again = await request('POST', `/api/referrals/${referral._id}/restore`, { token: owner.token });
+    assert.strictEqual(again.status, 409);
+  });
+
+  it('reverts to an earlier revision', async () => {
+    const referral = await create();
+    await request('PATCH', `/api/referrals/${referral._id}`, { token: owner.token, body: { code: 'SECOND' } });
+
+    const { body } = await request('GET', `/api/referrals/${referral._id}/revisions`, { token: owner.token });
+    const original = body.revisions.find(revision => revision.action === 'create');
+
+    const res = await request('POST', `/api/referrals/${referral._id}/revisions/${original._id}/restore`, {
+      token: owner.token
+    });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.code, 'FIRST');
+
+    const history = await request('GET', `/api/referrals/${referral._id}/revisions`, { token: owner.token });
+    assert.strictEqual(history.body.revisions[0].action, 'revert');
+    assert.strictEqual(history.body.revisions[0].revertedFrom, original._id);
+  });
+
+  it('refuses to revert onto a code another referral now uses', async () => {
+    const referral = await create();
+    await request('PATCH', `/api/referrals/${referral._id}`, { token: owner.token, body: { code: 'SECOND' } });
+    await create({ code: 'FIRST' });
+
+    const { body } = await request('GET', `/api/referrals/${referral._id}/revisions`, { token: owner.token });
+    const original = body.revisions.find(revision => revision.action === 'create');
+
+    const res = await request('POST', `/api/referrals/${referral._id}/revisions/${original._id}/restore`, {
+      token: owner.token
+    });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.errors[0].duplicate, true);
+    assert.strictEqual((await request('GET', `/api/referrals/${referral._id}`)).body.code, 'SECOND');
+  });
+
+  it('checks If-Match before restoring or reverting', async () => {
+    const referral = await create();
+    await request('PATCH', `/api/referrals/${referral._id}`, { token: owner.token, body: { code: 'SECOND' } });
+    const { body } = await request('GET', `/api/referrals/${referral._id}/revisions`, { token: owner.token });
+    const original = body.revisions.find(revision => revision.action === 'create');
+    const revertPath = `/api/referrals/${referral._id}/revisions/${original._id}/restore`;
+
+    const stale = await request('POST', revertPath, { token: owner.token, headers: { 'If-Match': '"0"' } });
+    assert.strictEqual(stale.status, 412);
+
+    const current = await request('GET', `/api/referrals/${referral._id}`);
+    const reverted = await request('POST', revertPath, { token: owner.token, headers: { 'If-Match': current.headers.get('etag') } });
+    assert.strictEqual(reverted.status, 200);
+    assert.notStrictEqual(reverted.headers.get('etag'), current.headers.get('etag'));
+
+    await request('DELETE', `/api/referrals/${referral._id}`, { token: owner.token });
+    const restoreStale = await request('POST', `/api/referrals/${referral._id}/restore`, {
+      token: owner.token,
+      headers: { 'If-Match': reverted.headers.get('etag') }
+    });
+    assert.strictEqual(restoreStale.status, 412);
+  });
+
+  it('refuses to revert a deleted referral', async () => {
+    const referral = await create();
+    const { body } = await request('GET', `/api/referrals/${referral._id}/revisions`, { token: owner.token });
+    await request('DELETE', `/api/referrals/${referral._id}`, { token: owner.token });
+
+    const res = await request('POST', `/api/referrals/${referral._id}/revisions/${body.revisions[0]._id}/restore`, {
+      token: owner.token
+    });
+    assert.strictEqual(res.status, 409);
+  });
+});
@@ -0,0 +1,170 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, resetData, createReferral } = require('./helpers');
+const { createScraper } = require('../src/scraper');
+const createLlmExtractor = require('../src/extractors/llm');
+const Referral = require('../src/models/Referral');
+const PendingReferral = require('../src/models/PendingReferral');
+const ScrapeState = require('../src/models/ScrapeState');
+
+// Reddit listing pages keyed by the "after" cursor in the request URL
+const redditPosts = {
+  first: [
+    { id: 'p3', title: 'Acme: 20% off with code ACME20', selftext: 'Use ACME20 at checkout', created_utc: 1700000300 },
+    { id: 'p2', title: 'What is everyone buying?', selftext: 'Just curious', created_utc: 1700000200 }
+  ],
+  t3_p2: [
+    { id: 'p1', title: 'Zeta invite link', selftext: 'https://zeta.example/invite/abc', created_utc: 1700000100 }
+  ]
+};
+
+const fakeReddit = (pages = redditPosts) => {
+  const requests = [];
+  return {
+    requests,
+    async get(url) {
+      requests.push(url);
+      const after = new URL(url).searchParams.get('after') || 'first';
+      const posts = pages[after] || [];
+      const next = { first: 't3_p2' }[after] || null;
+      return {
+        data: {
+          data: {
+            children: posts.map(post => ({
+              kind: 't3',
+              data: { ...post, author: 'someone', permalink: `/r/deals/comments/${post.id}/`, num_comments: 0 }
+            })),
+            after: next
+          }
+        }
+      };
+    }
+  };
+};
+
+// Stand-in for the Gemini model, answering from the post title in the prompt
+const fakeGemini = () => {
+  const prompts = [];
+  const answers = [
+    {
+      match: 'ACME20',
+      data: {
+        brand: 'Acme',
+        code: 'ACME20',
+        link: null,
+        tags: ['shopping'],
+        description: '20% off',
+        refereeReward: { type: 'percent', amount: 20 },
+        eligibleCountries: ['us']
+      }
+    },
+    { match: 'Zeta invite', data: { brand: 'Zeta', code: null, link: 'https://zeta.example/invite/abc', tags: [] } }
+  ];
+  return {
+    prompts,
+    async generateContent(prompt) {
+      prompts.push(prompt);
+      const answer = answers.find(entry => prompt.includes(entry.match));
+      const data = answer ? answer.data : { brand: null, code: null, link: null, tags: [] };
+      return { response: { text: () => `\`\`\`json\n${JSON.stringify(data)}\n\`\`\`` } };
+    }
+  };
+};
+
+const redditSpec = (http) => ({ name: 'reddit', options: { subreddit: 'deals', http } });
+
+const createTestScraper = (mode, model = fakeGemini()) => createScraper({
+  mode,
+  extractor: createLlmExtractor({ model }),
+  requestDelayMs: 0,
+  batchDelayMs: 0,
+  pageDelayMs: 0
+});
+
+describe('scraper pipeline', () => {
+  before(() => startServer());
+  after(() => stopServer());
+  beforeEach(() => resetData());
+
+  it('publishes referrals extracted from every page', async () => {
+    const model = fakeGemini();
+    const result = await createTestScraper('live', model).run([redditSpec(fakeReddit())]);
+
+    assert.deepStrictEqual(result, { postsProcessed: 3, totalSaved: 2 });
+    assert.strictEqual(model.prompts.length, 3);
+
+    const acme = await Referral.findOne({ brand: 'Acme' });
+    assert.strictEqual(acme.code, 'ACME20');
+    assert.strictEqual(acme.source, 'reddit');
+    assert.strictEqual(acme.sourceId, 'p3');
+    assert.strictEqual(acme.sourceChannel, 'deals');
+    assert.ok(acme.expirationDate > new Date());
+    assert.deepStrictEqual(acme.refereeReward.toObject(), { type: 'percent', amount: 20 });
+    assert.deepStrictEqual([...acme.eligibleCountries], ['US']);
+
+    const state = await ScrapeState.findOne({ source: 'reddit', channel: 'deals' });
+    assert.strictEqual(state.lastSeenId, 'p3');
+  });
+
+  it('skips posts handled by an earlier run', async () => {
+    await createTestScraper('live').run([redditSpec(fakeReddit())]);
+
+    const model = fakeGemini();
+    const result = await createTestScraper('live', model).run([redditSpec(fakeReddit())]);
+    assert.deepStrictEqual(result, { postsProcessed: 0, totalSaved: 0 });
+    assert.strictEqual(model.prompts.length, 0);
+    assert.strictEqual(await Referral.countDocuments(), 2);
+  });
+
+  it('does not publish duplicates of existing referrals', async () => {
+    await createReferral({ brand: 'Acme', code: 'acme20' });
+
+    const result = await createTestScraper('live').run([redditSpec(fakeReddit())]);
+    assert.strictEqual(result.totalSaved, 1);
+    assert.strictEqual(await Referral.countDocuments({ brand: 'Acme' }), 1);
+  });
+
+  it('stages referrals for review with a confidence score', async () => {
+    const result = await createTestScraper('stage').run([redditSpec(fakeReddit())]);
+
+    assert.strictEqual(result.totalSaved, 2);
+    assert.strictEqual(await Referral.countDocuments(), 0);
+    const staged = await PendingReferral.findOne({ sourceId: 'p3' });
+    assert.strictEqual(staged.status, 'pending');
+    assert.strictEqual(staged.extractor, 'llm');
+    assert.strictEqual(staged.refereeReward.type, 'percent');
+    assert.ok(staged.confidence > 0);
+  });
+
+  it('writes nothing on a dry run', async () => {
+    const result = await createTestScraper('dry-run').run([redditSpec(fakeReddit())]);
+
+    assert.strictEqual(result.totalSaved, 2);
+    assert.strictEqual(await Referral.countDocuments(), 0);
+    assert.strictEqual(await PendingReferral.countDocuments(), 0);
+    assert.strictEqual(await ScrapeState.countDocuments(), 0);
+  });
+
+  it('keeps its place when Reddit fails mid-run', async () => {
+    const http = fakeReddit();
+    const get = http.get;
+    http.get = async (url) => {
+      if (url.includes('after=')) throw new Error('503 Service Unavailable');
+      return get(url);
+    };
+
+    await assert.rejects(createTestScraper('live').run([redditSpec(http)]), (error) => {
+      assert.match(error.message, /503 Service Unavailable/);
+      assert.deepStrictEqual(error.result, { postsProcessed: 2, totalSaved: 1 });
+      return true;
+    });
+
+    const state = await ScrapeState.findOne({ source: 'reddit', channel: 'deals' });
+    assert.ok(state.isInterrupted());
+    assert.strictEqual(state.resumeAfter, 't3_p2');
+  });
+
+  it('rejects unknown modes', () => {
+    assert.throws(() => createScraper({ mode: 'publish', extractor: { name: 'none' } }), /Unknown scraper mode/);
+  });
+});
@@ -0,0 +1,115 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createSource, fetchPosts } = require('../src/sources');
+
+// Recorded feeds and exports in test/fixtures
+const fixture = (name) => path.join(__dirname, 'fixtures', name);
+
+// HTTP client that answers every request with a recorded feed
+const recordedFeed = (name) => ({
+  get: async () => ({ data: fs.readFileSync(fixture(name), 'utf8') })
+});
+
+describe('RSS source', () => {
+  const readFeed = async (name) => {
+    const source = createSource('rss', { url: 'https://deals.example/feed', http: recordedFeed(name) });
+    return (await fetchPosts(source)).posts;
+  };
+
+  it('reads RSS 2.0 items', async () => {
+    const [acme, zeta, bare] = await readFeed('deals.rss.xml');
+
+    assert.deepStrictEqual(acme, {
+      id: 'deals-1042',
+      source: 'rss',
+      channel: 'https://deals.example/feed',
+      kind: 'post',
+      title: 'Acme & Co: $20 off your first order',
+      body: 'Use code ACME20 at checkout. New customers only.',
+      url: 'https://deals.example/posts/acme-20',
+      author: 'dealhunter',
+      permalink: 'https://deals.example/posts/acme-20',
+      createdUtc: Date.parse('2026-10-19T08:30:00Z') / 1000,
+      cursor: null
+    });
+
+    // Numeric titles stay strings, and escaped HTML in descriptions is stripped
+    assert.strictEqual(zeta.title, '2024');
+    assert.strictEqual(zeta.id, 'https://deals.example/posts/zeta-invite');
+    assert.strictEqual(zeta.body, 'Join Zeta and get 500 points');
+    assert.strictEqual(zeta.createdUtc, Date.parse('2026-10-18T10:00:00Z') / 1000);
+
+    // Items without a guid or link are identified by their content
+    assert.match(bare.id, /^[0-9a-f]{40}$/);
+    assert.strictEqual(bare.createdUtc, null);
+  });
+
+  it('reads Atom entries', async () => {
+    const [zeta, acme] = await readFeed('deals.atom.xml');
+
+    assert.strictEqual(zeta.id, 'urn:uuid:1225c695-cfb8-4ebb-aaaa-80da344efa6a');
+    assert.strictEqual(zeta.title, 'Zeta Bank $50 bonus');
+    assert.strictEqual(zeta.body, 'Open an account with code ZETA50.');
+    assert.strictEqual(zeta.url, 'https://bonuses.example/zeta-bank');
+    assert.strictEqual(zeta.author, 'Sam');
+    assert.strictEqual(zeta.createdUtc, Date.parse('2026-10-19T09:00:00Z') / 1000);
+
+    // No id or published date: fall back to the link and the updated date
+    assert.strictEqual(acme.id, 'https://bonuses.example/acme');
+    assert.strictEqual(acme.body, 'https://acme.example/invite/xyz');
+    assert.strictEqual(acme.createdUtc, Date.parse('2026-10-17T18:45:00Z') / 1000);
+  });
+
+  it('rejects documents that are not feeds', async () => {
+    const source = createSource('rss', {
+      url: 'https://deals.example/feed',
+      http: { get: async () => ({ data: '<html><body>Not a feed</body></html>' }) }
+    });
+    await assert.rejects(fetchPosts(source), /Unrecognized feed format/);
+  });
+});
+
+describe('file source', () => {
+  it('reads a JSON export, skipping empty records', async () => {
+    const posts = (await fetchPosts(createSource('file', { path: fixture('posts.json') }))).posts;
+
+    assert.strictEqual(posts.length, 2);
+    assert.deepStrictEqual(posts[0], {
+      id: 'export-1',
+      source: 'file',
+      channel: 'posts.json',
+      kind: 'post',
+      title: 'Acme referral',
+      body: 'Use ACME20 for 20% off',
+      url: '',
+      author: 'someone',
+      permalink: null,
+      createdUtc: 1792400000,
+      cursor: null
+    });
+    assert.strictEqual(posts[1].title, 'Zeta invite');
+    assert.strictEqual(posts[1].url, 'https://zeta.example/invite/abc');
+    assert.strictEqual(posts[1].createdUtc, Date.parse('2026-10-18T12:00:00Z') / 1000);
+  });
+
+  it('reads a CSV export with quoted fields and a byte order mark', async () => {
+    const [acme, zeta] = (await fetchPosts(createSource('file', { path: fixture('posts.csv') }))).posts;
+
+    assert.strictEqual(acme.id, 'row-1');
+    assert.strictEqual(acme.title, 'Acme, Inc. code');
+    assert.strictEqual(acme.body, 'Use "ACME20" at checkout');
+    assert.strictEqual(acme.author, 'alice');
+    assert.strictEqual(acme.createdUtc, Date.parse('2026-10-19') / 1000);
+
+    assert.match(zeta.id, /^[0-9a-f]{40}$/);
+    assert.strictEqual(zeta.body, 'Line one\nline two');
+    assert.strictEqual(zeta.url, 'https://zeta.example/invite/abc');
+  });
+
+  it('gives the same id to a record read twice', async () => {
+    const read = async () => (await fetchPosts(createSource('file', { path: fixture('posts.csv') }))).posts[1].id;
+    assert.strictEqual(await read(), await read());
+  });
+});
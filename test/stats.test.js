@@ -0,0 +1,54 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, resetData, request, createReferral } = require('./helpers');
+
+describe('/r and /api/stats', () => {
+  before(() => startServer());
+  after(() => stopServer());
+  beforeEach(() => resetData());
+
+  // Anonymous visitors are told apart by IP and user agent
+  const asVisitor = (agent) => ({ 'User-Agent': `visitor-${agent}` });
+
+  it('redirects to the referral link and counts the click', async () => {
+    const referral = await createReferral({ link: 'https://acme.example/invite/abc' });
+
+    const res = await request('GET', `/r/${referral._id}`, { headers: asVisitor('a') });
+    assert.strictEqual(res.status, 302);
+    assert.strictEqual(res.headers.get('location'), 'https://acme.example/invite/abc');
+
+    const stats = await request('GET', `/api/stats/referrals/${referral._id}`);
+    assert.strictEqual(stats.status, 200);
+    assert.deepStrictEqual(stats.body.totals, { clicks: 1, copies: 0, uniqueVisitors: 1 });
+  });
+
+  it('does not redirect for referrals without a link or that are deleted', async () => {
+    const codeOnly = await createReferral();
+    const deleted = await createReferral({ link: 'https://acme.example/gone', deletedAt: new Date() });
+
+    assert.strictEqual((await request('GET', `/r/${codeOnly._id}`)).status, 404);
+    assert.strictEqual((await request('GET', `/r/${deleted._id}`)).status, 404);
+    assert.strictEqual((await request('GET', '/r/not-an-id')).status, 404);
+  });
+
+  it('summarizes usage per brand and across brands', async () => {
+    const popular = await createReferral({ brand: 'Acme', link: 'https://acme.example/a' });
+    const quiet = await createReferral({ brand: 'Acme', link: 'https://acme.example/b' });
+    const elsewhere = await createReferral({ brand: 'Zeta', link: 'https://zeta.example/z' });
+
+    await request('GET', `/r/${popular._id}`, { headers: asVisitor('a') });
+    await request('GET', `/r/${popular._id}`, { headers: asVisitor('b') });
+    await request('POST', `/api/referrals/${popular._id}/copy`, { headers: asVisitor('a') });
+    await request('GET', `/r/${quiet._id}`, { headers: asVisitor('a') });
+    await request('GET', `/r/${elsewhere._id}`, { headers: asVisitor('c') });
+
+    const brand = await request('GET', '/api/stats/brands/Acme');
+    assert.strictEqual(brand.status, 200);
+    assert.deepStrictEqual(brand.body.totals, { clicks: 3, copies: 1, uniqueVisitors: 2 });
+    assert.strictEqual(brand.body.topReferrals[0].referral._id, popular._id.toString());
+
+    const top = await request('GET', '/api/stats/top?type=click&limit=1');
+    assert.strictEqual(top.body.topReferrals.length, 1);
+    assert.strictEqual(top.body.topReferrals[0].clicks, 2);
+  });
+});
@@ -0,0 +1,68 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, resetData, request, createUser, createReferral } = require('./helpers');
+const Brand = require('../src/models/Brand');
+
+describe('/api/subscriptions', () => {
+  let user;
+
+  before(() => startServer());
+  after(() => stopServer());
+  beforeEach(async () => {
+    await resetData();
+    user = await createUser();
+  });
+
+  it('requires authentication', async () => {
+    assert.strictEqual((await request('GET', '/api/subscriptions')).status, 401);
+  });
+
+  it('subscribes to a referral once', async () => {
+    const referral = await createReferral();
+
+    const res = await request('POST', '/api/subscriptions', { token: user.token, body: { referral: referral._id } });
+    assert.strictEqual(res.status, 201);
+    assert.strictEqual(res.body.type, 'referral');
+
+    const again = await request('POST', '/api/subscriptions', { token: user.token, body: { referral: referral._id } });
+    assert.strictEqual(again.status, 409);
+
+    const list = await request('GET', '/api/subscriptions', { token: user.token });
+    assert.strictEqual(list.body.length, 1);
+    assert.strictEqual(list.body[0].referral.code, referral.code);
+  });
+
+  it('subscribes to a brand under its canonical name', async () => {
+    await Brand.create({ name: 'Acme', aliases: ['Acme Co'] });
+
+    const res = await request('POST', '/api/subscriptions', { token: user.token, body: { brand: 'acme co' } });
+    assert.strictEqual(res.status, 201);
+    assert.strictEqual(res.body.brand, 'Acme');
+  });
+
+  it('needs exactly one of referral or brand', async () => {
+    const referral = await createReferral();
+
+    const neither = await request('POST', '/api/subscriptions', { token: user.token, body: {} });
+    assert.strictEqual(neither.status, 400);
+
+    const both = await request('POST', '/api/subscriptions', {
+      token: user.token,
+      body: { referral: referral._id, brand: 'Acme' }
+    });
+    assert.strictEqual(both.status, 400);
+
+    const deleted = await createReferral({ deletedAt: new Date() });
+    const gone = await request('POST', '/api/subscriptions', { token: user.token, body: { referral: deleted._id } });
+    assert.strictEqual(gone.status, 404);
+  });
+
+  it('only lets users remove their own subscriptions', async () => {
+    const referral = await createReferral();
+    const { body } = await request('POST', '/api/subscriptions', { token: user.token, body: { referral: referral._id } });
+    const other = await createUser();
+
+    assert.strictEqual((await request('DELETE', `/api/subscriptions/${body._id}`, { token: other.token })).status, 404);
+    assert.strictEqual((await request('DELETE', `/api/subscriptions/${body._id}`, { token: user.token })).status, 200);
+  });
+});
@@ -0,0 +1,68 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { checkLiveness, checkReferralFormat } = require('../src/validators');
+
+describe('checkLiveness', () => {
+  let server;
+  let baseUrl;
+  const hits = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      hits.push(req.url);
+      if (req.url === '/ok') return res.end('ok');
+      if (req.url === '/head-not-allowed') return res.writeHead(req.method === 'HEAD' ? 405 : 200).end();
+      if (req.url === '/redirect') return res.writeHead(302, { Location: '/missing' }).end();
+      if (req.url === '/hang') return;
+      res.writeHead(404).end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const probe = (path, options = {}) => checkLiveness(`${baseUrl}${path}`, { timeout: 500, allowPrivateHosts: true, ...options });
+
+  it('accepts links that answer with 2xx', async () => {
+    assert.strictEqual(await probe('/ok'), null);
+    assert.strictEqual(await probe('/head-not-allowed'), null);
+  });
+
+  it('reports error statuses', async () => {
+    assert.strictEqual(await probe('/gone'), 'Link responded with HTTP 404');
+  });
+
+  it('gives up on links that never answer', async () => {
+    assert.match(await probe('/hang', { timeout: 100 }), /^Link is unreachable: timeout/);
+  });
+
+  it('does not follow redirects', async () => {
+    hits.length = 0;
+    assert.strictEqual(await probe('/redirect'), null);
+    assert.deepStrictEqual(hits, ['/redirect']);
+  });
+
+  it('refuses loopback and private addresses', async () => {
+    hits.length = 0;
+    assert.strictEqual(await checkLiveness(`${baseUrl}/ok`), 'Link points to a private address');
+    assert.strictEqual(await checkLiveness('http://169.254.169.254/latest/meta-data'), 'Link points to a private address');
+    assert.match(await checkLiveness(`http://localhost:${server.address().port}/ok`), /resolves to a private address/);
+    assert.deepStrictEqual(hits, []);
+  });
+});
+
+describe('checkReferralFormat', () => {
+  it('names the rule set that rejected the code or link', () => {
+    assert.deepStrictEqual(checkReferralFormat({ brand: 'Nobody', code: 'ok-code' }), []);
+    assert.deepStrictEqual(checkReferralFormat({ brand: 'Nobody', code: 'no spaces' }).map(error => error.rule), ['default']);
+
+    const [error] = checkReferralFormat({ brand: 'ubereats', link: 'https://example.com/invite' });
+    assert.strictEqual(error.param, 'link');
+    assert.strictEqual(error.rule, 'Uber Eats');
+  });
+});